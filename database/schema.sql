@@ -2,11 +2,23 @@
 -- PostgreSQL 14+
 
 -- Drop existing objects if they exist
+DROP TABLE IF EXISTS admin_audit_log CASCADE;
+DROP TABLE IF EXISTS bot_settings CASCADE;
+DROP TABLE IF EXISTS group_invites CASCADE;
+DROP TABLE IF EXISTS conversation_states CASCADE;
+DROP TABLE IF EXISTS processed_messages CASCADE;
+DROP TABLE IF EXISTS group_add_operations CASCADE;
+DROP TABLE IF EXISTS group_add_jobs CASCADE;
 DROP TABLE IF EXISTS enrollment_subjects CASCADE;
 DROP TABLE IF EXISTS enrollment_documents CASCADE;
 DROP TABLE IF EXISTS students CASCADE;
 DROP TABLE IF EXISTS subject_group_mapping CASCADE;
 DROP TYPE IF EXISTS document_status CASCADE;
+DROP TYPE IF EXISTS job_status CASCADE;
+DROP TYPE IF EXISTS job_kind CASCADE;
+DROP TYPE IF EXISTS conversation_state CASCADE;
+DROP TYPE IF EXISTS add_outcome CASCADE;
+DROP TYPE IF EXISTS invite_status CASCADE;
 
 -- Create enum type for document status
 CREATE TYPE document_status AS ENUM (
@@ -15,7 +27,8 @@ CREATE TYPE document_status AS ENUM (
     'processing',
     'completed',
     'failed',
-    'expired'
+    'expired',
+    'cancelled'
 );
 
 -- Students table
@@ -41,7 +54,20 @@ CREATE TABLE enrollment_documents (
     whatsapp_message_id VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     confirmed_at TIMESTAMP,
-    processed_at TIMESTAMP
+    processed_at TIMESTAMP,
+    reminder_sent_at TIMESTAMP
+);
+
+-- Create enum type for the result of adding a student to a group
+CREATE TYPE add_outcome AS ENUM (
+    'added',
+    'already_member',
+    'privacy_blocked',
+    'recently_left',
+    'not_admin',
+    'group_full',
+    'transient',
+    'rejected'
 );
 
 -- Enrollment subjects (materias from boleta)
@@ -55,8 +81,14 @@ CREATE TABLE enrollment_subjects (
     nivel VARCHAR(50),
     horario TEXT,
     group_jid VARCHAR(100),
+    selected BOOLEAN DEFAULT TRUE,
     added_to_group BOOLEAN DEFAULT FALSE,
     added_at TIMESTAMP,
+    add_outcome add_outcome,
+    add_attempts INTEGER DEFAULT 0,
+    last_add_error TEXT,
+    last_attempt_at TIMESTAMP,
+    withdrawn_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -68,11 +100,124 @@ CREATE TABLE subject_group_mapping (
     materia_name VARCHAR(255),
     whatsapp_group_jid VARCHAR(100) NOT NULL,
     active BOOLEAN DEFAULT TRUE,
+    allow_invite_fallback BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(sigla, grupo)
 );
 
+-- Create enum type for group addition jobs
+CREATE TYPE job_status AS ENUM (
+    'pending',
+    'running',
+    'done',
+    'failed'
+);
+
+-- Create enum type for what a job does to the group membership
+CREATE TYPE job_kind AS ENUM (
+    'enroll',
+    'withdraw',
+    'switch',
+    'retry',
+    'invite'
+);
+
+-- Group addition jobs (serial queue processed by the job worker)
+CREATE TABLE group_add_jobs (
+    id SERIAL PRIMARY KEY,
+    kind job_kind NOT NULL DEFAULT 'enroll',
+    document_id INTEGER NOT NULL REFERENCES enrollment_documents(id) ON DELETE CASCADE,
+    subject_id INTEGER NOT NULL REFERENCES enrollment_subjects(id) ON DELETE CASCADE,
+    whatsapp_id VARCHAR(50) NOT NULL,
+    group_jid VARCHAR(100) NOT NULL,
+    target_grupo VARCHAR(10),
+    status job_status DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    last_error TEXT,
+    run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deferral_notified BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Add-to-group attempts per bot account (quota accounting)
+CREATE TABLE group_add_operations (
+    id SERIAL PRIMARY KEY,
+    account_id VARCHAR(50) NOT NULL,
+    whatsapp_id VARCHAR(50) NOT NULL,
+    group_jid VARCHAR(100) NOT NULL,
+    status_code INTEGER,
+    success BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inbound WhatsApp messages already handled (de-duplication of re-emitted events)
+CREATE TABLE processed_messages (
+    message_id VARCHAR(100) PRIMARY KEY,
+    whatsapp_id VARCHAR(50) NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create enum type for private group invites
+CREATE TYPE invite_status AS ENUM (
+    'sent',
+    'joined',
+    'expired'
+);
+
+-- Private group invites sent when privacy blocks a direct addition ("INVITAR")
+CREATE TABLE group_invites (
+    id SERIAL PRIMARY KEY,
+    subject_id INTEGER NOT NULL REFERENCES enrollment_subjects(id) ON DELETE CASCADE,
+    whatsapp_id VARCHAR(50) NOT NULL,
+    group_jid VARCHAR(100) NOT NULL,
+    status invite_status NOT NULL DEFAULT 'sent',
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    joined_at TIMESTAMP
+);
+
+-- Runtime settings changed by administrators (e.g. queue paused with "!pausa")
+CREATE TABLE bot_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by VARCHAR(50),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every change made by an administrator (HTTP API or WhatsApp commands)
+CREATE TABLE admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor VARCHAR(100) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target VARCHAR(100),
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create enum type for the per-student conversation state
+CREATE TYPE conversation_state AS ENUM (
+    'idle',
+    'awaiting_document',
+    'awaiting_confirmation',
+    'editing',
+    'processing',
+    'handoff'
+);
+
+-- Current conversation state of each WhatsApp user (see conversationState.js)
+CREATE TABLE conversation_states (
+    whatsapp_id VARCHAR(50) PRIMARY KEY,
+    state conversation_state NOT NULL DEFAULT 'idle',
+    document_id INTEGER REFERENCES enrollment_documents(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    entered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX idx_students_reg ON students(registration_number);
 CREATE INDEX idx_students_wa ON students(whatsapp_id);
@@ -81,8 +226,19 @@ CREATE INDEX idx_docs_status ON enrollment_documents(status);
 CREATE INDEX idx_docs_student ON enrollment_documents(student_id);
 CREATE INDEX idx_subjects_doc ON enrollment_subjects(document_id);
 CREATE INDEX idx_subjects_group ON enrollment_subjects(group_jid);
+CREATE INDEX idx_subjects_outcome ON enrollment_subjects(add_outcome);
 CREATE INDEX idx_mapping_sigla_grupo ON subject_group_mapping(sigla, grupo);
 CREATE INDEX idx_mapping_active ON subject_group_mapping(active);
+CREATE INDEX idx_jobs_status_run_after ON group_add_jobs(status, run_after);
+CREATE INDEX idx_jobs_document ON group_add_jobs(document_id);
+CREATE INDEX idx_jobs_subject_kind ON group_add_jobs(subject_id, kind);
+CREATE UNIQUE INDEX idx_jobs_open_subject ON group_add_jobs(subject_id) WHERE status IN ('pending', 'running');
+CREATE INDEX idx_operations_account_time ON group_add_operations(account_id, created_at);
+CREATE INDEX idx_processed_messages_user ON processed_messages(whatsapp_id, received_at);
+CREATE INDEX idx_conversation_state ON conversation_states(state);
+CREATE INDEX idx_invites_open ON group_invites(group_jid, whatsapp_id) WHERE status = 'sent';
+CREATE INDEX idx_invites_subject ON group_invites(subject_id);
+CREATE INDEX idx_audit_created ON admin_audit_log(created_at);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -101,6 +257,14 @@ CREATE TRIGGER update_students_updated_at BEFORE UPDATE ON students
 CREATE TRIGGER update_mapping_updated_at BEFORE UPDATE ON subject_group_mapping
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger to auto-update updated_at on group_add_jobs table
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON group_add_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to auto-update updated_at on conversation_states table
+CREATE TRIGGER update_conversation_states_updated_at BEFORE UPDATE ON conversation_states
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Insert sample data (optional - for testing)
 -- You can add initial subject-group mappings here
 -- INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid) VALUES
@@ -111,6 +275,26 @@ COMMENT ON TABLE students IS 'Stores student information with total enrolled sub
 COMMENT ON TABLE enrollment_documents IS 'Stores processed enrollment documents (boletas) with OCR data';
 COMMENT ON TABLE enrollment_subjects IS 'Stores individual subjects from each enrollment document';
 COMMENT ON TABLE subject_group_mapping IS 'Maps SIGLA+GRUPO combinations to WhatsApp group JIDs';
+COMMENT ON TABLE group_add_jobs IS 'Persistent queue of add-to-group operations, processed one at a time';
+COMMENT ON TABLE processed_messages IS 'Message IDs already handled, so a re-emitted message never runs twice';
+COMMENT ON TABLE conversation_states IS 'Where each student is in the conversation; expires_at sends them back to idle';
+COMMENT ON TABLE group_invites IS 'Private invites sent after the student agreed with "INVITAR", tracked until they join';
+COMMENT ON TABLE bot_settings IS 'Settings that survive restarts, changed with admin commands';
+COMMENT ON TABLE admin_audit_log IS 'Audit trail of administrator changes; actor is api:<ip> or whatsapp:<id>';
+COMMENT ON TABLE group_add_operations IS 'Every add-to-group attempt, used for hourly/daily quotas per bot account';
 COMMENT ON COLUMN students.total_subjects_enrolled IS 'Cumulative count of subjects successfully added (max 8)';
+COMMENT ON COLUMN enrollment_subjects.selected IS 'FALSE when the student left the subject out with "LISTO 1,3,4"';
+COMMENT ON COLUMN enrollment_subjects.add_outcome IS 'Result of the last add-to-group attempt (see src/participantOutcomes.js)';
+COMMENT ON COLUMN enrollment_subjects.add_attempts IS 'Add-to-group attempts made for this subject, across jobs and retries';
+COMMENT ON COLUMN enrollment_subjects.last_add_error IS 'WhatsApp answer or transport error of the last failed attempt';
+COMMENT ON COLUMN enrollment_subjects.withdrawn_at IS 'Set when the student left the group with "BAJA"; the slot is returned';
+COMMENT ON COLUMN group_add_jobs.kind IS 'enroll = add to group, withdraw = remove from group (BAJA), switch = move to another grupo (CAMBIAR), retry = new attempt after a failed addition, invite = add again sending a private invite if privacy blocks it (INVITAR)';
+COMMENT ON COLUMN group_add_jobs.group_jid IS 'Group to add to (enroll, switch) or remove from (withdraw)';
+COMMENT ON COLUMN group_add_jobs.target_grupo IS 'New grupo of a switch job; the old group is read from enrollment_subjects';
+COMMENT ON COLUMN subject_group_mapping.allow_invite_fallback IS 'Students blocked by privacy may ask for a private invite to this group (off for groups that must stay link-free)';
+COMMENT ON COLUMN group_invites.expires_at IS 'WhatsApp invalidates the invite after this; the cleaner marks it expired';
 COMMENT ON COLUMN enrollment_documents.document_hash IS 'SHA256 hash for duplicate detection';
+COMMENT ON COLUMN enrollment_documents.reminder_sent_at IS 'When the "about to expire" reminder was sent (sent at most once)';
 COMMENT ON COLUMN enrollment_documents.parsed_data IS 'JSON with parsed OCR data for reference';
+COMMENT ON COLUMN group_add_jobs.run_after IS 'Job is not picked up before this time (retry backoff or quota deferral)';
+COMMENT ON COLUMN group_add_jobs.deferral_notified IS 'Student was already told this job was postponed by the quota';
@@ -0,0 +1,275 @@
+import {
+    listGroupMappings,
+    getGroupMapping,
+    insertGroupMapping,
+    updateGroupMapping,
+    deleteGroupMapping,
+    findStudentByRegistration,
+    resetStudentEnrollments,
+    getStudentSubjects,
+    getPendingDocument,
+    listDocuments,
+    getDocumentById,
+    getSubjectsForDocument,
+    listSubjectResults,
+    insertAuditLog
+} from './database.js';
+import { addRoute, httpError, safeEqual } from './httpServer.js';
+import { isValidSubject, isValidRegistration, parseId } from './adminValidation.js';
+import { STATES, getState, transition } from './conversationState.js';
+import { OUTCOMES } from './participantOutcomes.js';
+import { logger } from './logger.js';
+import { ADMIN_API_TOKEN } from './config.js';
+
+const DOCUMENT_STATUSES = ['pending', 'confirmed', 'processing', 'completed', 'failed', 'expired', 'cancelled'];
+const MAX_PAGE = 200;
+
+/**
+ * Register the /api routes on the embedded HTTP server
+ * Every route needs "Authorization: Bearer <ADMIN_API_TOKEN>"; without a
+ * token configured the API stays disabled.
+ * @returns {boolean} Whether the API was enabled
+ */
+export function registerAdminApi() {
+    if (!ADMIN_API_TOKEN) {
+        logger.warn('Admin API disabled: ADMIN_API_TOKEN is not set');
+        return false;
+    }
+
+    const options = { auth: hasValidToken, challenge: 'Bearer' };
+
+    addRoute('GET', '/api/mappings', listMappings, options);
+    addRoute('POST', '/api/mappings', createMapping, options);
+    addRoute('GET', '/api/mappings/:id', showMapping, options);
+    addRoute('PATCH', '/api/mappings/:id', editMapping, options);
+    addRoute('DELETE', '/api/mappings/:id', removeMapping, options);
+    addRoute('GET', '/api/students/:registro', showStudent, options);
+    addRoute('POST', '/api/students/:registro/reset', resetStudent, options);
+    addRoute('GET', '/api/documents', listDocumentsRoute, options);
+    addRoute('GET', '/api/documents/:id', showDocument, options);
+    addRoute('GET', '/api/subjects', listSubjectsRoute, options);
+
+    logger.info('Admin API enabled');
+    return true;
+}
+
+/**
+ * Compare the bearer token in constant time
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function hasValidToken(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && !!token && safeEqual(token, ADMIN_API_TOKEN);
+}
+
+/**
+ * Record a mutating call in the audit trail
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} action
+ * @param {string|number} target
+ * @param {object|null} details
+ */
+async function audit(req, action, target, details = null) {
+    await insertAuditLog(`api:${req.socket.remoteAddress}`, action, String(target), details);
+}
+
+/**
+ * @param {object} query - limit / offset query parameters
+ * @param {number} defaultLimit
+ * @returns {{limit: number, offset: number}}
+ */
+function parsePage(query, defaultLimit) {
+    const limit = Math.min(parseInt(query.limit) || defaultLimit, MAX_PAGE);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+}
+
+/**
+ * @param {string} registro - Route parameter
+ * @returns {Promise<object>} Student row
+ */
+async function requireStudent(registro) {
+    if (!isValidRegistration(registro)) {
+        throw httpError(400, 'Invalid registration number');
+    }
+
+    const student = await findStudentByRegistration(registro);
+    if (!student) {
+        throw httpError(404, 'Student not found');
+    }
+    return student;
+}
+
+/**
+ * Validate the editable fields of a mapping
+ * @param {object} body
+ * @returns {object} Only the known fields
+ */
+function mappingFields(body) {
+    const fields = {};
+
+    if (body.groupJid !== undefined) {
+        if (typeof body.groupJid !== 'string' || !body.groupJid.endsWith('@g.us')) {
+            throw httpError(400, 'groupJid must be a group JID (...@g.us)');
+        }
+        fields.groupJid = body.groupJid;
+    }
+    if (body.materiaName !== undefined) {
+        if (body.materiaName !== null && typeof body.materiaName !== 'string') {
+            throw httpError(400, 'materiaName must be a string');
+        }
+        fields.materiaName = body.materiaName;
+    }
+    for (const flag of ['active', 'allowInviteFallback']) {
+        if (body[flag] !== undefined) {
+            if (typeof body[flag] !== 'boolean') {
+                throw httpError(400, `${flag} must be a boolean`);
+            }
+            fields[flag] = body[flag];
+        }
+    }
+
+    return fields;
+}
+
+/** GET /api/mappings */
+async function listMappings() {
+    return { body: await listGroupMappings() };
+}
+
+/** POST /api/mappings { sigla, grupo, groupJid, materiaName?, allowInviteFallback? } */
+async function createMapping({ req, body }) {
+    const sigla = String(body.sigla || '').toUpperCase();
+    const grupo = String(body.grupo || '').toUpperCase();
+
+    if (!isValidSubject(sigla, grupo)) {
+        throw httpError(400, 'Invalid sigla or grupo');
+    }
+    if (body.groupJid === undefined) {
+        throw httpError(400, 'groupJid is required');
+    }
+
+    const fields = mappingFields(body);
+
+    try {
+        const mapping = await insertGroupMapping({ sigla, grupo, ...fields });
+        await audit(req, 'mapping.create', mapping.id, { sigla, grupo, ...fields });
+        return { status: 201, body: mapping };
+    } catch (error) {
+        if (error.code === '23505') {
+            throw httpError(409, `Mapping ${sigla} ${grupo} already exists`);
+        }
+        throw error;
+    }
+}
+
+/** GET /api/mappings/:id */
+async function showMapping({ params }) {
+    const mapping = await getGroupMapping(parseId(params.id));
+    if (!mapping) {
+        throw httpError(404, 'Mapping not found');
+    }
+    return { body: mapping };
+}
+
+/** PATCH /api/mappings/:id { groupJid?, materiaName?, active?, allowInviteFallback? } */
+async function editMapping({ req, params, body }) {
+    const id = parseId(params.id);
+    const fields = mappingFields(body);
+
+    const mapping = await updateGroupMapping(id, fields);
+    if (!mapping) {
+        throw httpError(404, 'Mapping not found');
+    }
+
+    await audit(req, 'mapping.update', id, fields);
+    return { body: mapping };
+}
+
+/** DELETE /api/mappings/:id */
+async function removeMapping({ req, params }) {
+    const id = parseId(params.id);
+
+    const mapping = await deleteGroupMapping(id);
+    if (!mapping) {
+        throw httpError(404, 'Mapping not found');
+    }
+
+    await audit(req, 'mapping.delete', id, { sigla: mapping.sigla, grupo: mapping.grupo });
+    return { status: 204, body: null };
+}
+
+/** GET /api/students/:registro */
+async function showStudent({ params }) {
+    const student = await requireStudent(params.registro);
+
+    return {
+        body: {
+            ...student,
+            conversation: await getState(student.whatsapp_id),
+            pendingDocument: await getPendingDocument(student.whatsapp_id),
+            subjects: await getStudentSubjects(student.whatsapp_id)
+        }
+    };
+}
+
+/** POST /api/students/:registro/reset */
+async function resetStudent({ req, params }) {
+    const student = await requireStudent(params.registro);
+
+    const documentsDeleted = await resetStudentEnrollments(student.id);
+    await transition(student.whatsapp_id, STATES.IDLE, { force: true });
+
+    await audit(req, 'student.reset', student.registration_number, { documentsDeleted });
+    return { body: { registrationNumber: student.registration_number, documentsDeleted } };
+}
+
+/** GET /api/documents?status=&registro=&limit=&offset= */
+async function listDocumentsRoute({ query }) {
+    if (query.status && !DOCUMENT_STATUSES.includes(query.status)) {
+        throw httpError(400, `status must be one of: ${DOCUMENT_STATUSES.join(', ')}`);
+    }
+
+    return {
+        body: await listDocuments({
+            status: query.status || null,
+            registrationNumber: query.registro || null,
+            ...parsePage(query, 50)
+        })
+    };
+}
+
+/** GET /api/documents/:id (with the result of each subject) */
+async function showDocument({ params }) {
+    const id = parseId(params.id);
+
+    const document = await getDocumentById(id);
+    if (!document) {
+        throw httpError(404, 'Document not found');
+    }
+
+    return { body: { ...document, subjects: await getSubjectsForDocument(id) } };
+}
+
+/** GET /api/subjects?sigla=&grupo=&outcome=&limit=&offset= */
+async function listSubjectsRoute({ query }) {
+    const outcomes = Object.values(OUTCOMES);
+
+    if (query.outcome && !outcomes.includes(query.outcome)) {
+        throw httpError(400, `outcome must be one of: ${outcomes.join(', ')}`);
+    }
+
+    return {
+        body: await listSubjectResults({
+            sigla: query.sigla ? query.sigla.toUpperCase() : null,
+            grupo: query.grupo ? query.grupo.toUpperCase() : null,
+            outcome: query.outcome || null,
+            ...parsePage(query, 100)
+        })
+    };
+}
+
+export default {
+    registerAdminApi
+};
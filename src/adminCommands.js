@@ -0,0 +1,255 @@
+import {
+    markMessageProcessed,
+    upsertGroupMapping,
+    findStudentByRegistration,
+    resetStudentEnrollments,
+    getStudentSubjects,
+    getPendingDocument,
+    getBotStats,
+    insertAuditLog
+} from './database.js';
+import { STATES, getState, transition } from './conversationState.js';
+import { setWorkerPaused, isWorkerPaused } from './jobQueue.js';
+import { getQuotaUsage } from './quota.js';
+import { OUTCOME_LABELS } from './participantOutcomes.js';
+import { isValidSubject, isValidRegistration } from './adminValidation.js';
+import { logger } from './logger.js';
+import { ADMIN_NUMBERS, MAX_SUBJECTS_PER_USER } from './config.js';
+
+/**
+ * Commands available to administrators, by name (after "!")
+ */
+const ADMIN_COMMANDS = {
+    mapear: mapGroup,
+    estudiante: showStudent,
+    reset: resetStudent,
+    stats: showStats,
+    pausa: pauseQueue,
+    reanudar: resumeQueue,
+    ayuda: showHelp
+};
+
+/**
+ * Whether a WhatsApp ID is in the ADMIN_NUMBERS whitelist
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isAdmin(userId) {
+    return ADMIN_NUMBERS.includes(userId);
+}
+
+/**
+ * Whether a message is an administrator command ("!stats" from a whitelisted number)
+ * Anything else from an admin goes through the student flow, so they can test it.
+ * @param {object} message - Incoming transport message
+ * @returns {boolean}
+ */
+export function isAdminCommand(message) {
+    return isAdmin(message.from) && (message.body || '').trim().startsWith('!');
+}
+
+/**
+ * Run an administrator command and reply with the result
+ * @param {object} transport - Messaging transport
+ * @param {object} message - Incoming transport message (already checked with isAdminCommand)
+ */
+export async function handleAdminCommand(transport, message) {
+    const adminId = message.from;
+
+    try {
+        if (message.id && !(await markMessageProcessed(message.id, adminId))) {
+            return;
+        }
+
+        const [name, ...args] = message.body.trim().slice(1).split(/\s+/);
+        const command = ADMIN_COMMANDS[name.toLowerCase()] || showHelp;
+
+        logger.info('Admin command received', { adminId, command: name, args });
+
+        const reply = await command(transport, args, adminId);
+        await transport.sendText(adminId, reply);
+
+    } catch (error) {
+        logger.error('Error handling admin command', {
+            error: error.message,
+            adminId,
+            body: message.body
+        });
+
+        await transport.sendText(adminId, `❌ Error: ${error.message}`);
+    }
+}
+
+/**
+ * !mapear SIGLA GRUPO JID [nombre de la materia]
+ * @returns {Promise<string>}
+ */
+async function mapGroup(transport, args, adminId) {
+    const [sigla, grupo, jid, ...nameParts] = args;
+
+    if (!sigla || !grupo || !jid
+        || !isValidSubject(sigla.toUpperCase(), grupo.toUpperCase())
+        || !jid.endsWith('@g.us')) {
+        return `Uso: *!mapear SIGLA GRUPO JID [nombre]*\nEjemplo: !mapear INF412 5A 120363422425868357@g.us Sistemas de Información II`;
+    }
+
+    const inserted = await upsertGroupMapping(
+        sigla.toUpperCase(),
+        grupo.toUpperCase(),
+        jid,
+        nameParts.length > 0 ? nameParts.join(' ') : null
+    );
+
+    await insertAuditLog(`whatsapp:${adminId}`, inserted ? 'mapping.create' : 'mapping.update',
+        `${sigla.toUpperCase()} ${grupo.toUpperCase()}`, { groupJid: jid });
+
+    const groups = await transport.listGroups();
+    const group = groups.find(g => g.id === jid);
+
+    return `✅ Mapeo ${inserted ? 'creado' : 'actualizado'}: *${sigla.toUpperCase()} - ${grupo.toUpperCase()}* → ${jid}\n` +
+        (group
+            ? `Grupo: ${group.name} (${group.participantCount} participantes)`
+            : `⚠️ El bot no está en ese grupo, no podrá agregar estudiantes.`);
+}
+
+/**
+ * !estudiante REGISTRO
+ * @returns {Promise<string>}
+ */
+async function showStudent(transport, args) {
+    const [registro] = args;
+
+    if (!registro || !isValidRegistration(registro)) {
+        return `Uso: *!estudiante REGISTRO*`;
+    }
+
+    const student = await findStudentByRegistration(registro);
+
+    if (!student) {
+        return `ℹ️ No hay estudiante con registro ${registro}.`;
+    }
+
+    const subjects = await getStudentSubjects(student.whatsapp_id);
+    const pendingDoc = await getPendingDocument(student.whatsapp_id);
+    const conversacion = await getState(student.whatsapp_id);
+
+    let msg = `👤 *${student.student_name}* (${student.registration_number})\n` +
+        `WhatsApp: ${student.whatsapp_id}\n` +
+        `Materias: ${student.total_subjects_enrolled}/${MAX_SUBJECTS_PER_USER}\n` +
+        `Estado: ${conversacion.state}\n`;
+
+    if (subjects.length > 0) {
+        msg += `\n*Materias:*\n`;
+        for (const s of subjects) {
+            const icon = s.withdrawn_at ? '🚪' : s.added_to_group ? '✓' : '✗';
+            const outcome = !s.added_to_group && s.add_outcome ? `: ${OUTCOME_LABELS[s.add_outcome]}` : '';
+            msg += `  ${icon} ${s.sigla} - ${s.grupo} (boleta #${s.document_id}, ${s.document_status})${outcome}\n`;
+        }
+    }
+
+    if (pendingDoc) {
+        msg += `\n📝 Boleta pendiente #${pendingDoc.id} (${new Date(pendingDoc.created_at).toLocaleString()})`;
+    }
+
+    return msg;
+}
+
+/**
+ * !reset REGISTRO — deletes the student's documents and resets the counter
+ * @returns {Promise<string>}
+ */
+async function resetStudent(transport, args, adminId) {
+    const [registro] = args;
+
+    if (!registro || !isValidRegistration(registro)) {
+        return `Uso: *!reset REGISTRO*`;
+    }
+
+    const student = await findStudentByRegistration(registro);
+
+    if (!student) {
+        return `ℹ️ No hay estudiante con registro ${registro}.`;
+    }
+
+    const deleted = await resetStudentEnrollments(student.id);
+    await transition(student.whatsapp_id, STATES.IDLE, { force: true });
+
+    await insertAuditLog(`whatsapp:${adminId}`, 'student.reset', registro, { documentsDeleted: deleted });
+    logger.warn('Student reset by admin', { adminId, registro, documentsDeleted: deleted });
+
+    return `🗑️ *${student.student_name}* (${registro}) reiniciado\n` +
+        `Boletas eliminadas: ${deleted}\n` +
+        `Materias inscritas: 0/${MAX_SUBJECTS_PER_USER}\n\n` +
+        `_Los grupos de WhatsApp no se modificaron._`;
+}
+
+/**
+ * !stats
+ * @returns {Promise<string>}
+ */
+async function showStats(transport) {
+    const stats = await getBotStats();
+    const quota = (await getQuotaUsage()).find(q => q.accountId === transport.getAccountId());
+
+    return `📊 *Estadísticas*\n\n` +
+        `Cola: ${isWorkerPaused() ? '⏸️ en pausa' : '▶️ activa'} (${stats.open_jobs} trabajos abiertos)\n` +
+        `Estudiantes: ${stats.students}\n` +
+        `Boletas pendientes: ${stats.pending_documents}\n` +
+        `Boletas en proceso: ${stats.processing_documents}\n` +
+        `Atención humana: ${stats.handoffs}\n\n` +
+        `*Últimas 24 horas:*\n` +
+        `  Boletas completadas: ${stats.completed_today}\n` +
+        `  Materias agregadas: ${stats.added_today}\n` +
+        `  Trabajos fallidos: ${stats.failed_jobs_today}\n` +
+        (quota
+            ? `  Cuota: ${quota.hourly.used}/${quota.hourly.limit} (hora), ${quota.daily.used}/${quota.daily.limit} (día)`
+            : `  Cuota: sin adiciones`);
+}
+
+/**
+ * !pausa — stops every group operation until !reanudar
+ * @returns {Promise<string>}
+ */
+async function pauseQueue(transport, args, adminId) {
+    if (isWorkerPaused()) {
+        return `ℹ️ La cola ya está en pausa.`;
+    }
+
+    await setWorkerPaused(true, adminId);
+    await insertAuditLog(`whatsapp:${adminId}`, 'queue.pause');
+    return `⏸️ Cola en pausa. No se agregará ni sacará a nadie de los grupos hasta *!reanudar*.\n` +
+        `Los estudiantes pueden seguir enviando boletas; sus adiciones esperan en la cola.`;
+}
+
+/**
+ * !reanudar
+ * @returns {Promise<string>}
+ */
+async function resumeQueue(transport, args, adminId) {
+    if (!isWorkerPaused()) {
+        return `ℹ️ La cola no está en pausa.`;
+    }
+
+    await setWorkerPaused(false, adminId);
+    await insertAuditLog(`whatsapp:${adminId}`, 'queue.resume');
+    return `▶️ Cola reanudada.`;
+}
+
+/**
+ * !ayuda (also any unknown command)
+ * @returns {Promise<string>}
+ */
+async function showHelp() {
+    return `🛠️ *Comandos de administrador*\n\n` +
+        `*!mapear SIGLA GRUPO JID [nombre]* — crear o cambiar un mapeo\n` +
+        `*!estudiante REGISTRO* — ver un estudiante\n` +
+        `*!reset REGISTRO* — borrar sus boletas y reiniciar su contador\n` +
+        `*!stats* — estadísticas del bot\n` +
+        `*!pausa* / *!reanudar* — detener o reanudar las operaciones de grupo`;
+}
+
+export default {
+    isAdmin,
+    isAdminCommand,
+    handleAdminCommand
+};
@@ -0,0 +1,43 @@
+import { httpError } from './httpServer.js';
+
+// Shared by the administration surfaces: WhatsApp commands, /api and /dashboard
+const SIGLA = /^[A-Z]{3,4}\d{3,4}$/;
+const GRUPO = /^\d?[A-Z]{1,2}$/;
+const REGISTRO = /^\d{6,12}$/;
+
+/**
+ * Whether a SIGLA and GRUPO look like a real subject (e.g. INF412 5A)
+ * @param {string} sigla - Upper case
+ * @param {string} grupo - Upper case
+ * @returns {boolean}
+ */
+export function isValidSubject(sigla, grupo) {
+    return SIGLA.test(sigla) && GRUPO.test(grupo);
+}
+
+/**
+ * @param {string} registro - Student registration number
+ * @returns {boolean}
+ */
+export function isValidRegistration(registro) {
+    return REGISTRO.test(registro);
+}
+
+/**
+ * @param {string} value - Route parameter
+ * @returns {number} Positive integer ID
+ * @throws {Error} HTTP 400 if it is not one
+ */
+export function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw httpError(400, 'Invalid id');
+    }
+    return id;
+}
+
+export default {
+    isValidSubject,
+    isValidRegistration,
+    parseId
+};
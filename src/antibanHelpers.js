@@ -15,11 +15,12 @@ export function randomDelay(minMs, maxMs) {
 /**
  * Simulate typing indicator based on message length
  * ~50 characters = 2-3 seconds of "typing"
- * @param {object} chat - WhatsApp chat object
+ * @param {object} transport - Messaging transport
+ * @param {string} chatId - Chat ID
  * @param {string} message - Message to be sent
  * @returns {Promise<void>}
  */
-export async function simulateTyping(chat, message) {
+export async function simulateTyping(transport, chatId, message) {
     try {
         const messageLength = message.length;
         
@@ -37,7 +38,7 @@ export async function simulateTyping(chat, message) {
         });
         
         // Send typing indicator
-        await chat.sendStateTyping();
+        await transport.sendTyping(chatId);
         
         // Wait for the calculated duration
         await new Promise(resolve => setTimeout(resolve, finalDuration));
@@ -53,24 +54,25 @@ export async function simulateTyping(chat, message) {
  * - Initial random delay (2-5 seconds)
  * - Typing simulation based on length
  * - Send message
- * @param {object} chat - WhatsApp chat object
+ * @param {object} transport - Messaging transport
+ * @param {string} chatId - Chat ID
  * @param {string} texto - Message text
- * @param {object} options - Additional options for sendMessage
+ * @param {object} options - Additional options for sendText
  * @returns {Promise<object>} Message object
  */
-export async function enviarMensajeHumano(chat, texto, options = {}) {
+export async function enviarMensajeHumano(transport, chatId, texto, options = {}) {
     try {
         // Initial delay before responding (2-5 seconds)
         await randomDelay(2000, 5000);
         
         // Simulate typing
-        await simulateTyping(chat, texto);
+        await simulateTyping(transport, chatId, texto);
         
         // Send the message
-        const message = await chat.sendMessage(texto, options);
+        const message = await transport.sendText(chatId, texto, options);
         
         logger.info('Human-like message sent', { 
-            chatId: chat.id._serialized,
+            chatId,
             messageLength: texto.length
         });
         
@@ -79,7 +81,7 @@ export async function enviarMensajeHumano(chat, texto, options = {}) {
     } catch (error) {
         logger.error('Error sending human-like message', { 
             error: error.message,
-            chatId: chat.id._serialized 
+            chatId
         });
         throw error;
     }
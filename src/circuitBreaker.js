@@ -0,0 +1,83 @@
+import { logger } from './logger.js';
+
+/**
+ * Breaker states
+ */
+export const CIRCUIT_STATES = Object.freeze({
+    CLOSED: 'closed',       // requests go through
+    OPEN: 'open',           // too many failures, requests are skipped
+    HALF_OPEN: 'half_open'  // cooldown over, one trial request is let through
+});
+
+/**
+ * Create a circuit breaker for an unreliable dependency
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * allowRequest() returns false for `cooldownMs`. Then a single trial request
+ * goes through: success closes the circuit, failure opens it again.
+ * @param {object} options
+ * @param {string} options.name - Used in logs
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.cooldownMs - Time open before the trial request
+ * @param {function(string): void} [options.onStateChange] - Called with the new state
+ * @returns {{allowRequest: function(): boolean, recordSuccess: function(): void, recordFailure: function(): void, getState: function(): string}}
+ */
+export function createCircuitBreaker({ name, failureThreshold, cooldownMs, onStateChange = () => {} }) {
+    let state = CIRCUIT_STATES.CLOSED;
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    const setState = (next) => {
+        if (next === state) return;
+
+        logger.info('Circuit state changed', { circuit: name, from: state, to: next, failures });
+        state = next;
+        onStateChange(next);
+    };
+
+    return {
+        /**
+         * Whether a request may be attempted now
+         * @returns {boolean}
+         */
+        allowRequest() {
+            if (state === CIRCUIT_STATES.CLOSED) return true;
+
+            if (state === CIRCUIT_STATES.OPEN && Date.now() - openedAt >= cooldownMs) {
+                setState(CIRCUIT_STATES.HALF_OPEN);
+            }
+
+            if (state === CIRCUIT_STATES.HALF_OPEN && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+
+            return false;
+        },
+
+        recordSuccess() {
+            failures = 0;
+            trialInFlight = false;
+            setState(CIRCUIT_STATES.CLOSED);
+        },
+
+        recordFailure() {
+            failures++;
+            trialInFlight = false;
+
+            if (state === CIRCUIT_STATES.HALF_OPEN || failures >= failureThreshold) {
+                openedAt = Date.now();
+                setState(CIRCUIT_STATES.OPEN);
+            }
+        },
+
+        getState() {
+            return state;
+        }
+    };
+}
+
+export default {
+    CIRCUIT_STATES,
+    createCircuitBreaker
+};
@@ -1,32 +1,150 @@
-import { expireOldDocuments } from './database.js';
+import {
+    expireOldDocuments,
+    claimExpiryReminders,
+    getPendingDocument,
+    hasRecentInboundMessage,
+    purgeProcessedMessages,
+    expireGroupInvites
+} from './database.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
 import { logger } from './logger.js';
+import { EXPIRACION_DOCUMENTO, VENTANA_REACTIVIDAD_HORAS } from './config.js';
+
+let activeTransport = null;
+let cleanerInterval = null;
+let running = false;
 
 /**
  * Start automatic cleanup task for expired pending documents
- * Runs every 2 minutes
+ * Runs every 2 minutes. Calling it again after a reconnection only swaps
+ * the transport used for reminders and expiry notices.
+ * @param {object} transport - Messaging transport
  */
-export function startExpirationCleaner() {
+export function startExpirationCleaner(transport) {
+    activeTransport = transport;
+
+    if (cleanerInterval) {
+        return;
+    }
+
     logger.info('Starting expiration cleaner task');
-    
+
     // Run immediately on startup
     cleanupExpiredDocuments();
-    
+
     // Then run every 2 minutes
-    setInterval(cleanupExpiredDocuments, 2 * 60 * 1000);
+    cleanerInterval = setInterval(cleanupExpiredDocuments, 2 * 60 * 1000);
 }
 
 /**
  * Clean up expired documents
+ * Skipped if the previous run is still sending messages
  */
 async function cleanupExpiredDocuments() {
+    if (running) return;
+    running = true;
+
     try {
-        const expiredCount = await expireOldDocuments(10); // 10 minutes timeout
-        
-        if (expiredCount > 0) {
-            logger.info('Cleanup task completed', { expiredCount });
+        const reminders = await claimExpiryReminders(
+            EXPIRACION_DOCUMENTO.MINUTOS,
+            EXPIRACION_DOCUMENTO.RECORDATORIO_ANTES_MINUTOS
+        );
+        for (const doc of reminders) {
+            await sendExpiryReminder(doc);
+        }
+
+        const expired = await expireOldDocuments(EXPIRACION_DOCUMENTO.MINUTOS);
+        const notified = new Set();
+        for (const doc of expired) {
+            // One notice per student, even if several boletas expired together
+            if (notified.has(doc.whatsapp_id)) continue;
+            notified.add(doc.whatsapp_id);
+            await sendExpiryNotice(doc);
+        }
+
+        const purgedMessages = await purgeProcessedMessages(7); // keep a week of message IDs
+        const expiredInvites = await expireGroupInvites();
+
+        if (expired.length > 0 || reminders.length > 0 || purgedMessages > 0 || expiredInvites > 0) {
+            logger.info('Cleanup task completed', {
+                expiredCount: expired.length,
+                remindersSent: reminders.length,
+                purgedMessages,
+                expiredInvites
+            });
         }
     } catch (error) {
         logger.error('Error in cleanup task', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Only message users who wrote to us within the reactivity window
+ * @param {string} whatsappId
+ * @returns {Promise<boolean>}
+ */
+async function canMessage(whatsappId) {
+    if (!activeTransport) return false;
+    return await hasRecentInboundMessage(whatsappId, VENTANA_REACTIVIDAD_HORAS);
+}
+
+/**
+ * Remind the student that their pending document is about to expire
+ * @param {object} doc - { id, whatsapp_id, created_at }
+ */
+async function sendExpiryReminder(doc) {
+    try {
+        if (!(await canMessage(doc.whatsapp_id))) {
+            logger.info('Expiry reminder skipped (reactivity window)', { documentId: doc.id });
+            return;
+        }
+
+        const deadline = new Date(doc.created_at).getTime() + EXPIRACION_DOCUMENTO.MINUTOS * 60 * 1000;
+        const minutesLeft = Math.max(1, Math.round((deadline - Date.now()) / (60 * 1000)));
+
+        await enviarMensajeHumano(
+            activeTransport,
+            doc.whatsapp_id,
+            `⏰ *Tu boleta está por expirar*\n\n` +
+            `Te quedan unos ${minutesLeft} minuto(s) para confirmarla.\n` +
+            `Responde *"LISTO"* para inscribirte, o *CANCELAR* si ya no quieres continuar.`
+        );
+
+        logger.info('Expiry reminder sent', { documentId: doc.id, userId: doc.whatsapp_id });
+    } catch (error) {
+        logger.error('Error sending expiry reminder', { error: error.message, documentId: doc.id });
+    }
+}
+
+/**
+ * Tell the student their pending document expired
+ * @param {object} doc - { id, whatsapp_id }
+ */
+async function sendExpiryNotice(doc) {
+    try {
+        // A newer boleta is still pending: this notice would only confuse
+        if (await getPendingDocument(doc.whatsapp_id)) {
+            return;
+        }
+
+        if (!(await canMessage(doc.whatsapp_id))) {
+            logger.info('Expiry notice skipped (reactivity window)', { documentId: doc.id });
+            return;
+        }
+
+        await enviarMensajeHumano(
+            activeTransport,
+            doc.whatsapp_id,
+            `⏱️ *Tu boleta expiró*\n\n` +
+            `No recibí tu confirmación en ${EXPIRACION_DOCUMENTO.MINUTOS} minutos, así que la descarté.\n` +
+            `Si todavía quieres inscribirte, envía tu boleta nuevamente.`
+        );
+
+        logger.info('Expiry notice sent', { documentId: doc.id, userId: doc.whatsapp_id });
+    } catch (error) {
+        logger.error('Error sending expiry notice', { error: error.message, documentId: doc.id });
     }
 }
 
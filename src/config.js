@@ -1,14 +1,171 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+// Load .env before any module reads process.env at import time
+dotenv.config();
+
 /**
  * Límite máximo de materias por estudiante (acumulativo permanente)
  */
 export const MAX_SUBJECTS_PER_USER = 8;
 
+/**
+ * Transporte de WhatsApp: 'wwebjs' (whatsapp-web.js + Chromium) o 'baileys' (socket, sin navegador)
+ */
+export const WHATSAPP_TRANSPORT = process.env.WHATSAPP_TRANSPORT || 'wwebjs';
+
+/**
+ * Carpeta de sesión de cada transporte
+ */
+export const AUTH_PATHS = {
+    wwebjs: './auth_info',
+    baileys: './auth_info/baileys'
+};
+
+/**
+ * Espera antes de reconectar tras una desconexión (ms)
+ * Se duplica con cada desconexión seguida y vuelve al mínimo al conectar.
+ */
+export const RECONEXION = {
+    ESPERA_INICIAL: 5000,
+    ESPERA_MAXIMA: 5 * 60 * 1000
+};
+
+/**
+ * Números de WhatsApp que pueden enviar comandos de administrador ("!stats"...)
+ * ADMIN_NUMBERS en .env, separados por coma: 59170000000,59171111111
+ */
+export const ADMIN_NUMBERS = (process.env.ADMIN_NUMBERS || '')
+    .split(',')
+    .map(numero => numero.replace(/[^\d]/g, ''))
+    .filter(Boolean)
+    .map(numero => `${numero}@c.us`);
+
+/**
+ * Servidor HTTP embebido (/metrics, /healthz, API de administración y panel web)
+ * Escucha solo en localhost salvo que HTTP_HOST diga otra cosa.
+ * Sin ADMIN_API_TOKEN la API de administración no se habilita.
+ */
+export const SERVIDOR_HTTP = {
+    PUERTO: parseInt(process.env.HTTP_PORT) || 3000,
+    HOST: process.env.HTTP_HOST || '127.0.0.1',
+    MAX_CUERPO_BYTES: 64 * 1024
+};
+
+export const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+
+/**
+ * Panel web para el personal (/dashboard, autenticación Basic)
+ * Sin DASHBOARD_PASSWORD el panel queda deshabilitado.
+ */
+export const PANEL_WEB = {
+    USUARIO: process.env.DASHBOARD_USER || 'admin',
+    PASSWORD: process.env.DASHBOARD_PASSWORD || null,
+    REFRESCO_SEGUNDOS: 30,      // recarga automática de la portada
+    DOCUMENTOS_POR_PAGINA: 25
+};
+
+/**
+ * Cadena de proveedores de OCR (src/ocrProviders)
+ * Se prueban en orden y gana el primero que responde; los que no leen ese
+ * tipo de archivo o no tienen credenciales se saltan.
+ * OCR_PROVIDERS=pdf_text,ocr_space,openai_vision,tesseract
+ * OCR_TIMEOUTS=ocr_space:20000,tesseract:60000 (ms por proveedor)
+ */
+export const OCR = {
+    PROVEEDORES: (process.env.OCR_PROVIDERS || 'pdf_text,ocr_space,openai_vision,tesseract')
+        .split(',')
+        .map(nombre => nombre.trim())
+        .filter(Boolean),
+    TIEMPO_LIMITE: {
+        pdf_text: 15000,
+        ocr_space: 30000,
+        openai_vision: 45000,
+        tesseract: 120000,
+        ...Object.fromEntries((process.env.OCR_TIMEOUTS || '')
+            .split(',')
+            .map(par => par.split(':').map(parte => parte.trim()))
+            .filter(([nombre, ms]) => nombre && parseInt(ms) > 0)
+            .map(([nombre, ms]) => [nombre, parseInt(ms)]))
+    },
+    TIEMPO_LIMITE_POR_DEFECTO: 30000,
+    CIRCUITO: {
+        FALLOS_PARA_ABRIR: 3,       // fallos seguidos que sacan a un proveedor de la cadena
+        PAUSA: 5 * 60 * 1000        // tiempo fuera antes de volver a probarlo (ms)
+    }
+};
+
+/**
+ * Tesseract (proveedor offline)
+ * Un grupo fijo de workers se crea al primer uso y se reutiliza; cada worker
+ * carga spa.traineddata desde la raíz del repositorio, sin descargar nada.
+ * Con todos los workers ocupados las boletas esperan en cola, hasta COLA_MAXIMA.
+ * TESSERACT_WORKERS=1
+ * TESSERACT_PSM=3 (modo de segmentación de página de Tesseract)
+ * TESSERACT_WHITELIST= (caracteres permitidos; vacío = todos)
+ */
+export const TESSERACT = {
+    IDIOMA: 'spa',
+    RUTA_MODELOS: fileURLToPath(new URL('..', import.meta.url)),
+    TRABAJADORES: Math.max(1, parseInt(process.env.TESSERACT_WORKERS) || 1),  // cada worker ocupa ~100 MB
+    COLA_MAXIMA: 10,
+    PARAMETROS: {
+        tessedit_pageseg_mode: process.env.TESSERACT_PSM || '3',
+        tessedit_char_whitelist: process.env.TESSERACT_WHITELIST || ''
+    }
+};
+
+/**
+ * Preprocesado de fotos antes de Tesseract
+ * OCR_PREPROCESS_PROFILE elige un perfil de src/preprocessing.js: document
+ * (endereza, recorta y binariza; por defecto), original, enhanced,
+ * aggressive, soft o minimal.
+ */
+export const PREPROCESADO = {
+    PERFIL: process.env.OCR_PREPROCESS_PROFILE || 'document',
+    ANCHO_MAXIMO: 2400          // px; fotos más anchas se reducen antes de enderezarlas o binarizarlas
+};
+
+/**
+ * Control de calidad de fotos antes del OCR
+ * Las fotos que no pasan se rechazan con un aviso de qué corregir, sin gastar
+ * la cadena de OCR. IMAGE_QUALITY_CHECK=false lo desactiva.
+ * Nitidez, brillo y papel se miden sobre la foto reducida a ANCHO_ANALISIS px.
+ */
+export const CALIDAD_IMAGEN = {
+    ACTIVADO: process.env.IMAGE_QUALITY_CHECK !== 'false',
+    ANCHO_ANALISIS: 1000,
+    LADO_MINIMO: 600,           // px del lado corto de la foto original
+    NITIDEZ_MINIMA: 150,        // varianza del Laplaciano
+    BRILLO_MINIMO: 70,          // brillo medio (0-255)
+    BRILLO_MAXIMO: 245,
+    CONTRASTE_MINIMO: 20,       // desviación estándar del gris; una foto lisa no tiene texto
+    PAPEL_MINIMO: 0.2           // fracción de píxeles claros (papel) en el cuadro
+};
+
+/**
+ * PDFs escaneados
+ * Si la capa de texto tiene menos de MIN_CARACTERES_TEXTO, las páginas se
+ * rasterizan con pdf2pic (GraphicsMagick + Ghostscript) y pasan por los
+ * proveedores de imágenes.
+ */
+export const PDF = {
+    MIN_CARACTERES_TEXTO: 100,
+    MAX_PAGINAS: 5,             // las boletas tienen 1 o 2 páginas
+    DENSIDAD: 200,              // DPI del rasterizado
+    ANCHO: 1700                 // px, el alto mantiene la proporción
+};
+
 /**
  * Comandos que el bot reconoce
  */
 export const COMANDOS = {
     MENU: ["menu", "ayuda", "help", "start"],
-    CONFIRMAR: ["listo", "confirmar", "si", "sí", "ok", "ready"]
+    CONFIRMAR: ["listo", "confirmar", "si", "sí", "ok", "ready"],
+    HUMANO: ["asesor", "humano", "operador", "encargado"],
+    ESTADO: ["mismaterias", "misgrupos", "estado"],   // "MIS MATERIAS" (se compara sin espacios)
+    CANCELAR: ["cancelar", "descartar"],
+    REINTENTAR: ["reintentar"]
 };
 
 /**
@@ -22,6 +179,76 @@ export const DELAYS = {
     DESPUES_ERROR: [10000, 15000]       // 10-15 segundos después de un error
 };
 
+/**
+ * Regla de reactividad: solo se escribe a quien nos escribió en las últimas N horas
+ */
+export const VENTANA_REACTIVIDAD_HORAS = 24;
+
+/**
+ * Vida de una boleta pendiente de confirmación (en minutos)
+ */
+export const EXPIRACION_DOCUMENTO = {
+    MINUTOS: 10,                    // sin "LISTO" en este tiempo, la boleta expira
+    RECORDATORIO_ANTES_MINUTOS: 3   // un único recordatorio antes del vencimiento
+};
+
+/**
+ * Tiempo máximo en cada estado de conversación antes de volver a 'idle' (ms)
+ * null = sin límite (el estado termina por un evento, p. ej. fin del procesamiento)
+ */
+export const TIEMPOS_ESTADO = {
+    idle: null,
+    awaiting_document: 30 * 60 * 1000,      // 30 minutos esperando la boleta
+    awaiting_confirmation: EXPIRACION_DOCUMENTO.MINUTOS * 60 * 1000,
+    editing: EXPIRACION_DOCUMENTO.MINUTOS * 60 * 1000,
+    processing: null,
+    handoff: 24 * 60 * 60 * 1000            // 24 horas de atención humana
+};
+
+/**
+ * Cola persistente de adiciones a grupos (ver jobQueue.js)
+ */
+export const COLA_TRABAJOS = {
+    INTERVALO_SONDEO: 5000,     // cada cuánto el worker busca trabajos nuevos (ms)
+    MAX_INTENTOS: 3,            // intentos por adición cuando WhatsApp no responde
+    ESPERA_REINTENTO: 60000     // espera base entre reintentos, se duplica en cada intento (ms)
+};
+
+/**
+ * Reintentos automáticos de adiciones fallidas (trabajos 'retry')
+ * La espera depende del resultado del intento y se duplica en cada reintento (ms)
+ */
+export const REINTENTOS_AUTOMATICOS = {
+    MAX_REINTENTOS: 3,
+    // Primera espera según el resultado (ver participantOutcomes.js)
+    ESPERA_POR_RESULTADO: {
+        recently_left: 6 * 60 * 60 * 1000,      // 408: WhatsApp lo bloquea por horas
+        privacy_blocked: 60 * 60 * 1000,        // 403: tiempo para que agregue al bot o ajuste su privacidad
+        group_full: 6 * 60 * 60 * 1000,         // 419: hasta que el admin libere lugar
+        not_admin: 60 * 60 * 1000,              // hasta que el admin vuelva a nombrar al bot
+        transient: 10 * 60 * 1000               // 5xx, sin respuesta
+    },
+    SIN_REINTENTO: ['rejected']                 // 404 sin WhatsApp, 417 comunidad, otros
+};
+
+/**
+ * Invitación privada cuando la privacidad del estudiante bloquea la adición
+ * Solo se envía si el estudiante la pide ("INVITAR SIGLA") y el mapeo del
+ * grupo tiene allow_invite_fallback = TRUE
+ */
+export const INVITACIONES = {
+    VIGENCIA_DIAS: 3        // WhatsApp invalida la invitación privada a los 3 días
+};
+
+/**
+ * Límites de operaciones "añadir a grupo" por cuenta de WhatsApp del bot
+ * Ventanas móviles: última hora y últimas 24 horas
+ */
+export const CUOTA_ADICIONES = {
+    POR_HORA: parseInt(process.env.ADD_QUOTA_HOURLY) || 20,
+    POR_DIA: parseInt(process.env.ADD_QUOTA_DAILY) || 100
+};
+
 /**
  * Mensajes del bot
  */
@@ -36,6 +263,8 @@ export const MENSAJES = {
 3. Confirma los datos que detecté
 4. Te agregaré automáticamente a tus grupos
 
+📋 Escribe *MIS MATERIAS* para ver tus grupos y el estado de tu inscripción.
+
 💡 *Importante:*
 • Máximo ${MAX_SUBJECTS_PER_USER} materias por estudiante
 • La foto debe ser clara y legible
@@ -43,6 +272,16 @@ export const MENSAJES = {
 
 Envía tu boleta para comenzar! 📄`,
 
+    EN_PROCESO: `⏳ *Tu inscripción se está procesando*
+
+Te estoy agregando a tus grupos, uno por uno. Te avisaré cuando termine, no necesitas enviar nada más.`,
+
+    ATENCION_HUMANA: `🙋 *Te comunicaré con un encargado*
+
+Un encargado revisará tu conversación y te responderá por este chat. Mientras tanto no responderé mensajes automáticos.
+
+Escribe *menu* si quieres volver a usar el bot.`,
+
     NO_GRUPOS: `❌ No se encontraron materias válidas en tu mensaje.
 
 Envía tu boleta de inscripción (foto o PDF) para que pueda procesarla automáticamente.`
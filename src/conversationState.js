@@ -0,0 +1,100 @@
+import { getConversationState, saveConversationState } from './database.js';
+import { logger } from './logger.js';
+import { TIEMPOS_ESTADO } from './config.js';
+
+/**
+ * Conversation states of a student
+ */
+export const STATES = Object.freeze({
+    IDLE: 'idle',
+    AWAITING_DOCUMENT: 'awaiting_document',
+    AWAITING_CONFIRMATION: 'awaiting_confirmation',
+    EDITING: 'editing',
+    PROCESSING: 'processing',
+    HANDOFF: 'handoff'
+});
+
+/**
+ * Allowed transitions (from → to)
+ * Going back to idle is always allowed, it is how every flow ends.
+ */
+const TRANSITIONS = {
+    [STATES.IDLE]: [STATES.AWAITING_DOCUMENT, STATES.AWAITING_CONFIRMATION, STATES.HANDOFF],
+    [STATES.AWAITING_DOCUMENT]: [STATES.AWAITING_CONFIRMATION, STATES.HANDOFF],
+    [STATES.AWAITING_CONFIRMATION]: [STATES.AWAITING_CONFIRMATION, STATES.EDITING, STATES.PROCESSING, STATES.HANDOFF],
+    [STATES.EDITING]: [STATES.EDITING, STATES.AWAITING_CONFIRMATION, STATES.PROCESSING, STATES.HANDOFF],
+    [STATES.PROCESSING]: [STATES.HANDOFF],
+    [STATES.HANDOFF]: []
+};
+
+/**
+ * Get the current conversation state of a user
+ * A state past its timeout is reset to idle here, so callers never see it.
+ * @param {string} userId - User WhatsApp ID
+ * @returns {Promise<{state: string, documentId: number|null, enteredAt: Date|null}>}
+ */
+export async function getState(userId) {
+    const row = await getConversationState(userId);
+
+    if (!row) {
+        return { state: STATES.IDLE, documentId: null, enteredAt: null };
+    }
+
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+        logger.info('Conversation state timed out', { userId, state: row.state });
+        await saveConversationState(userId, STATES.IDLE, null, null);
+        return { state: STATES.IDLE, documentId: null, enteredAt: new Date() };
+    }
+
+    return {
+        state: row.state,
+        documentId: row.document_id,
+        enteredAt: row.entered_at
+    };
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+    return to === STATES.IDLE || TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Move a user to a new conversation state
+ * @param {string} userId - User WhatsApp ID
+ * @param {string} to - Target state
+ * @param {object} options
+ * @param {number|null} options.documentId - Document the new state refers to
+ * @param {boolean} options.force - Skip the transition check (startup recovery, admin reset)
+ * @returns {Promise<boolean>} false if the transition is not allowed
+ */
+export async function transition(userId, to, { documentId = null, force = false } = {}) {
+    const current = await getState(userId);
+
+    if (!force && !canTransition(current.state, to)) {
+        logger.warn('Conversation transition rejected', { userId, from: current.state, to });
+        return false;
+    }
+
+    const timeout = TIEMPOS_ESTADO[to];
+    const expiresAt = timeout ? new Date(Date.now() + timeout) : null;
+
+    await saveConversationState(userId, to, documentId, expiresAt);
+
+    if (current.state !== to) {
+        logger.info('Conversation transition', { userId, from: current.state, to, documentId });
+    }
+
+    return true;
+}
+
+export default {
+    STATES,
+    getState,
+    canTransition,
+    transition
+};
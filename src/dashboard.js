@@ -0,0 +1,494 @@
+import {
+    getDocumentStatusCounts,
+    getBotStats,
+    listDocuments,
+    getDocumentById,
+    getSubjectsForDocument,
+    getOpenJobsForDocument,
+    findStudentByRegistration,
+    getStudentSubjects,
+    getSubjectForReview,
+    retrySubjectNow,
+    cancelSubjectJobs,
+    correctSubject,
+    getGroupJID,
+    getSubjectName,
+    insertAuditLog
+} from './database.js';
+import { addRoute, httpError, safeEqual } from './httpServer.js';
+import { isValidSubject, isValidRegistration, parseId } from './adminValidation.js';
+import { getState } from './conversationState.js';
+import { isWorkerPaused } from './jobQueue.js';
+import { OUTCOME_LABELS } from './participantOutcomes.js';
+import { logger } from './logger.js';
+import { PANEL_WEB, COLA_TRABAJOS } from './config.js';
+
+const STATUS_LABELS = {
+    pending: 'Pendiente',
+    confirmed: 'Confirmada',
+    processing: 'En proceso',
+    completed: 'Completada',
+    failed: 'Fallida',
+    expired: 'Expirada',
+    cancelled: 'Cancelada'
+};
+
+const JOB_LABELS = {
+    enroll: 'inscripción',
+    withdraw: 'baja',
+    switch: 'cambio de grupo',
+    retry: 'reintento',
+    invite: 'invitación'
+};
+
+/**
+ * Register the /dashboard pages on the embedded HTTP server
+ * Staff log in with HTTP Basic (DASHBOARD_USER / DASHBOARD_PASSWORD); without
+ * a password configured the dashboard stays disabled.
+ * @returns {boolean} Whether the dashboard was enabled
+ */
+export function registerDashboard() {
+    if (!PANEL_WEB.PASSWORD) {
+        logger.warn('Dashboard disabled: DASHBOARD_PASSWORD is not set');
+        return false;
+    }
+
+    const options = { auth: hasValidCredentials, challenge: 'Basic realm="BotWhatsapp", charset="UTF-8"' };
+
+    addRoute('GET', '/dashboard', overviewPage, options);
+    addRoute('GET', '/dashboard/students', searchStudent, options);
+    addRoute('GET', '/dashboard/students/:registro', studentPage, options);
+    addRoute('GET', '/dashboard/documents/:id', documentPage, options);
+    addRoute('POST', '/dashboard/subjects/:id/retry', retrySubject, options);
+    addRoute('POST', '/dashboard/subjects/:id/cancel', cancelSubject, options);
+    addRoute('POST', '/dashboard/subjects/:id/fix', fixSubject, options);
+
+    logger.info('Dashboard enabled');
+    return true;
+}
+
+/**
+ * Decode the Basic credentials of a request
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {{user: string, password: string}|null}
+ */
+function basicCredentials(req) {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return null;
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+
+    return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function hasValidCredentials(req) {
+    const credentials = basicCredentials(req);
+    if (!credentials) return false;
+
+    // Evaluate both so a wrong user takes as long as a wrong password
+    const userOk = safeEqual(credentials.user, PANEL_WEB.USUARIO);
+    const passwordOk = safeEqual(credentials.password, PANEL_WEB.PASSWORD);
+    return userOk && passwordOk;
+}
+
+/**
+ * Record a dashboard change in the audit trail
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} action
+ * @param {string|number} target
+ * @param {object|null} details
+ */
+async function audit(req, action, target, details = null) {
+    await insertAuditLog(`dashboard:${basicCredentials(req).user}`, action, String(target), details);
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────
+
+/**
+ * Escape text for HTML
+ * @param {any} value
+ * @returns {string}
+ */
+function esc(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {Date|string|null} value
+ * @returns {string}
+ */
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString('es-BO') : '—';
+}
+
+/**
+ * Wrap page content in the dashboard layout
+ * @param {string} title
+ * @param {string} content - Already escaped HTML
+ * @param {object} options
+ * @param {string|null} options.notice - Message shown at the top (after an action)
+ * @param {boolean} options.refresh - Reload the page periodically
+ * @returns {{body: string, headers: object}}
+ */
+function page(title, content, { notice = null, refresh = false } = {}) {
+    const body = `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} · BotWhatsapp</title>
+${refresh ? `<meta http-equiv="refresh" content="${PANEL_WEB.REFRESCO_SEGUNDOS}">` : ''}
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 1rem; color: #222; }
+  header { display: flex; gap: 1rem; align-items: center; border-bottom: 1px solid #ddd; padding-bottom: .5rem; }
+  header a { color: #075e54; font-weight: bold; text-decoration: none; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { border-bottom: 1px solid #eee; padding: .35rem .5rem; text-align: left; vertical-align: top; }
+  pre { background: #f6f6f6; padding: .75rem; overflow-x: auto; white-space: pre-wrap; }
+  .cards { display: flex; gap: 1rem; flex-wrap: wrap; margin: 1rem 0; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: .75rem 1rem; min-width: 140px; color: inherit; text-decoration: none; }
+  .card strong { display: block; font-size: 2rem; }
+  .notice { background: #e7f6ec; border: 1px solid #9fd3b0; padding: .5rem .75rem; border-radius: 4px; }
+  .ok { color: #1a7f37; } .fail { color: #c0392b; } .muted { color: #888; }
+  form.inline { display: inline; }
+  input[type=text] { width: 6rem; }
+</style>
+</head>
+<body>
+<header>
+  <a href="/dashboard">BotWhatsapp</a>
+  <form method="get" action="/dashboard/students">
+    <input type="search" name="registro" placeholder="Registro" required>
+    <button>Buscar estudiante</button>
+  </form>
+</header>
+${notice ? `<p class="notice">${esc(notice)}</p>` : ''}
+<h1>${esc(title)}</h1>
+${content}
+</body>
+</html>`;
+
+    return { body, headers: { 'Content-Type': 'text/html; charset=utf-8' } };
+}
+
+/**
+ * Redirect (303) after a form post
+ * @param {string} location
+ * @param {string} notice - Shown on the next page
+ * @returns {object}
+ */
+function redirect(location, notice) {
+    return {
+        status: 303,
+        body: '',
+        headers: { Location: `${location}?aviso=${encodeURIComponent(notice)}` }
+    };
+}
+
+/**
+ * @param {Array<object>} documents - Rows from listDocuments
+ * @returns {string}
+ */
+function documentsTable(documents) {
+    if (documents.length === 0) {
+        return `<p class="muted">No hay boletas.</p>`;
+    }
+
+    const rows = documents.map(d => `
+    <tr>
+      <td><a href="/dashboard/documents/${d.id}">#${d.id}</a></td>
+      <td><a href="/dashboard/students/${esc(d.registration_number)}">${esc(d.registration_number)}</a></td>
+      <td>${esc(d.student_name)}</td>
+      <td>${esc(STATUS_LABELS[d.status])}</td>
+      <td>${d.added}/${d.subjects}</td>
+      <td>${formatDate(d.created_at)}</td>
+    </tr>`).join('');
+
+    return `<table>
+    <tr><th>Boleta</th><th>Registro</th><th>Estudiante</th><th>Estado</th><th>Agregadas</th><th>Recibida</th></tr>
+    ${rows}
+  </table>`;
+}
+
+/**
+ * Result of a subject for the tables
+ * @param {object} subject - enrollment_subjects row
+ * @returns {string}
+ */
+function subjectResult(subject) {
+    if (subject.withdrawn_at) return `<span class="muted">Dado de baja</span>`;
+    if (subject.added_to_group) return `<span class="ok">✓ Agregado</span>`;
+    if (subject.add_outcome) return `<span class="fail">✗ ${esc(OUTCOME_LABELS[subject.add_outcome])}</span>`;
+    return `<span class="muted">—</span>`;
+}
+
+// ─── Pages ───────────────────────────────────────────────────────────────
+
+/** GET /dashboard?status=&offset= */
+async function overviewPage({ query }) {
+    const status = STATUS_LABELS[query.status] ? query.status : null;
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    const limit = PANEL_WEB.DOCUMENTOS_POR_PAGINA;
+
+    const counts = await getDocumentStatusCounts();
+    const stats = await getBotStats();
+    const documents = await listDocuments({ status, limit, offset });
+
+    const card = (label, value, filter) =>
+        `<a class="card" href="/dashboard?status=${filter}"><strong>${value}</strong>${label}</a>`;
+
+    const pager = [
+        offset > 0 ? `<a href="/dashboard?status=${status || ''}&offset=${Math.max(offset - limit, 0)}">← Más recientes</a>` : '',
+        documents.length === limit ? `<a href="/dashboard?status=${status || ''}&offset=${offset + limit}">Anteriores →</a>` : ''
+    ].filter(Boolean).join(' · ');
+
+    const content = `
+  <div class="cards">
+    ${card('Pendientes', counts.pending, 'pending')}
+    ${card('En proceso', counts.confirmed + counts.processing, 'processing')}
+    ${card('Completadas', counts.completed, 'completed')}
+    ${card('Fallidas', counts.failed, 'failed')}
+  </div>
+  <p>
+    Cola: ${isWorkerPaused() ? '⏸️ en pausa' : '▶️ activa'} (${stats.open_jobs} trabajos abiertos) ·
+    Atención humana: ${stats.handoffs} ·
+    Expiradas: ${counts.expired} · Canceladas: ${counts.cancelled}
+  </p>
+  <h2>${status ? `Boletas: ${esc(STATUS_LABELS[status])}` : 'Últimas boletas'}
+    ${status ? `<small><a href="/dashboard">ver todas</a></small>` : ''}</h2>
+  ${documentsTable(documents)}
+  <p>${pager}</p>
+  <p class="muted">Se actualiza cada ${PANEL_WEB.REFRESCO_SEGUNDOS} segundos.</p>`;
+
+    return page('Inscripciones', content, { notice: query.aviso, refresh: true });
+}
+
+/** GET /dashboard/students?registro= */
+async function searchStudent({ query }) {
+    const registro = (query.registro || '').trim();
+
+    if (isValidRegistration(registro) && await findStudentByRegistration(registro)) {
+        return { status: 303, body: '', headers: { Location: `/dashboard/students/${registro}` } };
+    }
+
+    return page('Buscar estudiante', `<p>No hay estudiante con registro <strong>${esc(registro)}</strong>.</p>`);
+}
+
+/** GET /dashboard/students/:registro */
+async function studentPage({ params, query }) {
+    const student = isValidRegistration(params.registro) ? await findStudentByRegistration(params.registro) : null;
+
+    if (!student) {
+        return { status: 404, ...page('Estudiante', `<p>No hay estudiante con registro <strong>${esc(params.registro)}</strong>.</p>`) };
+    }
+
+    const conversation = await getState(student.whatsapp_id);
+    const subjects = await getStudentSubjects(student.whatsapp_id);
+    const documents = await listDocuments({ registrationNumber: student.registration_number, limit: 50 });
+
+    const subjectRows = subjects.map(s => `
+    <tr>
+      <td>${esc(s.sigla)}</td>
+      <td>${esc(s.grupo)}</td>
+      <td><a href="/dashboard/documents/${s.document_id}">#${s.document_id}</a></td>
+      <td>${subjectResult(s)}${s.invite_pending ? ' (invitación enviada)' : ''}</td>
+    </tr>`).join('');
+
+    const content = `
+  <p>
+    Registro: ${esc(student.registration_number)} ·
+    WhatsApp: ${esc(student.whatsapp_id)} ·
+    Materias inscritas: ${student.total_subjects_enrolled} ·
+    Conversación: ${esc(conversation.state)}
+  </p>
+  <h2>Materias</h2>
+  ${subjects.length > 0
+        ? `<table><tr><th>Sigla</th><th>Grupo</th><th>Boleta</th><th>Resultado</th></tr>${subjectRows}</table>`
+        : `<p class="muted">Sin materias confirmadas.</p>`}
+  <h2>Boletas</h2>
+  ${documentsTable(documents)}`;
+
+    return page(student.student_name, content, { notice: query.aviso });
+}
+
+/** GET /dashboard/documents/:id */
+async function documentPage({ params, query }) {
+    const document = await getDocumentById(parseId(params.id));
+
+    if (!document) {
+        return { status: 404, ...page('Boleta', `<p>No existe la boleta #${esc(params.id)}.</p>`) };
+    }
+
+    const subjects = await getSubjectsForDocument(document.id);
+    const jobs = await getOpenJobsForDocument(document.id);
+    const finished = document.status === 'completed' || document.status === 'failed';
+
+    const subjectRows = subjects.map(s => {
+        const job = jobs.find(j => j.subject_id === s.id);
+        const actions = [];
+
+        if (finished && s.selected && s.group_jid && !s.added_to_group && !s.withdrawn_at
+            && (!job || (job.kind === 'retry' && job.status === 'pending'))) {
+            actions.push(actionForm(s.id, 'retry', 'Reintentar ahora'));
+        }
+        if (job && job.status === 'pending' && (job.kind === 'retry' || job.kind === 'invite')) {
+            actions.push(actionForm(s.id, 'cancel', `Cancelar ${JOB_LABELS[job.kind]}`));
+        }
+        if (!job && !s.added_to_group) {
+            actions.push(`<form class="inline" method="post" action="/dashboard/subjects/${s.id}/fix">
+          <input type="text" name="sigla" value="${esc(s.sigla)}" required>
+          <input type="text" name="grupo" value="${esc(s.grupo)}" required>
+          <button>Corregir</button>
+        </form>`);
+        }
+
+        return `
+    <tr>
+      <td>${esc(s.sigla)}${s.selected ? '' : ' <span class="muted">(no elegida)</span>'}</td>
+      <td>${esc(s.grupo)}</td>
+      <td>${esc(s.materia)}</td>
+      <td>${s.group_jid ? esc(s.group_jid) : '<span class="fail">sin mapeo</span>'}</td>
+      <td>${subjectResult(s)}</td>
+      <td>${s.add_attempts}</td>
+      <td>${esc(s.last_add_error) || '<span class="muted">—</span>'}</td>
+      <td>${job ? `${esc(JOB_LABELS[job.kind])} (${job.status === 'running' ? 'en curso' : formatDate(job.run_after)})` : '—'}</td>
+      <td>${actions.join(' ')}</td>
+    </tr>`;
+    }).join('');
+
+    const content = `
+  <p>
+    Estudiante: <a href="/dashboard/students/${esc(document.registration_number)}">${esc(document.student_name)}</a>
+    (${esc(document.registration_number)}) ·
+    Estado: <strong>${esc(STATUS_LABELS[document.status])}</strong> ·
+    Recibida: ${formatDate(document.created_at)} ·
+    Confirmada: ${formatDate(document.confirmed_at)} ·
+    Procesada: ${formatDate(document.processed_at)}
+  </p>
+  <h2>Materias</h2>
+  <table>
+    <tr><th>Sigla</th><th>Grupo</th><th>Materia</th><th>Grupo de WhatsApp</th><th>Resultado</th>
+        <th>Intentos</th><th>Último error</th><th>Trabajo abierto</th><th>Acciones</th></tr>
+    ${subjectRows}
+  </table>
+  <h2>Datos extraídos (parsed_data)</h2>
+  <pre>${esc(JSON.stringify(document.parsed_data, null, 2))}</pre>
+  <h2>Texto OCR (raw_text)</h2>
+  <pre>${esc(document.raw_text) || '<span class="muted">Sin texto</span>'}</pre>`;
+
+    return page(`Boleta #${document.id}`, content, { notice: query.aviso });
+}
+
+/**
+ * A one-button form posting to a subject action
+ * @param {number} subjectId
+ * @param {string} action - retry, cancel
+ * @param {string} label
+ * @returns {string}
+ */
+function actionForm(subjectId, action, label) {
+    return `<form class="inline" method="post" action="/dashboard/subjects/${subjectId}/${action}"><button>${esc(label)}</button></form>`;
+}
+
+// ─── Actions ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} value - Route parameter
+ * @returns {Promise<object>} Subject from getSubjectForReview
+ */
+async function requireSubject(value) {
+    const subject = await getSubjectForReview(parseId(value));
+    if (!subject) {
+        throw httpError(404, 'Subject not found');
+    }
+    return subject;
+}
+
+/** POST /dashboard/subjects/:id/retry */
+async function retrySubject({ req, params }) {
+    const subject = await requireSubject(params.id);
+    const back = `/dashboard/documents/${subject.document_id}`;
+    const name = `${subject.sigla} - ${subject.grupo}`;
+
+    if (subject.added_to_group) {
+        return redirect(back, `${name}: el estudiante ya está en el grupo.`);
+    }
+    if (!subject.group_jid) {
+        return redirect(back, `${name}: no tiene grupo mapeado; corrígela o crea el mapeo primero.`);
+    }
+    if (subject.document_status !== 'completed' && subject.document_status !== 'failed') {
+        return redirect(back, `${name}: la boleta todavía no terminó de procesarse.`);
+    }
+
+    const retried = await retrySubjectNow(subject.id, subject.whatsapp_id, COLA_TRABAJOS.MAX_INTENTOS);
+
+    if (!retried) {
+        return redirect(back, `${name}: ya tiene un trabajo en curso.`);
+    }
+
+    await audit(req, 'subject.retry', subject.id, { sigla: subject.sigla, grupo: subject.grupo });
+    return redirect(back, `${name}: reintento en cola.`);
+}
+
+/** POST /dashboard/subjects/:id/cancel */
+async function cancelSubject({ req, params }) {
+    const subject = await requireSubject(params.id);
+    const back = `/dashboard/documents/${subject.document_id}`;
+    const name = `${subject.sigla} - ${subject.grupo}`;
+
+    const cancelled = await cancelSubjectJobs(subject.id, `Cancelled from dashboard by ${basicCredentials(req).user}`);
+
+    if (cancelled === 0) {
+        return redirect(back, `${name}: no hay reintentos ni invitaciones pendientes.`);
+    }
+
+    await audit(req, 'subject.cancel', subject.id, { sigla: subject.sigla, grupo: subject.grupo, jobs: cancelled });
+    return redirect(back, `${name}: trabajo pendiente cancelado.`);
+}
+
+/** POST /dashboard/subjects/:id/fix (form: sigla, grupo) */
+async function fixSubject({ req, params, body }) {
+    const subject = await requireSubject(params.id);
+    const back = `/dashboard/documents/${subject.document_id}`;
+
+    const sigla = String(body.sigla || '').trim().toUpperCase();
+    const grupo = String(body.grupo || '').trim().toUpperCase();
+
+    if (!isValidSubject(sigla, grupo)) {
+        return redirect(back, `Sigla o grupo inválido: "${sigla} ${grupo}".`);
+    }
+
+    const groupJid = await getGroupJID(sigla, grupo);
+    const materia = sigla === subject.sigla
+        ? subject.materia
+        : (await getSubjectName(sigla)) || subject.materia;
+
+    const changed = await correctSubject(subject.id, { sigla, grupo, materia, groupJid });
+
+    if (!changed) {
+        return redirect(back, `${subject.sigla} - ${subject.grupo}: no se puede corregir (ya está en el grupo o tiene un trabajo abierto).`);
+    }
+
+    await audit(req, 'subject.fix', subject.id, {
+        from: { sigla: subject.sigla, grupo: subject.grupo },
+        to: { sigla, grupo, groupJid }
+    });
+
+    return redirect(back, groupJid
+        ? `Corregida a ${sigla} - ${grupo}.`
+        : `Corregida a ${sigla} - ${grupo}, pero no tiene grupo mapeado.`);
+}
+
+export default {
+    registerDashboard
+};
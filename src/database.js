@@ -13,8 +13,9 @@ const pool = new Pool({
     database: process.env.DB_NAME,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
-    ssl: {
-        rejectUnauthorized: false // Required for Neon and other cloud PostgreSQL providers
+    // Required for Neon and other cloud PostgreSQL providers; DB_SSL=false for a local server
+    ssl: process.env.DB_SSL === 'false' ? false : {
+        rejectUnauthorized: false
     },
     max: 20, // Maximum number of clients in the pool
     idleTimeoutMillis: 30000,
@@ -37,6 +38,28 @@ pool.query('SELECT NOW()', (err, res) => {
     }
 });
 
+/**
+ * Check that the pool can run a query (/healthz)
+ * Unlike the other queries this never throws: a failure is part of the answer.
+ * @returns {Promise<{ok: boolean, latencyMs: number, error?: string, totalConnections: number, idleConnections: number, waitingClients: number}>}
+ */
+export async function checkDatabaseHealth() {
+    const started = Date.now();
+    const poolStats = {
+        totalConnections: pool.totalCount,
+        idleConnections: pool.idleCount,
+        waitingClients: pool.waitingCount
+    };
+    
+    try {
+        await pool.query('SELECT 1');
+        return { ok: true, latencyMs: Date.now() - started, ...poolStats };
+    } catch (error) {
+        logger.error('Database health check failed', { error: error.message });
+        return { ok: false, latencyMs: Date.now() - started, error: error.message, ...poolStats };
+    }
+}
+
 /**
  * Upsert student (insert or update)
  * @param {string} registrationNumber 
@@ -225,6 +248,155 @@ export async function getGroupJID(sigla, grupo) {
     }
 }
 
+/**
+ * Create or update a SIGLA+GRUPO → WhatsApp group mapping ("!mapear")
+ * @param {string} sigla 
+ * @param {string} grupo 
+ * @param {string} groupJid 
+ * @param {string|null} materiaName 
+ * @returns {Promise<boolean>} true if the mapping is new
+ */
+export async function upsertGroupMapping(sigla, grupo, groupJid, materiaName = null) {
+    const query = `
+        INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (sigla, grupo) DO UPDATE SET
+            whatsapp_group_jid = EXCLUDED.whatsapp_group_jid,
+            materia_name = COALESCE(EXCLUDED.materia_name, subject_group_mapping.materia_name),
+            active = TRUE,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING (xmax = 0) AS inserted
+    `;
+    
+    try {
+        const result = await pool.query(query, [sigla, grupo, materiaName, groupJid]);
+        logger.info('Group mapping saved', { sigla, grupo, groupJid });
+        return result.rows[0].inserted;
+    } catch (error) {
+        logger.error('Error saving group mapping', { error: error.message, sigla, grupo });
+        throw error;
+    }
+}
+
+/**
+ * List every SIGLA+GRUPO mapping (admin API)
+ * @returns {Promise<Array<object>>}
+ */
+export async function listGroupMappings() {
+    const query = `
+        SELECT * FROM subject_group_mapping 
+        ORDER BY sigla, grupo
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error listing group mappings', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Get a mapping by ID
+ * @param {number} mappingId 
+ * @returns {Promise<object|null>}
+ */
+export async function getGroupMapping(mappingId) {
+    const query = `SELECT * FROM subject_group_mapping WHERE id = $1`;
+    
+    try {
+        const result = await pool.query(query, [mappingId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error getting group mapping', { error: error.message, mappingId });
+        throw error;
+    }
+}
+
+/**
+ * Create a mapping; fails with code 23505 if SIGLA+GRUPO already exists
+ * @param {object} mapping - { sigla, grupo, materiaName, groupJid, allowInviteFallback }
+ * @returns {Promise<object>} Created row
+ */
+export async function insertGroupMapping({ sigla, grupo, materiaName = null, groupJid, allowInviteFallback = false }) {
+    const query = `
+        INSERT INTO subject_group_mapping 
+            (sigla, grupo, materia_name, whatsapp_group_jid, allow_invite_fallback)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `;
+    
+    try {
+        const result = await pool.query(query, [sigla, grupo, materiaName, groupJid, allowInviteFallback]);
+        logger.info('Group mapping created', { sigla, grupo, groupJid });
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating group mapping', { error: error.message, sigla, grupo });
+        throw error;
+    }
+}
+
+/**
+ * Columns of a mapping that can be changed, by field name
+ */
+const MAPPING_FIELDS = {
+    materiaName: 'materia_name',
+    groupJid: 'whatsapp_group_jid',
+    active: 'active',
+    allowInviteFallback: 'allow_invite_fallback'
+};
+
+/**
+ * Update some fields of a mapping
+ * @param {number} mappingId 
+ * @param {object} fields - Any of { materiaName, groupJid, active, allowInviteFallback }
+ * @returns {Promise<object|null>} Updated row, null if it does not exist
+ */
+export async function updateGroupMapping(mappingId, fields) {
+    const entries = Object.entries(fields).filter(([field]) => MAPPING_FIELDS[field]);
+    
+    if (entries.length === 0) {
+        return await getGroupMapping(mappingId);
+    }
+    
+    const sets = entries.map(([field], i) => `${MAPPING_FIELDS[field]} = $${i + 2}`);
+    const query = `
+        UPDATE subject_group_mapping 
+        SET ${sets.join(', ')}
+        WHERE id = $1
+        RETURNING *
+    `;
+    
+    try {
+        const result = await pool.query(query, [mappingId, ...entries.map(([, value]) => value)]);
+        logger.info('Group mapping updated', { mappingId, fields: entries.map(([field]) => field) });
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error updating group mapping', { error: error.message, mappingId });
+        throw error;
+    }
+}
+
+/**
+ * Delete a mapping
+ * Subjects already enrolled keep their group_jid.
+ * @param {number} mappingId 
+ * @returns {Promise<object|null>} Deleted row, null if it did not exist
+ */
+export async function deleteGroupMapping(mappingId) {
+    const query = `DELETE FROM subject_group_mapping WHERE id = $1 RETURNING *`;
+    
+    try {
+        const result = await pool.query(query, [mappingId]);
+        logger.info('Group mapping deleted', { mappingId, deleted: result.rowCount });
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error deleting group mapping', { error: error.message, mappingId });
+        throw error;
+    }
+}
+
 /**
  * Get pending document for user
  * @param {string} whatsappId 
@@ -249,6 +421,126 @@ export async function getPendingDocument(whatsappId) {
     }
 }
 
+/**
+ * Confirm a pending document and queue its group additions in one transaction
+ * Only one caller can win: a second "LISTO" finds the row already claimed.
+ * If anything fails nothing is kept, so the document stays 'pending' and
+ * the student can confirm again.
+ * @param {number} documentId 
+ * @param {string} whatsappId 
+ * @param {object} options
+ * @param {Array<number>|null} options.selectedIds - Subjects picked with "LISTO 1,3", null for all
+ * @param {Array<number>} options.subjectIds - Subjects to add; none closes the document as 'failed'
+ * @param {number} options.maxAttempts 
+ * @param {Date|null} options.runAfter - Postpone the jobs (student already told when they start)
+ * @returns {Promise<boolean>} true if this call confirmed the document
+ */
+export async function confirmPendingDocument(documentId, whatsappId, { selectedIds, subjectIds, maxAttempts, runAfter }) {
+    const finalStatus = subjectIds.length > 0 ? 'processing' : 'failed';
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const claimed = await client.query(`
+            UPDATE enrollment_documents 
+            SET status = $2, confirmed_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING id
+        `, [documentId, finalStatus]);
+        
+        if (claimed.rows.length === 0) {
+            await client.query('ROLLBACK');
+            logger.info('Pending document claim', { documentId, claimed: false });
+            return false;
+        }
+        
+        if (selectedIds) {
+            await client.query(`
+                UPDATE enrollment_subjects 
+                SET selected = (id = ANY($2::int[]))
+                WHERE document_id = $1
+            `, [documentId, selectedIds]);
+        }
+        
+        const jobs = subjectIds.length > 0
+            ? await client.query(ENQUEUE_JOBS_QUERY, [documentId, whatsappId, subjectIds, maxAttempts, runAfter])
+            : { rows: [] };
+        
+        await client.query('COMMIT');
+        logger.info('Pending document confirmed', { documentId, whatsappId, finalStatus, selectedIds, jobs: jobs.rows.length });
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error confirming pending document', { error: error.message, documentId, whatsappId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Close a document and add its successful subjects to the student counter
+ * Both happen in one transaction and only if the document was still open,
+ * so the counter can never be incremented twice for the same document.
+ * Enroll jobs still queued (a stale document closed by recovery) are failed
+ * in the same transaction: an addition after closing would never be counted.
+ * @param {number} documentId 
+ * @param {string} whatsappId 
+ * @param {number} addedCount - Subjects successfully added
+ * @param {string} finalStatus - 'completed' or 'failed'
+ * @returns {Promise<boolean>} false if the document had already been closed
+ */
+export async function closeDocument(documentId, whatsappId, addedCount, finalStatus) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const closed = await client.query(`
+            UPDATE enrollment_documents 
+            SET status = $2,
+                processed_at = CASE WHEN $3 = 'completed' THEN CURRENT_TIMESTAMP ELSE processed_at END
+            WHERE id = $1 AND status IN ('confirmed', 'processing')
+            RETURNING id
+        `, [documentId, finalStatus, finalStatus]);
+        
+        if (closed.rows.length === 0) {
+            await client.query('ROLLBACK');
+            logger.warn('Document already closed', { documentId });
+            return false;
+        }
+        
+        if (addedCount > 0) {
+            await client.query(`
+                UPDATE students 
+                SET total_subjects_enrolled = total_subjects_enrolled + $1
+                WHERE whatsapp_id = $2
+            `, [addedCount, whatsappId]);
+        }
+        
+        const abandoned = await client.query(`
+            UPDATE group_add_jobs 
+            SET status = 'failed', last_error = 'Document closed, not resumed', finished_at = CURRENT_TIMESTAMP
+            WHERE document_id = $1 AND kind = 'enroll' AND status IN ('pending', 'running')
+        `, [documentId]);
+        
+        await client.query('COMMIT');
+        logger.info('Document closed', { documentId, whatsappId, addedCount, finalStatus, abandonedJobs: abandoned.rowCount });
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error closing document', { 
+            error: error.message, 
+            documentId, 
+            whatsappId 
+        });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 /**
  * Get subjects for document
  * @param {number} documentId 
@@ -270,6 +562,67 @@ export async function getSubjectsForDocument(documentId) {
     }
 }
 
+/**
+ * Change the group of a subject on a pending document
+ * @param {number} subjectId 
+ * @param {string} grupo 
+ * @param {string|null} groupJid - New mapped group, null if not mapped
+ */
+export async function updateSubjectGroup(subjectId, grupo, groupJid) {
+    const query = `
+        UPDATE enrollment_subjects 
+        SET grupo = $1, group_jid = $2
+        WHERE id = $3
+    `;
+    
+    try {
+        await pool.query(query, [grupo, groupJid, subjectId]);
+        logger.info('Subject group updated', { subjectId, grupo, groupJid });
+    } catch (error) {
+        logger.error('Error updating subject group', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Delete a subject from a pending document
+ * @param {number} subjectId 
+ */
+export async function deleteSubject(subjectId) {
+    const query = `DELETE FROM enrollment_subjects WHERE id = $1`;
+    
+    try {
+        await pool.query(query, [subjectId]);
+        logger.info('Subject deleted', { subjectId });
+    } catch (error) {
+        logger.error('Error deleting subject', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Get the subject name configured for a SIGLA in the group mappings
+ * @param {string} sigla 
+ * @returns {Promise<string|null>}
+ */
+export async function getSubjectName(sigla) {
+    const query = `
+        SELECT materia_name 
+        FROM subject_group_mapping 
+        WHERE sigla = $1 AND materia_name IS NOT NULL
+        ORDER BY active DESC
+        LIMIT 1
+    `;
+    
+    try {
+        const result = await pool.query(query, [sigla]);
+        return result.rows[0]?.materia_name || null;
+    } catch (error) {
+        logger.error('Error getting subject name', { error: error.message, sigla });
+        throw error;
+    }
+}
+
 /**
  * Mark subject as added to group
  * @param {number} subjectId 
@@ -291,84 +644,1649 @@ export async function markSubjectAdded(subjectId) {
 }
 
 /**
- * Get student's total enrolled subjects count
+ * Record the outcome of an add-to-group attempt on the subject
+ * @param {number} subjectId 
+ * @param {string} outcome - One of OUTCOMES (participantOutcomes.js)
+ * @param {string|null} errorMessage - WhatsApp answer or error, null when it worked
+ */
+export async function recordSubjectOutcome(subjectId, outcome, errorMessage = null) {
+    const query = `
+        UPDATE enrollment_subjects 
+        SET add_outcome = $2,
+            add_attempts = add_attempts + 1,
+            last_add_error = $3,
+            last_attempt_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `;
+    
+    try {
+        await pool.query(query, [subjectId, outcome, errorMessage]);
+    } catch (error) {
+        logger.error('Error recording subject outcome', { error: error.message, subjectId, outcome });
+        throw error;
+    }
+}
+
+/**
+ * Get every subject a student confirmed, across all their documents
  * @param {string} whatsappId 
- * @returns {Promise<number>}
+ * @returns {Promise<Array<object>>} Subjects with their document status, oldest first
  */
-export async function getStudentSubjectCount(whatsappId) {
+export async function getStudentSubjects(whatsappId) {
     const query = `
-        SELECT total_subjects_enrolled 
-        FROM students 
-        WHERE whatsapp_id = $1
+        SELECT es.id, es.sigla, es.grupo, es.materia, es.group_jid, 
+               es.added_to_group, es.added_at, es.withdrawn_at, es.add_outcome,
+               ed.id AS document_id, ed.status AS document_status, ed.created_at AS document_created_at,
+               (
+                   SELECT MIN(j.run_after) FROM group_add_jobs j
+                   WHERE j.subject_id = es.id AND j.kind = 'retry' AND j.status IN ('pending', 'running')
+               ) AS next_retry_at,
+               EXISTS (
+                   SELECT 1 FROM group_invites gi
+                   WHERE gi.subject_id = es.id AND gi.status = 'sent'
+               ) AS invite_pending
+        FROM enrollment_subjects es
+        JOIN enrollment_documents ed ON es.document_id = ed.id
+        JOIN students s ON ed.student_id = s.id
+        WHERE s.whatsapp_id = $1 
+          AND es.selected = TRUE
+          AND ed.status IN ('confirmed', 'processing', 'completed', 'failed')
+        ORDER BY ed.created_at, es.id
     `;
     
     try {
         const result = await pool.query(query, [whatsappId]);
-        return result.rows[0]?.total_subjects_enrolled || 0;
+        return result.rows;
     } catch (error) {
-        logger.error('Error getting student subject count', { error: error.message, whatsappId });
+        logger.error('Error getting student subjects', { error: error.message, whatsappId });
         throw error;
     }
 }
 
 /**
- * Increment student's enrolled subjects count
+ * Find the subject a student is currently in the group of, by SIGLA
  * @param {string} whatsappId 
- * @param {number} count 
+ * @param {string} sigla 
+ * @returns {Promise<object|null>}
  */
-export async function incrementStudentSubjectCount(whatsappId, count) {
+export async function findActiveSubject(whatsappId, sigla) {
     const query = `
-        UPDATE students 
-        SET total_subjects_enrolled = total_subjects_enrolled + $1
-        WHERE whatsapp_id = $2
-        RETURNING total_subjects_enrolled
+        SELECT es.*
+        FROM enrollment_subjects es
+        JOIN enrollment_documents ed ON es.document_id = ed.id
+        JOIN students s ON ed.student_id = s.id
+        WHERE s.whatsapp_id = $1 AND es.sigla = $2
+          AND es.added_to_group = TRUE AND es.withdrawn_at IS NULL
+        ORDER BY es.added_at DESC
+        LIMIT 1
     `;
     
     try {
-        const result = await pool.query(query, [count, whatsappId]);
-        logger.info('Student subject count incremented', { 
-            whatsappId, 
-            increment: count, 
-            newTotal: result.rows[0].total_subjects_enrolled 
-        });
+        const result = await pool.query(query, [whatsappId, sigla]);
+        return result.rows[0] || null;
     } catch (error) {
-        logger.error('Error incrementing subject count', { 
-            error: error.message, 
-            whatsappId, 
-            count 
-        });
+        logger.error('Error finding active subject', { error: error.message, whatsappId, sigla });
         throw error;
     }
 }
 
 /**
- * Expire old pending documents (called by cleanup task)
- * @param {number} timeoutMinutes 
- * @returns {Promise<number>} Number of expired documents
+ * Move an enrolled subject to another grupo
+ * The enrollment record is reused, so no new slot is taken.
+ * @param {number} subjectId 
+ * @param {string} grupo 
+ * @param {string} groupJid 
  */
-export async function expireOldDocuments(timeoutMinutes = 10) {
+export async function switchSubjectGroup(subjectId, grupo, groupJid) {
     const query = `
-        UPDATE enrollment_documents 
-        SET status = 'expired'
-        WHERE status = 'pending' 
-        AND created_at < NOW() - INTERVAL '${timeoutMinutes} minutes'
-        RETURNING id
+        UPDATE enrollment_subjects 
+        SET grupo = $2, group_jid = $3, added_at = CURRENT_TIMESTAMP
+        WHERE id = $1
     `;
     
     try {
-        const result = await pool.query(query);
-        const expiredCount = result.rows.length;
+        await pool.query(query, [subjectId, grupo, groupJid]);
+        logger.info('Subject switched to another group', { subjectId, grupo, groupJid });
+    } catch (error) {
+        logger.error('Error switching subject group', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Mark a subject as withdrawn and give the slot back to the student
+ * Both happen in one transaction and only once per subject.
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @returns {Promise<boolean>} false if the subject was already withdrawn
+ */
+export async function withdrawSubject(subjectId, whatsappId) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
         
-        if (expiredCount > 0) {
-            logger.info('Expired old pending documents', { 
-                count: expiredCount, 
-                timeoutMinutes 
-            });
+        const withdrawn = await client.query(`
+            UPDATE enrollment_subjects 
+            SET withdrawn_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND added_to_group = TRUE AND withdrawn_at IS NULL
+            RETURNING id
+        `, [subjectId]);
+        
+        if (withdrawn.rows.length === 0) {
+            await client.query('ROLLBACK');
+            logger.warn('Subject already withdrawn', { subjectId });
+            return false;
         }
         
-        return expiredCount;
+        await client.query(`
+            UPDATE students 
+            SET total_subjects_enrolled = GREATEST(total_subjects_enrolled - 1, 0)
+            WHERE whatsapp_id = $1
+        `, [whatsappId]);
+        
+        await client.query('COMMIT');
+        logger.info('Subject withdrawn', { subjectId, whatsappId });
+        return true;
     } catch (error) {
-        logger.error('Error expiring old documents', { error: error.message });
+        await client.query('ROLLBACK');
+        logger.error('Error withdrawing subject', { 
+            error: error.message, 
+            subjectId, 
+            whatsappId 
+        });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Find a student by registration number
+ * @param {string} registrationNumber 
+ * @returns {Promise<object|null>}
+ */
+export async function findStudentByRegistration(registrationNumber) {
+    const query = `
+        SELECT id, registration_number, student_name, whatsapp_id, total_subjects_enrolled, created_at
+        FROM students 
+        WHERE registration_number = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [registrationNumber]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error finding student', { error: error.message, registrationNumber });
+        throw error;
+    }
+}
+
+/**
+ * Delete every document of a student and reset their subject counter ("!reset")
+ * Subjects, jobs and invites go with the documents (ON DELETE CASCADE).
+ * Group membership on WhatsApp is not touched.
+ * @param {number} studentId 
+ * @returns {Promise<number>} Documents deleted
+ */
+export async function resetStudentEnrollments(studentId) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const deleted = await client.query(
+            'DELETE FROM enrollment_documents WHERE student_id = $1',
+            [studentId]
+        );
+        
+        await client.query(`
+            UPDATE students 
+            SET total_subjects_enrolled = 0
+            WHERE id = $1
+        `, [studentId]);
+        
+        await client.query('COMMIT');
+        logger.warn('Student enrollments reset', { studentId, documentsDeleted: deleted.rowCount });
+        return deleted.rowCount;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error resetting student enrollments', { error: error.message, studentId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get student's total enrolled subjects count
+ * @param {string} whatsappId 
+ * @returns {Promise<number>}
+ */
+export async function getStudentSubjectCount(whatsappId) {
+    const query = `
+        SELECT total_subjects_enrolled 
+        FROM students 
+        WHERE whatsapp_id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId]);
+        return result.rows[0]?.total_subjects_enrolled || 0;
+    } catch (error) {
+        logger.error('Error getting student subject count', { error: error.message, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Mark a subject added after its document was closed and count it
+ * Retries and invites run once closeDocument has counted the document, so
+ * each success adds itself to the counter. Both updates happen in one
+ * transaction, and only the first time the subject is marked.
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @returns {Promise<boolean>} false if the subject was already added
+ */
+export async function markLateSubjectAdded(subjectId, whatsappId) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const added = await client.query(`
+            UPDATE enrollment_subjects 
+            SET added_to_group = TRUE, added_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND added_to_group = FALSE
+            RETURNING id
+        `, [subjectId]);
+        
+        if (added.rows.length > 0) {
+            await client.query(`
+                UPDATE students 
+                SET total_subjects_enrolled = total_subjects_enrolled + 1
+                WHERE whatsapp_id = $1
+            `, [whatsappId]);
+        }
+        
+        await client.query('COMMIT');
+        logger.info('Late subject addition recorded', { subjectId, whatsappId, counted: added.rows.length > 0 });
+        return added.rows.length > 0;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error recording late subject addition', { error: error.message, subjectId, whatsappId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Expire old pending documents (called by cleanup task)
+ * @param {number} timeoutMinutes 
+ * @returns {Promise<Array<{id: number, whatsapp_id: string}>>} Expired documents
+ */
+export async function expireOldDocuments(timeoutMinutes = 10) {
+    const query = `
+        UPDATE enrollment_documents ed
+        SET status = 'expired'
+        FROM students s
+        WHERE ed.student_id = s.id
+        AND ed.status = 'pending' 
+        AND ed.created_at < NOW() - ($1::int * INTERVAL '1 minute')
+        RETURNING ed.id, s.whatsapp_id
+    `;
+    
+    try {
+        const result = await pool.query(query, [timeoutMinutes]);
+        
+        if (result.rows.length > 0) {
+            logger.info('Expired old pending documents', { 
+                count: result.rows.length, 
+                timeoutMinutes 
+            });
+        }
+        
+        return result.rows;
+    } catch (error) {
+        logger.error('Error expiring old documents', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Claim pending documents that are about to expire and were not reminded yet
+ * Marks them as reminded in the same statement, so each gets one reminder.
+ * @param {number} timeoutMinutes - Pending document lifetime
+ * @param {number} reminderMinutes - How long before the deadline to remind
+ * @returns {Promise<Array<{id: number, whatsapp_id: string, created_at: Date}>>}
+ */
+export async function claimExpiryReminders(timeoutMinutes, reminderMinutes) {
+    const query = `
+        UPDATE enrollment_documents ed
+        SET reminder_sent_at = CURRENT_TIMESTAMP
+        FROM students s
+        WHERE ed.student_id = s.id
+        AND ed.status = 'pending'
+        AND ed.reminder_sent_at IS NULL
+        AND ed.created_at < NOW() - (($1::int - $2::int) * INTERVAL '1 minute')
+        AND ed.created_at >= NOW() - ($1::int * INTERVAL '1 minute')
+        RETURNING ed.id, s.whatsapp_id, ed.created_at
+    `;
+    
+    try {
+        const result = await pool.query(query, [timeoutMinutes, reminderMinutes]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error claiming expiry reminders', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Cancel the pending documents of a user ("CANCELAR")
+ * @param {string} whatsappId 
+ * @returns {Promise<number>} Number of cancelled documents
+ */
+export async function cancelPendingDocuments(whatsappId) {
+    const query = `
+        UPDATE enrollment_documents ed
+        SET status = 'cancelled'
+        FROM students s
+        WHERE ed.student_id = s.id
+        AND s.whatsapp_id = $1
+        AND ed.status = 'pending'
+        RETURNING ed.id
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId]);
+        logger.info('Pending documents cancelled', { whatsappId, count: result.rows.length });
+        return result.rows.length;
+    } catch (error) {
+        logger.error('Error cancelling pending documents', { error: error.message, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Delete an expired or cancelled document so the same file can be sent again
+ * @param {number} documentId 
+ * @returns {Promise<boolean>} false if the document is not discarded
+ */
+export async function deleteDiscardedDocument(documentId) {
+    const query = `
+        DELETE FROM enrollment_documents 
+        WHERE id = $1 AND status IN ('expired', 'cancelled')
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [documentId]);
+        logger.info('Discarded document deleted', { documentId, deleted: result.rows.length > 0 });
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error deleting discarded document', { error: error.message, documentId });
+        throw error;
+    }
+}
+
+/**
+ * Check the reactivity rule: did the user write to us in the last N hours?
+ * @param {string} whatsappId 
+ * @param {number} hours 
+ * @returns {Promise<boolean>}
+ */
+export async function hasRecentInboundMessage(whatsappId, hours) {
+    const query = `
+        SELECT EXISTS (
+            SELECT 1 FROM processed_messages
+            WHERE whatsapp_id = $1 AND received_at > NOW() - ($2::int * INTERVAL '1 hour')
+        ) AS recent
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId, hours]);
+        return result.rows[0].recent;
+    } catch (error) {
+        logger.error('Error checking recent inbound message', { error: error.message, whatsappId });
+        throw error;
+    }
+}
+
+// One enroll job per subject with a mapped group (also used by confirmPendingDocument)
+const ENQUEUE_JOBS_QUERY = `
+    INSERT INTO group_add_jobs 
+        (document_id, subject_id, whatsapp_id, group_jid, max_attempts, run_after, deferral_notified)
+    SELECT $1, es.id, $2, es.group_jid, $4, COALESCE($5::timestamptz, CURRENT_TIMESTAMP), $5::timestamptz IS NOT NULL
+    FROM enrollment_subjects es
+    WHERE es.id = ANY($3::int[]) AND es.group_jid IS NOT NULL
+    ORDER BY es.id
+    ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+    RETURNING id
+`;
+
+/**
+ * Enqueue one group addition job per subject
+ * @param {number} documentId 
+ * @param {string} whatsappId 
+ * @param {Array<number>} subjectIds - Subjects with a mapped group_jid
+ * @param {number} maxAttempts 
+ * @param {Date|null} runAfter - Postpone the jobs (student already told when they start)
+ * @returns {Promise<number>} Number of jobs created
+ */
+export async function enqueueGroupAddJobs(documentId, whatsappId, subjectIds, maxAttempts = 3, runAfter = null) {
+    try {
+        const result = await pool.query(ENQUEUE_JOBS_QUERY, [documentId, whatsappId, subjectIds, maxAttempts, runAfter]);
+        logger.info('Group add jobs enqueued', { 
+            documentId, 
+            whatsappId, 
+            count: result.rows.length 
+        });
+        return result.rows.length;
+    } catch (error) {
+        logger.error('Error enqueuing group add jobs', { 
+            error: error.message, 
+            documentId, 
+            whatsappId 
+        });
+        throw error;
+    }
+}
+
+/**
+ * Queue the removal of a student from the group of an added subject
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {number} maxAttempts 
+ * @returns {Promise<boolean>} false if the subject already has an open job
+ */
+export async function enqueueWithdrawJob(subjectId, whatsappId, maxAttempts = 3) {
+    const query = `
+        INSERT INTO group_add_jobs 
+            (kind, document_id, subject_id, whatsapp_id, group_jid, max_attempts)
+        SELECT 'withdraw', es.document_id, es.id, $2, es.group_jid, $3
+        FROM enrollment_subjects es
+        WHERE es.id = $1 AND es.group_jid IS NOT NULL
+        ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId, whatsappId, maxAttempts]);
+        logger.info('Withdraw job enqueued', { subjectId, whatsappId, enqueued: result.rows.length > 0 });
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error enqueuing withdraw job', { error: error.message, subjectId, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Queue the move of a student to another grupo of the same subject
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {string} targetGrupo - New grupo
+ * @param {string} targetJid - WhatsApp group of the new grupo
+ * @param {number} maxAttempts 
+ * @param {Date|null} runAfter - Not before this time (quota exhausted), null for now
+ * @returns {Promise<boolean>} false if the subject already has an open job
+ */
+export async function enqueueSwitchJob(subjectId, whatsappId, targetGrupo, targetJid, maxAttempts = 3, runAfter = null) {
+    const query = `
+        INSERT INTO group_add_jobs 
+            (kind, document_id, subject_id, whatsapp_id, group_jid, target_grupo, max_attempts, run_after, deferral_notified)
+        SELECT 'switch', es.document_id, es.id, $2, $4, $3, $5, 
+               COALESCE($6::timestamptz, CURRENT_TIMESTAMP), $6::timestamptz IS NOT NULL
+        FROM enrollment_subjects es
+        WHERE es.id = $1
+        ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId, whatsappId, targetGrupo, targetJid, maxAttempts, runAfter]);
+        logger.info('Switch job enqueued', { 
+            subjectId, 
+            whatsappId, 
+            targetGrupo, 
+            enqueued: result.rows.length > 0 
+        });
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error enqueuing switch job', { error: error.message, subjectId, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Schedule an automatic retry of a failed group addition
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {Date} runAfter - When to try again
+ * @param {number} maxAttempts - Attempts of the retry job itself (transient errors)
+ * @returns {Promise<boolean>} false if the subject already has an open job or was added
+ */
+export async function scheduleRetryJob(subjectId, whatsappId, runAfter, maxAttempts = 3) {
+    const query = `
+        INSERT INTO group_add_jobs 
+            (kind, document_id, subject_id, whatsapp_id, group_jid, max_attempts, run_after)
+        SELECT 'retry', es.document_id, es.id, $2, es.group_jid, $4, $3::timestamptz
+        FROM enrollment_subjects es
+        WHERE es.id = $1 AND es.group_jid IS NOT NULL AND es.added_to_group = FALSE
+        ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId, whatsappId, runAfter, maxAttempts]);
+        logger.info('Retry job scheduled', { subjectId, whatsappId, runAfter, scheduled: result.rows.length > 0 });
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error scheduling retry job', { error: error.message, subjectId, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Whether students blocked by privacy may get a private invite to a group
+ * @param {string} groupJid 
+ * @returns {Promise<boolean>}
+ */
+export async function isInviteFallbackAllowed(groupJid) {
+    const query = `
+        SELECT allow_invite_fallback 
+        FROM subject_group_mapping 
+        WHERE whatsapp_group_jid = $1 AND active = TRUE
+        LIMIT 1
+    `;
+    
+    try {
+        const result = await pool.query(query, [groupJid]);
+        return result.rows[0]?.allow_invite_fallback === true;
+    } catch (error) {
+        logger.error('Error checking invite fallback', { error: error.message, groupJid });
+        throw error;
+    }
+}
+
+/**
+ * Subjects of a student that privacy kept out of the group ("INVITAR")
+ * Only closed documents, and only SIGLAs the student is not already in.
+ * @param {string} whatsappId 
+ * @param {string|null} sigla - Only this SIGLA, null for all of them
+ * @returns {Promise<Array<object>>} Subjects with allow_invite_fallback and invite_pending
+ */
+export async function findInvitableSubjects(whatsappId, sigla = null) {
+    const query = `
+        SELECT DISTINCT ON (es.sigla) es.*,
+               COALESCE(m.allow_invite_fallback, FALSE) AS allow_invite_fallback,
+               EXISTS (
+                   SELECT 1 FROM group_invites gi
+                   WHERE gi.subject_id = es.id AND gi.status = 'sent' AND gi.expires_at > NOW()
+               ) AS invite_pending
+        FROM enrollment_subjects es
+        JOIN enrollment_documents ed ON es.document_id = ed.id
+        JOIN students s ON ed.student_id = s.id
+        LEFT JOIN subject_group_mapping m ON m.whatsapp_group_jid = es.group_jid AND m.active = TRUE
+        WHERE s.whatsapp_id = $1
+          AND ($2::text IS NULL OR es.sigla = $2)
+          AND ed.status IN ('completed', 'failed')
+          AND es.selected = TRUE
+          AND es.group_jid IS NOT NULL
+          AND es.added_to_group = FALSE
+          AND es.add_outcome = 'privacy_blocked'
+          AND NOT EXISTS (
+              SELECT 1 FROM enrollment_subjects es2
+              JOIN enrollment_documents ed2 ON es2.document_id = ed2.id
+              WHERE ed2.student_id = ed.student_id
+                AND es2.sigla = es.sigla
+                AND es2.added_to_group = TRUE
+                AND es2.withdrawn_at IS NULL
+          )
+        ORDER BY es.sigla, es.id DESC
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId, sigla]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error finding invitable subjects', { error: error.message, whatsappId, sigla });
+        throw error;
+    }
+}
+
+/**
+ * Queue an addition that sends a private invite if privacy blocks it
+ * A pending automatic retry of the subject is replaced by this job.
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {number} maxAttempts 
+ * @param {Date|null} runAfter - Not before this time (quota exhausted), null for now
+ * @returns {Promise<boolean>} false if the subject already has a job running
+ */
+export async function enqueueInviteJob(subjectId, whatsappId, maxAttempts = 3, runAfter = null) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        await client.query(`
+            UPDATE group_add_jobs 
+            SET status = 'failed', last_error = 'Reemplazado por invitación', finished_at = CURRENT_TIMESTAMP
+            WHERE subject_id = $1 AND kind = 'retry' AND status = 'pending'
+        `, [subjectId]);
+        
+        const result = await client.query(`
+            INSERT INTO group_add_jobs 
+                (kind, document_id, subject_id, whatsapp_id, group_jid, max_attempts, run_after, deferral_notified)
+            SELECT 'invite', es.document_id, es.id, $2, es.group_jid, $3, 
+                   COALESCE($4::timestamptz, CURRENT_TIMESTAMP), $4::timestamptz IS NOT NULL
+            FROM enrollment_subjects es
+            WHERE es.id = $1 AND es.group_jid IS NOT NULL
+            ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+            RETURNING id
+        `, [subjectId, whatsappId, maxAttempts, runAfter]);
+        
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            logger.info('Invite job not enqueued, subject busy', { subjectId, whatsappId });
+            return false;
+        }
+        
+        await client.query('COMMIT');
+        logger.info('Invite job enqueued', { subjectId, whatsappId, runAfter });
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error enqueuing invite job', { error: error.message, subjectId, whatsappId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Record a private invite sent to a student
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {string} groupJid 
+ * @param {Date} expiresAt 
+ */
+export async function recordInviteSent(subjectId, whatsappId, groupJid, expiresAt) {
+    const query = `
+        INSERT INTO group_invites (subject_id, whatsapp_id, group_jid, expires_at)
+        VALUES ($1, $2, $3, $4::timestamptz)
+    `;
+    
+    try {
+        await pool.query(query, [subjectId, whatsappId, groupJid, expiresAt]);
+        logger.info('Group invite recorded', { subjectId, whatsappId, groupJid });
+    } catch (error) {
+        logger.error('Error recording group invite', { error: error.message, subjectId, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Close the open invite of a student who joined a group
+ * The subject is marked as added and counted once, in one transaction.
+ * @param {string} groupJid 
+ * @param {string} whatsappId 
+ * @returns {Promise<{sigla: string, grupo: string}|null>} Subject now added, null if no invite was open
+ */
+export async function markInviteJoined(groupJid, whatsappId) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const invite = await client.query(`
+            UPDATE group_invites 
+            SET status = 'joined', joined_at = CURRENT_TIMESTAMP
+            WHERE group_jid = $1 AND whatsapp_id = $2 AND status IN ('sent', 'expired')
+            RETURNING subject_id
+        `, [groupJid, whatsappId]);
+        
+        if (invite.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        
+        const subjectIds = invite.rows.map(r => r.subject_id);
+        
+        const added = await client.query(`
+            UPDATE enrollment_subjects 
+            SET added_to_group = TRUE, added_at = CURRENT_TIMESTAMP, add_outcome = 'added'
+            WHERE id = ANY($1::int[]) AND added_to_group = FALSE
+            RETURNING sigla, grupo
+        `, [subjectIds]);
+        
+        if (added.rows.length > 0) {
+            await client.query(`
+                UPDATE students 
+                SET total_subjects_enrolled = total_subjects_enrolled + $2
+                WHERE whatsapp_id = $1
+            `, [whatsappId, added.rows.length]);
+        }
+        
+        await client.query('COMMIT');
+        logger.info('Group invite accepted', { groupJid, whatsappId, subjectIds });
+        return added.rows[0] || null;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error closing group invite', { error: error.message, groupJid, whatsappId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Mark sent invites past their expiry
+ * @returns {Promise<number>} Invites expired
+ */
+export async function expireGroupInvites() {
+    const query = `
+        UPDATE group_invites 
+        SET status = 'expired'
+        WHERE status = 'sent' AND expires_at <= NOW()
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Error expiring group invites', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Count the retry jobs already created for a subject
+ * @param {number} subjectId 
+ * @returns {Promise<number>}
+ */
+export async function countRetryJobs(subjectId) {
+    const query = `
+        SELECT COUNT(*)::int AS count 
+        FROM group_add_jobs 
+        WHERE subject_id = $1 AND kind = 'retry'
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId]);
+        return result.rows[0].count;
+    } catch (error) {
+        logger.error('Error counting retry jobs', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Get the pending automatic retries of a document
+ * @param {number} documentId 
+ * @returns {Promise<Array<{subject_id: number, run_after: Date}>>}
+ */
+export async function getScheduledRetries(documentId) {
+    const query = `
+        SELECT subject_id, run_after 
+        FROM group_add_jobs 
+        WHERE document_id = $1 AND kind = 'retry' AND status = 'pending'
+    `;
+    
+    try {
+        const result = await pool.query(query, [documentId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting scheduled retries', { error: error.message, documentId });
+        throw error;
+    }
+}
+
+/**
+ * Retry every failed subject of a student now ("REINTENTAR")
+ * Scheduled retries of closed documents are brought forward; failed
+ * subjects without one get a new retry job. Subjects the student is
+ * already in are skipped.
+ * @param {string} whatsappId 
+ * @param {number} maxAttempts 
+ * @returns {Promise<Array<{sigla: string, grupo: string}>>} Subjects that will be retried
+ */
+export async function retryFailedSubjectsNow(whatsappId, maxAttempts = 3) {
+    const query = `
+        WITH moved AS (
+            UPDATE group_add_jobs 
+            SET run_after = CURRENT_TIMESTAMP, deferral_notified = FALSE
+            WHERE whatsapp_id = $1 AND kind = 'retry' AND status = 'pending'
+              AND document_id IN (
+                  SELECT id FROM enrollment_documents WHERE status IN ('completed', 'failed')
+              )
+            RETURNING subject_id
+        ),
+        inserted AS (
+            INSERT INTO group_add_jobs 
+                (kind, document_id, subject_id, whatsapp_id, group_jid, max_attempts)
+            SELECT 'retry', es.document_id, es.id, $1, es.group_jid, $2
+            FROM enrollment_subjects es
+            JOIN enrollment_documents ed ON es.document_id = ed.id
+            JOIN students s ON ed.student_id = s.id
+            WHERE s.whatsapp_id = $1
+              AND ed.status IN ('completed', 'failed')
+              AND es.selected = TRUE
+              AND es.group_jid IS NOT NULL
+              AND es.added_to_group = FALSE
+              AND NOT EXISTS (
+                  SELECT 1 FROM group_add_jobs j
+                  WHERE j.subject_id = es.id AND j.status IN ('pending', 'running')
+              )
+              AND NOT EXISTS (
+                  SELECT 1 FROM enrollment_subjects es2
+                  JOIN enrollment_documents ed2 ON es2.document_id = ed2.id
+                  WHERE ed2.student_id = ed.student_id
+                    AND es2.sigla = es.sigla
+                    AND es2.added_to_group = TRUE
+                    AND es2.withdrawn_at IS NULL
+              )
+            ON CONFLICT (subject_id) WHERE status IN ('pending', 'running') DO NOTHING
+            RETURNING subject_id
+        )
+        SELECT es.sigla, es.grupo
+        FROM enrollment_subjects es
+        WHERE es.id IN (SELECT subject_id FROM moved UNION SELECT subject_id FROM inserted)
+        ORDER BY es.id
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId, maxAttempts]);
+        logger.info('Failed subjects retried on request', { whatsappId, count: result.rows.length });
+        return result.rows;
+    } catch (error) {
+        logger.error('Error retrying failed subjects', { error: error.message, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Count jobs waiting to run (used to tell the student their position)
+ * @returns {Promise<number>}
+ */
+export async function countQueuedJobs() {
+    const query = `
+        SELECT COUNT(*)::int AS count 
+        FROM group_add_jobs 
+        WHERE status IN ('pending', 'running')
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rows[0].count;
+    } catch (error) {
+        logger.error('Error counting queued jobs', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Atomically claim the next runnable job
+ * SKIP LOCKED keeps two workers from ever taking the same row.
+ * Retries and invites wait until their document is closed: closeDocument
+ * counts every subject the document got into, so a retry that succeeded
+ * earlier would be counted twice.
+ * @param {boolean} includeAdds - false when the add quota is exhausted (only removals run)
+ * @returns {Promise<object|null>} Job joined with its subject (current group as subject_group_jid), or null
+ */
+export async function claimNextJob(includeAdds = true) {
+    const query = `
+        UPDATE group_add_jobs j
+        SET status = 'running', attempts = j.attempts + 1
+        FROM enrollment_subjects es
+        WHERE j.id = (
+            SELECT id FROM group_add_jobs
+            WHERE status = 'pending' AND run_after <= NOW()
+              AND ($1 OR kind = 'withdraw')
+              AND (kind NOT IN ('retry', 'invite') OR document_id IN (
+                  SELECT id FROM enrollment_documents WHERE status IN ('completed', 'failed')
+              ))
+            ORDER BY run_after, id
+            FOR UPDATE SKIP LOCKED
+            LIMIT 1
+        )
+        AND es.id = j.subject_id
+        RETURNING j.*, es.sigla, es.grupo, es.group_jid AS subject_group_jid
+    `;
+    
+    try {
+        const result = await pool.query(query, [includeAdds]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error claiming next job', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Mark job as done
+ * @param {number} jobId 
+ */
+export async function completeJob(jobId) {
+    const query = `
+        UPDATE group_add_jobs 
+        SET status = 'done', last_error = NULL, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `;
+    
+    try {
+        await pool.query(query, [jobId]);
+        logger.info('Job completed', { jobId });
+    } catch (error) {
+        logger.error('Error completing job', { error: error.message, jobId });
+        throw error;
+    }
+}
+
+/**
+ * Record a failed job attempt
+ * @param {number} jobId 
+ * @param {string} errorMessage 
+ * @param {number|null} retryInMs - Delay before next attempt, null to fail permanently
+ */
+export async function failJob(jobId, errorMessage, retryInMs = null) {
+    const query = retryInMs === null
+        ? `
+            UPDATE group_add_jobs 
+            SET status = 'failed', last_error = $2, finished_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'running'
+        `
+        : `
+            UPDATE group_add_jobs 
+            SET status = 'pending', last_error = $2, 
+                run_after = NOW() + ($3::int * INTERVAL '1 millisecond')
+            WHERE id = $1 AND status = 'running'
+        `;
+    const params = retryInMs === null ? [jobId, errorMessage] : [jobId, errorMessage, retryInMs];
+    
+    try {
+        await pool.query(query, params);
+        logger.info('Job attempt failed', { jobId, willRetry: retryInMs !== null, retryInMs });
+    } catch (error) {
+        logger.error('Error failing job', { error: error.message, jobId });
+        throw error;
+    }
+}
+
+/**
+ * Put jobs left in 'running' by a crash back in the queue
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+export async function requeueRunningJobs() {
+    const query = `
+        UPDATE group_add_jobs 
+        SET status = 'pending'
+        WHERE status = 'running'
+        RETURNING id
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        if (result.rows.length > 0) {
+            logger.warn('Interrupted jobs requeued', { count: result.rows.length });
+        }
+        return result.rows.length;
+    } catch (error) {
+        logger.error('Error requeuing running jobs', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Count unfinished enrollment jobs of a document
+ * @param {number} documentId 
+ * @returns {Promise<number>}
+ */
+export async function countOpenJobsForDocument(documentId) {
+    const query = `
+        SELECT COUNT(*)::int AS count 
+        FROM group_add_jobs 
+        WHERE document_id = $1 AND kind = 'enroll' AND status IN ('pending', 'running')
+    `;
+    
+    try {
+        const result = await pool.query(query, [documentId]);
+        return result.rows[0].count;
+    } catch (error) {
+        logger.error('Error counting open jobs', { error: error.message, documentId });
+        throw error;
+    }
+}
+
+/**
+ * Record an add-to-group attempt for quota accounting
+ * @param {string} accountId - Bot WhatsApp account
+ * @param {string} whatsappId - Student WhatsApp ID
+ * @param {string} groupJid 
+ * @param {number|null} statusCode 
+ * @param {boolean} success 
+ */
+export async function recordAddOperation(accountId, whatsappId, groupJid, statusCode, success) {
+    const query = `
+        INSERT INTO group_add_operations (account_id, whatsapp_id, group_jid, status_code, success)
+        VALUES ($1, $2, $3, $4, $5)
+    `;
+    
+    try {
+        await pool.query(query, [accountId, whatsappId, groupJid, statusCode, success]);
+    } catch (error) {
+        logger.error('Error recording add operation', { 
+            error: error.message, 
+            accountId, 
+            whatsappId 
+        });
+        throw error;
+    }
+}
+
+/**
+ * Count add-to-group attempts in the last hour and the last 24 hours
+ * Also returns the oldest attempt of each window, to know when a slot frees up
+ * @param {string} accountId 
+ * @returns {Promise<object>} { hourly, daily, oldest_hourly, oldest_daily }
+ */
+export async function getAddOperationCounts(accountId) {
+    const query = `
+        SELECT 
+            COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour')::int AS hourly,
+            COUNT(*)::int AS daily,
+            MIN(created_at) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour') AS oldest_hourly,
+            MIN(created_at) AS oldest_daily
+        FROM group_add_operations
+        WHERE account_id = $1 AND created_at > NOW() - INTERVAL '24 hours'
+    `;
+    
+    try {
+        const result = await pool.query(query, [accountId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error counting add operations', { error: error.message, accountId });
+        throw error;
+    }
+}
+
+/**
+ * Add-to-group usage of every account in the last 24 hours (admin report)
+ * @returns {Promise<Array>}
+ */
+export async function getAddOperationUsage() {
+    const query = `
+        SELECT 
+            account_id,
+            COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour')::int AS hourly,
+            COUNT(*)::int AS daily,
+            COUNT(*) FILTER (WHERE success)::int AS daily_success,
+            MAX(created_at) AS last_operation_at
+        FROM group_add_operations
+        WHERE created_at > NOW() - INTERVAL '24 hours'
+        GROUP BY account_id
+        ORDER BY account_id
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting add operation usage', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Subjects per add outcome in the last days (admin report)
+ * @param {number} days 
+ * @returns {Promise<Array>} { add_outcome, subjects, attempts }
+ */
+export async function getAddOutcomeSummary(days) {
+    const query = `
+        SELECT add_outcome, COUNT(*)::int AS subjects, SUM(add_attempts)::int AS attempts
+        FROM enrollment_subjects
+        WHERE add_outcome IS NOT NULL
+          AND last_attempt_at > NOW() - make_interval(days => $1)
+        GROUP BY add_outcome
+        ORDER BY subjects DESC
+    `;
+    
+    try {
+        const result = await pool.query(query, [days]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting add outcome summary', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Groups with subjects still failing in the last days (admin report)
+ * Subjects that were withdrawn or later added are left out.
+ * @param {number} days 
+ * @returns {Promise<Array>} { sigla, grupo, group_jid, add_outcome, subjects, last_attempt_at }
+ */
+export async function getFailingGroups(days) {
+    const query = `
+        SELECT sigla, grupo, group_jid, add_outcome,
+               COUNT(*)::int AS subjects,
+               MAX(last_attempt_at) AS last_attempt_at
+        FROM enrollment_subjects
+        WHERE add_outcome IS NOT NULL
+          AND add_outcome NOT IN ('added', 'already_member')
+          AND added_to_group = FALSE
+          AND withdrawn_at IS NULL
+          AND last_attempt_at > NOW() - make_interval(days => $1)
+        GROUP BY sigla, grupo, group_jid, add_outcome
+        ORDER BY subjects DESC, sigla, grupo
+    `;
+    
+    try {
+        const result = await pool.query(query, [days]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting failing groups', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Overall bot activity (admin "!stats")
+ * @returns {Promise<object>}
+ */
+export async function getBotStats() {
+    const query = `
+        SELECT 
+            (SELECT COUNT(*) FROM students)::int AS students,
+            (SELECT COUNT(*) FROM enrollment_documents WHERE status = 'pending')::int AS pending_documents,
+            (SELECT COUNT(*) FROM enrollment_documents WHERE status IN ('confirmed', 'processing'))::int AS processing_documents,
+            (SELECT COUNT(*) FROM enrollment_documents 
+             WHERE status = 'completed' AND processed_at > NOW() - INTERVAL '24 hours')::int AS completed_today,
+            (SELECT COUNT(*) FROM enrollment_subjects 
+             WHERE added_to_group = TRUE AND added_at > NOW() - INTERVAL '24 hours')::int AS added_today,
+            (SELECT COUNT(*) FROM group_add_jobs WHERE status IN ('pending', 'running'))::int AS open_jobs,
+            (SELECT COUNT(*) FROM group_add_jobs 
+             WHERE status = 'failed' AND finished_at > NOW() - INTERVAL '24 hours')::int AS failed_jobs_today,
+            (SELECT COUNT(*) FROM conversation_states WHERE state = 'handoff')::int AS handoffs
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting bot stats', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * List documents, newest first (admin API)
+ * @param {object} filters
+ * @param {string|null} filters.status - Only this document_status
+ * @param {string|null} filters.registrationNumber - Only this student
+ * @param {number} filters.limit 
+ * @param {number} filters.offset 
+ * @returns {Promise<Array<object>>} Documents with student name and subject counts
+ */
+export async function listDocuments({ status = null, registrationNumber = null, limit = 50, offset = 0 } = {}) {
+    const query = `
+        SELECT ed.id, ed.registration_number, s.student_name, s.whatsapp_id, ed.status,
+               ed.created_at, ed.confirmed_at, ed.processed_at,
+               COUNT(es.id) FILTER (WHERE es.selected)::int AS subjects,
+               COUNT(es.id) FILTER (WHERE es.added_to_group)::int AS added
+        FROM enrollment_documents ed
+        JOIN students s ON ed.student_id = s.id
+        LEFT JOIN enrollment_subjects es ON es.document_id = ed.id
+        WHERE ($1::document_status IS NULL OR ed.status = $1)
+          AND ($2::text IS NULL OR ed.registration_number = $2)
+        GROUP BY ed.id, s.student_name, s.whatsapp_id
+        ORDER BY ed.created_at DESC
+        LIMIT $3 OFFSET $4
+    `;
+    
+    try {
+        const result = await pool.query(query, [status, registrationNumber, limit, offset]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error listing documents', { error: error.message, status });
+        throw error;
+    }
+}
+
+/**
+ * Get a document with its student (admin API)
+ * @param {number} documentId 
+ * @returns {Promise<object|null>}
+ */
+export async function getDocumentById(documentId) {
+    const query = `
+        SELECT ed.id, ed.registration_number, s.student_name, s.whatsapp_id, ed.status,
+               ed.raw_text, ed.parsed_data, ed.created_at, ed.confirmed_at, ed.processed_at
+        FROM enrollment_documents ed
+        JOIN students s ON ed.student_id = s.id
+        WHERE ed.id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [documentId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error getting document', { error: error.message, documentId });
+        throw error;
+    }
+}
+
+/**
+ * Enrollment result of every confirmed subject (admin API)
+ * @param {object} filters
+ * @param {string|null} filters.sigla 
+ * @param {string|null} filters.grupo 
+ * @param {string|null} filters.outcome - Only this add_outcome
+ * @param {number} filters.limit 
+ * @param {number} filters.offset 
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSubjectResults({ sigla = null, grupo = null, outcome = null, limit = 100, offset = 0 } = {}) {
+    const query = `
+        SELECT es.id, es.sigla, es.grupo, es.materia, es.group_jid,
+               es.added_to_group, es.added_at, es.withdrawn_at,
+               es.add_outcome, es.add_attempts, es.last_add_error, es.last_attempt_at,
+               ed.id AS document_id, ed.status AS document_status,
+               s.registration_number, s.student_name, s.whatsapp_id
+        FROM enrollment_subjects es
+        JOIN enrollment_documents ed ON es.document_id = ed.id
+        JOIN students s ON ed.student_id = s.id
+        WHERE es.selected = TRUE
+          AND ed.status IN ('confirmed', 'processing', 'completed', 'failed')
+          AND ($1::text IS NULL OR es.sigla = $1)
+          AND ($2::text IS NULL OR es.grupo = $2)
+          AND ($3::add_outcome IS NULL OR es.add_outcome = $3)
+        ORDER BY es.last_attempt_at DESC NULLS LAST, es.id DESC
+        LIMIT $4 OFFSET $5
+    `;
+    
+    try {
+        const result = await pool.query(query, [sigla, grupo, outcome, limit, offset]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error listing subject results', { error: error.message, sigla, grupo });
+        throw error;
+    }
+}
+
+/**
+ * Number of documents in each status (dashboard)
+ * @returns {Promise<object>} { pending: n, confirmed: n, ... } with every status present
+ */
+export async function getDocumentStatusCounts() {
+    const query = `
+        SELECT s.status, COUNT(ed.id)::int AS count
+        FROM unnest(enum_range(NULL::document_status)) AS s(status)
+        LEFT JOIN enrollment_documents ed ON ed.status = s.status
+        GROUP BY s.status
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+    } catch (error) {
+        logger.error('Error counting documents by status', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Unfinished jobs of every subject of a document (dashboard)
+ * @param {number} documentId 
+ * @returns {Promise<Array<object>>} subject_id, kind, status, run_after, attempts
+ */
+export async function getOpenJobsForDocument(documentId) {
+    const query = `
+        SELECT id, subject_id, kind, status, run_after, attempts, max_attempts, last_error
+        FROM group_add_jobs 
+        WHERE document_id = $1 AND status IN ('pending', 'running')
+        ORDER BY id
+    `;
+    
+    try {
+        const result = await pool.query(query, [documentId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting open jobs', { error: error.message, documentId });
+        throw error;
+    }
+}
+
+/**
+ * Get a subject with its document status and student (dashboard actions)
+ * @param {number} subjectId 
+ * @returns {Promise<object|null>} Subject row plus document_status, whatsapp_id and open_jobs
+ */
+export async function getSubjectForReview(subjectId) {
+    const query = `
+        SELECT es.*, ed.status AS document_status, s.whatsapp_id, s.registration_number,
+               (SELECT COUNT(*)::int FROM group_add_jobs j 
+                WHERE j.subject_id = es.id AND j.status IN ('pending', 'running')) AS open_jobs
+        FROM enrollment_subjects es
+        JOIN enrollment_documents ed ON es.document_id = ed.id
+        JOIN students s ON ed.student_id = s.id
+        WHERE es.id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error getting subject', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Retry one failed subject now
+ * A scheduled retry is brought forward; otherwise a new retry job is queued.
+ * @param {number} subjectId 
+ * @param {string} whatsappId 
+ * @param {number} maxAttempts 
+ * @returns {Promise<boolean>} false if the subject was added or another job is open
+ */
+export async function retrySubjectNow(subjectId, whatsappId, maxAttempts = 3) {
+    const moveQuery = `
+        UPDATE group_add_jobs 
+        SET run_after = CURRENT_TIMESTAMP, deferral_notified = FALSE
+        WHERE subject_id = $1 AND kind = 'retry' AND status = 'pending'
+        RETURNING id
+    `;
+    
+    try {
+        const moved = await pool.query(moveQuery, [subjectId]);
+        const retried = moved.rows.length > 0
+            || await scheduleRetryJob(subjectId, whatsappId, new Date(), maxAttempts);
+        
+        logger.info('Subject retried on request', { subjectId, whatsappId, retried });
+        return retried;
+    } catch (error) {
+        logger.error('Error retrying subject', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Cancel the scheduled retry or invite of a subject
+ * Enrollment jobs are left alone: their document is closed when the last one finishes.
+ * @param {number} subjectId 
+ * @param {string} reason - Stored as the job's last_error
+ * @returns {Promise<number>} Jobs cancelled
+ */
+export async function cancelSubjectJobs(subjectId, reason) {
+    const query = `
+        UPDATE group_add_jobs 
+        SET status = 'failed', last_error = $2, finished_at = CURRENT_TIMESTAMP
+        WHERE subject_id = $1 AND kind IN ('retry', 'invite') AND status = 'pending'
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId, reason]);
+        logger.info('Subject jobs cancelled', { subjectId, count: result.rowCount });
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Error cancelling subject jobs', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Correct a subject the OCR misread
+ * Only subjects that are not in their group and have no open job change.
+ * @param {number} subjectId 
+ * @param {object} subject
+ * @param {string} subject.sigla 
+ * @param {string} subject.grupo 
+ * @param {string} subject.materia 
+ * @param {string|null} subject.groupJid - Mapped group, null if not mapped
+ * @returns {Promise<boolean>} Whether the subject was changed
+ */
+export async function correctSubject(subjectId, { sigla, grupo, materia, groupJid }) {
+    const query = `
+        UPDATE enrollment_subjects es
+        SET sigla = $2, grupo = $3, materia = $4, group_jid = $5,
+            add_outcome = NULL, last_add_error = NULL
+        WHERE es.id = $1 
+          AND es.added_to_group = FALSE
+          AND NOT EXISTS (
+              SELECT 1 FROM group_add_jobs j
+              WHERE j.subject_id = es.id AND j.status IN ('pending', 'running')
+          )
+    `;
+    
+    try {
+        const result = await pool.query(query, [subjectId, sigla, grupo, materia, groupJid]);
+        logger.info('Subject corrected', { subjectId, sigla, grupo, groupJid, changed: result.rowCount > 0 });
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Error correcting subject', { error: error.message, subjectId });
+        throw error;
+    }
+}
+
+/**
+ * Record an administrator change in the audit trail
+ * @param {string} actor - api:<ip>, dashboard:<user> or whatsapp:<id>
+ * @param {string} action - e.g. mapping.update, student.reset
+ * @param {string|null} target - What was changed (mapping ID, registration number...)
+ * @param {object|null} details 
+ */
+export async function insertAuditLog(actor, action, target = null, details = null) {
+    const query = `
+        INSERT INTO admin_audit_log (actor, action, target, details)
+        VALUES ($1, $2, $3, $4)
+    `;
+    
+    try {
+        await pool.query(query, [actor, action, target, details ? JSON.stringify(details) : null]);
+    } catch (error) {
+        logger.error('Error writing audit log', { error: error.message, actor, action });
+        throw error;
+    }
+}
+
+/**
+ * Read a runtime setting
+ * @param {string} key 
+ * @returns {Promise<any>} Stored value, null if never set
+ */
+export async function getSetting(key) {
+    const query = `SELECT value FROM bot_settings WHERE key = $1`;
+    
+    try {
+        const result = await pool.query(query, [key]);
+        return result.rows[0]?.value ?? null;
+    } catch (error) {
+        logger.error('Error reading setting', { error: error.message, key });
+        throw error;
+    }
+}
+
+/**
+ * Save a runtime setting
+ * @param {string} key 
+ * @param {any} value - Stored as JSON
+ * @param {string|null} updatedBy - Admin WhatsApp ID
+ */
+export async function saveSetting(key, value, updatedBy = null) {
+    const query = `
+        INSERT INTO bot_settings (key, value, updated_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (key) DO UPDATE SET
+            value = EXCLUDED.value,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    try {
+        await pool.query(query, [key, JSON.stringify(value), updatedBy]);
+        logger.info('Setting saved', { key, value, updatedBy });
+    } catch (error) {
+        logger.error('Error saving setting', { error: error.message, key });
+        throw error;
+    }
+}
+
+/**
+ * Postpone every runnable job until the quota window reopens
+ * @param {Date} runAfter 
+ * @returns {Promise<Array<string>>} Students whose jobs were postponed for the first time
+ */
+export async function deferRunnableJobs(runAfter) {
+    const query = `
+        WITH deferred AS (
+            UPDATE group_add_jobs j
+            SET run_after = $1::timestamptz, deferral_notified = TRUE
+            FROM (
+                SELECT id, deferral_notified AS was_notified
+                FROM group_add_jobs
+                WHERE status = 'pending' AND kind <> 'withdraw' AND run_after < $1::timestamptz
+                FOR UPDATE
+            ) prev
+            WHERE j.id = prev.id
+            RETURNING j.whatsapp_id, prev.was_notified
+        )
+        SELECT DISTINCT whatsapp_id FROM deferred WHERE NOT was_notified
+    `;
+    
+    try {
+        const result = await pool.query(query, [runAfter]);
+        logger.info('Runnable jobs deferred by quota', { 
+            runAfter, 
+            newlyNotified: result.rows.length 
+        });
+        return result.rows.map(row => row.whatsapp_id);
+    } catch (error) {
+        logger.error('Error deferring jobs', { error: error.message, runAfter });
+        throw error;
+    }
+}
+
+/**
+ * Find documents left in 'confirmed' or 'processing' (e.g. after a crash)
+ * @returns {Promise<Array>} Documents with owner and job counts
+ */
+export async function getInterruptedDocuments() {
+    const query = `
+        SELECT 
+            ed.id, ed.status, ed.created_at, ed.confirmed_at,
+            s.whatsapp_id,
+            COUNT(j.id)::int AS total_jobs,
+            COUNT(j.id) FILTER (WHERE j.status IN ('pending', 'running'))::int AS open_jobs
+        FROM enrollment_documents ed
+        JOIN students s ON ed.student_id = s.id
+        LEFT JOIN group_add_jobs j ON j.document_id = ed.id AND j.kind = 'enroll'
+        WHERE ed.status IN ('confirmed', 'processing')
+        GROUP BY ed.id, s.whatsapp_id
+        ORDER BY ed.id
+    `;
+    
+    try {
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting interrupted documents', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Record an inbound message as processed
+ * @param {string} messageId 
+ * @param {string} whatsappId 
+ * @returns {Promise<boolean>} false if the message had already been processed
+ */
+export async function markMessageProcessed(messageId, whatsappId) {
+    const query = `
+        INSERT INTO processed_messages (message_id, whatsapp_id)
+        VALUES ($1, $2)
+        ON CONFLICT (message_id) DO NOTHING
+        RETURNING message_id
+    `;
+    
+    try {
+        const result = await pool.query(query, [messageId, whatsappId]);
+        return result.rows.length > 0;
+    } catch (error) {
+        logger.error('Error marking message processed', { error: error.message, messageId });
+        throw error;
+    }
+}
+
+/**
+ * Delete processed message records older than the retention period
+ * @param {number} retentionDays 
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function purgeProcessedMessages(retentionDays = 7) {
+    const query = `
+        DELETE FROM processed_messages
+        WHERE received_at < NOW() - ($1::int * INTERVAL '1 day')
+    `;
+    
+    try {
+        const result = await pool.query(query, [retentionDays]);
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Error purging processed messages', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Get the stored conversation state of a user
+ * @param {string} whatsappId 
+ * @returns {Promise<object|null>} Row from conversation_states, null if never stored
+ */
+export async function getConversationState(whatsappId) {
+    const query = `
+        SELECT whatsapp_id, state, document_id, expires_at, entered_at
+        FROM conversation_states
+        WHERE whatsapp_id = $1
+    `;
+    
+    try {
+        const result = await pool.query(query, [whatsappId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error getting conversation state', { error: error.message, whatsappId });
+        throw error;
+    }
+}
+
+/**
+ * Store the conversation state of a user
+ * @param {string} whatsappId 
+ * @param {string} state 
+ * @param {number|null} documentId - Document the state refers to, if any
+ * @param {Date|null} expiresAt - When the state times out, null for never
+ */
+export async function saveConversationState(whatsappId, state, documentId, expiresAt) {
+    const query = `
+        INSERT INTO conversation_states (whatsapp_id, state, document_id, expires_at, entered_at)
+        VALUES ($1, $2, $3, $4::timestamptz, CURRENT_TIMESTAMP)
+        ON CONFLICT (whatsapp_id) DO UPDATE SET
+            state = EXCLUDED.state,
+            document_id = EXCLUDED.document_id,
+            expires_at = EXCLUDED.expires_at,
+            entered_at = CASE 
+                WHEN conversation_states.state = EXCLUDED.state THEN conversation_states.entered_at 
+                ELSE CURRENT_TIMESTAMP 
+            END
+    `;
+    
+    try {
+        await pool.query(query, [whatsappId, state, documentId, expiresAt]);
+    } catch (error) {
+        logger.error('Error saving conversation state', { error: error.message, whatsappId, state });
         throw error;
     }
 }
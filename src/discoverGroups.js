@@ -1,7 +1,6 @@
-import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
-import qrcode from 'qrcode-terminal';
+import { WHATSAPP_TRANSPORT, AUTH_PATHS } from './config.js';
 import { logger } from './logger.js';
+import { createTransport } from './transports/index.js';
 
 /**
  * Discover WhatsApp groups and suggest SIGLA+GRUPO mappings
@@ -13,30 +12,12 @@ import { logger } from './logger.js';
 async function discoverGroups() {
     logger.info('Starting group discovery script');
     
-    const client = new Client({
-        authStrategy: new LocalAuth({
-            dataPath: './auth_info' // Misma sesión que index.js
-        }),
-        puppeteer: {
-            headless: true,
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        },
-        webVersionCache: {
-            type: 'none'
-        }
-    });
-
-    client.on('qr', (qr) => {
-        console.log('\n🔐 Escanea este código QR con WhatsApp:\n');
-        qrcode.generate(qr, { small: true });
-    });
-
-    client.on('authenticated', () => {
-        logger.info('WhatsApp authenticated for group discovery');
-        console.log('\n✅ Autenticado!\n');
+    // Misma sesión que index.js
+    const transport = await createTransport(WHATSAPP_TRANSPORT, {
+        authPath: AUTH_PATHS[WHATSAPP_TRANSPORT]
     });
 
-    client.on('ready', async () => {
+    transport.on('ready', async () => {
         logger.info('WhatsApp client ready, discovering groups');
         console.log('\n🔍 Escaneando grupos de WhatsApp...\n');
         console.log('⏳ Esperando 5 segundos para sincronizar grupos nuevos...\n');
@@ -45,8 +26,7 @@ async function discoverGroups() {
         await new Promise(resolve => setTimeout(resolve, 5000));
         
         try {
-            const chats = await client.getChats();
-            const grupos = chats.filter(chat => chat.isGroup);
+            const grupos = await transport.listGroups();
             
             console.log(`\n📋 GRUPOS ENCONTRADOS (${grupos.length}):\n`);
             console.log('='.repeat(80));
@@ -56,7 +36,7 @@ async function discoverGroups() {
             
             for (const grupo of grupos) {
                 const name = grupo.name;
-                const jid = grupo.id._serialized;
+                const jid = grupo.id;
                 
                 // Try to extract SIGLA + GRUPO from group name
                 // Patterns: "INF412 5A", "INF412-5A", "INF412 - 5A", "SISTEMAS OPERATIVOS II - 5A"
@@ -115,18 +95,18 @@ async function discoverGroups() {
             logger.error('Error discovering groups', { error: error.message });
             console.error('\n❌ Error:', error.message);
         } finally {
-            await client.destroy();
+            await transport.stop();
             process.exit(0);
         }
     });
 
-    client.on('auth_failure', () => {
-        logger.error('WhatsApp authentication failed in discovery');
+    transport.on('disconnected', (reason) => {
+        logger.error('WhatsApp disconnected during discovery', { reason });
         console.error('\n❌ Error de autenticación. Intenta nuevamente.');
         process.exit(1);
     });
 
-    await client.initialize();
+    await transport.start();
 }
 
 // Run the discovery
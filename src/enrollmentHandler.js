@@ -1,4 +1,5 @@
 import { performOCR } from './ocr.js';
+import { assessImageQuality, formatQualityFeedback } from './imageQuality.js';
 import { parseEnrollmentDocument, calculateDocumentHash } from './parser.js';
 import { 
     upsertStudent, 
@@ -6,25 +7,37 @@ import {
     insertDocument, 
     updateDocumentStatus,
     insertSubject,
+    updateSubjectGroup,
+    deleteSubject,
+    getSubjectName,
     getPendingDocument,
     getSubjectsForDocument,
-    markSubjectAdded,
     getStudentSubjectCount,
-    incrementStudentSubjectCount
+    confirmPendingDocument,
+    cancelPendingDocuments,
+    deleteDiscardedDocument,
+    getScheduledRetries,
+    isInviteFallbackAllowed,
+    retryFailedSubjectsNow,
+    closeDocument,
+    countQueuedJobs
 } from './database.js';
 import { mapSubjectsToGroups } from './groupMapper.js';
-import { randomDelay, enviarMensajeHumano, delayFromRange } from './antibanHelpers.js';
+import { OUTCOMES, OUTCOME_LABELS } from './participantOutcomes.js';
+import { checkAddQuota, formatEstimatedTime } from './quota.js';
+import { STATES, getState, transition } from './conversationState.js';
+import { randomDelay, enviarMensajeHumano } from './antibanHelpers.js';
+import { recordParseResult, recordQualityRejection } from './metrics.js';
 import { logger } from './logger.js';
-import { MAX_SUBJECTS_PER_USER, DELAYS } from './config.js';
+import { MAX_SUBJECTS_PER_USER, DELAYS, COLA_TRABAJOS, EXPIRACION_DOCUMENTO, CALIDAD_IMAGEN } from './config.js';
 
 /**
  * Handle document upload (boleta)
- * @param {object} client - WhatsApp client
- * @param {object} message - WhatsApp message object
+ * @param {object} transport - Messaging transport
+ * @param {object} message - Incoming transport message
  * @param {object} media - Downloaded media object
  */
-export async function handleDocumentUpload(client, message, media) {
-    const chat = await message.getChat();
+export async function handleDocumentUpload(transport, message, media) {
     const remitente = message.from;
     let parsed = null; // Declare outside try for access in catch
     
@@ -41,10 +54,18 @@ export async function handleDocumentUpload(client, message, media) {
         const buffer = Buffer.from(media.data, 'base64');
         const docHash = calculateDocumentHash(buffer);
         
-        const duplicate = await findDocumentByHash(docHash);
+        let duplicate = await findDocumentByHash(docHash);
+        
+        // An expired or cancelled boleta can be sent again
+        if (duplicate && (duplicate.status === 'expired' || duplicate.status === 'cancelled')) {
+            await deleteDiscardedDocument(duplicate.id);
+            duplicate = null;
+        }
+        
         if (duplicate) {
             await enviarMensajeHumano(
-                chat,
+                transport,
+                remitente,
                 `⚠️ *Documento duplicado*\n\n` +
                 `Ya procesaste este documento el ${new Date(duplicate.created_at).toLocaleDateString()}.\n` +
                 `Estado: ${duplicate.status}`
@@ -52,17 +73,32 @@ export async function handleDocumentUpload(client, message, media) {
             return;
         }
         
-        // Step 2: Perform OCR
-        await enviarMensajeHumano(chat, '🔍 Procesando tu documento...');
+        // Step 2: Perform OCR (photos that cannot be read are turned away first)
+        if (CALIDAD_IMAGEN.ACTIVADO && media.mimetype.startsWith('image/')) {
+            const quality = await assessImageQuality(buffer).catch((error) => {
+                logger.warn('Could not assess image quality, trying OCR anyway', { error: error.message });
+                return null;
+            });
+
+            if (quality && !quality.ok) {
+                recordQualityRejection(quality.issues);
+                await enviarMensajeHumano(transport, remitente, formatQualityFeedback(quality.issues));
+                return;
+            }
+        }
+
+        await enviarMensajeHumano(transport, remitente, '🔍 Procesando tu documento...');
         
-        const ocrText = await performOCR(buffer, media.mimetype);
+        const ocr = await performOCR(buffer, media.mimetype);
         
         // Step 3: Parse data
-        parsed = parseEnrollmentDocument(ocrText);
+        parsed = parseEnrollmentDocument(ocr);
+        recordParseResult(parsed.isValid);
         
         if (!parsed.isValid) {
             await enviarMensajeHumano(
-                chat,
+                transport,
+                remitente,
                 `❌ *No pude leer tu documento correctamente*\n\n` +
                 `Asegúrate de que:\n` +
                 `✓ La foto sea clara y legible\n` +
@@ -74,27 +110,24 @@ export async function handleDocumentUpload(client, message, media) {
         }
         
         // Step 4: Validate subject limit
+        // Only the subjects picked on confirmation count, so here we only
+        // reject students with no slots left
         const currentCount = await getStudentSubjectCount(remitente);
         const newSubjectsCount = parsed.subjects.length;
-        const totalAfterAdd = currentCount + newSubjectsCount;
         
-        if (totalAfterAdd > MAX_SUBJECTS_PER_USER) {
-            const remainingSlots = MAX_SUBJECTS_PER_USER - currentCount;
-            
+        if (currentCount >= MAX_SUBJECTS_PER_USER) {
             await enviarMensajeHumano(
-                chat,
-                `⚠️ *Límite de materias excedido*\n\n` +
-                `Ya tienes *${currentCount} materias* inscritas.\n` +
-                `Solo puedes agregar *${remainingSlots} materias más* (máximo ${MAX_SUBJECTS_PER_USER} total).\n\n` +
-                `Tu boleta tiene *${newSubjectsCount} materias*.\n\n` +
-                `Por favor envía una nueva boleta con solo las materias que deseas inscribir.`
+                transport,
+                remitente,
+                `⚠️ *Límite de materias alcanzado*\n\n` +
+                `Ya tienes *${currentCount} materias* inscritas (máximo ${MAX_SUBJECTS_PER_USER} total).\n\n` +
+                `No puedo inscribirte a más grupos.`
             );
             return;
         }
         
         // Step 5: Map subjects to groups
         const mappedSubjects = await mapSubjectsToGroups(parsed.subjects);
-        const unmappedCount = mappedSubjects.filter(s => !s.canAdd).length;
         
         // Step 6: Save to database
         const student = await upsertStudent(
@@ -107,9 +140,9 @@ export async function handleDocumentUpload(client, message, media) {
             student.id,
             parsed.registrationNumber,
             docHash,
-            ocrText,
-            parsed,
-            message.id._serialized
+            ocr.text,
+            { ...parsed, ocr: { provider: ocr.provider, confidence: ocr.confidence, latencyMs: ocr.latencyMs, pages: ocr.pages?.length || 1 } },
+            message.id
         );
         
         // Insert subjects
@@ -118,35 +151,11 @@ export async function handleDocumentUpload(client, message, media) {
         }
         
         // Step 7: Show confirmation message
-        let confirmMsg = 
-            `✅ *Documento procesado*\n\n` +
-            `*Estudiante:* ${parsed.studentName}\n` +
-            `*Registro:* ${parsed.registrationNumber}\n` +
-            `*Materias actuales:* ${currentCount}/${MAX_SUBJECTS_PER_USER}\n` +
-            `*Nuevas materias:* ${newSubjectsCount}\n\n` +
-            `*Materias detectadas:*\n`;
-        
-        for (const s of mappedSubjects) {
-            const icon = s.canAdd ? '✅' : '⚠️';
-            confirmMsg += `${icon} ${s.sigla} - Grupo ${s.grupo}\n    _${s.materia}_\n`;
-        }
-        
-        if (unmappedCount > 0) {
-            confirmMsg += 
-                `\n⚠️ *${unmappedCount} materia(s) no tienen grupo de WhatsApp configurado.*\n` +
-                `Solo se procesarán las materias marcadas con ✅\n`;
-        }
-        
+        const confirmMsg = buildConfirmationSummary(parsed, mappedSubjects, currentCount);
         const validSubjectsCount = mappedSubjects.filter(s => s.canAdd).length;
-        if (validSubjectsCount > 0) {
-            confirmMsg += 
-                `\n💬 Responde *"LISTO"* para confirmar e inscribirte automáticamente a ${validSubjectsCount} grupo(s).`;
-        } else {
-            confirmMsg += 
-                `\n❌ No hay materias con grupos configurados. Contacta al administrador.`;
-        }
         
-        await enviarMensajeHumano(chat, confirmMsg);
+        await enviarMensajeHumano(transport, remitente, confirmMsg);
+        await transition(remitente, STATES.AWAITING_CONFIRMATION, { documentId });
         
         logger.info('Document processed successfully', {
             documentId,
@@ -165,7 +174,8 @@ export async function handleDocumentUpload(client, message, media) {
         if (error.message && error.message.includes('students_registration_number_key')) {
             const registrationNumber = parsed?.registrationNumber || 'desconocido';
             await enviarMensajeHumano(
-                chat,
+                transport,
+                remitente,
                 `⚠️ *Número de registro ya existe*\n\n` +
                 `El número de registro *${registrationNumber}* ya está asociado a otro número de WhatsApp.\n\n` +
                 `Si este es tu número de registro y cambiaste de número de WhatsApp, contacta al administrador para actualizar tus datos.`
@@ -174,7 +184,8 @@ export async function handleDocumentUpload(client, message, media) {
         }
         
         await enviarMensajeHumano(
-            chat,
+            transport,
+            remitente,
             `❌ Ocurrió un error al procesar tu documento.\n\n` +
             `Por favor, intenta nuevamente más tarde.`
         );
@@ -182,17 +193,195 @@ export async function handleDocumentUpload(client, message, media) {
 }
 
 /**
- * Handle user confirmation ("LISTO")
- * @param {object} client - WhatsApp client
- * @param {object} message - WhatsApp message object
+ * Build the confirmation summary of a pending document
+ * Subjects are numbered so the student can refer to them in corrections.
+ * @param {object} parsed - { studentName, registrationNumber }
+ * @param {Array<object>} subjects - { sigla, grupo, materia, canAdd }
+ * @param {number} currentCount - Subjects already enrolled
+ * @returns {string}
+ */
+function buildConfirmationSummary(parsed, subjects, currentCount) {
+    const unmappedCount = subjects.filter(s => !s.canAdd).length;
+    const validSubjectsCount = subjects.length - unmappedCount;
+    
+    let confirmMsg = 
+        `✅ *Documento procesado*\n\n` +
+        `*Estudiante:* ${parsed.studentName}\n` +
+        `*Registro:* ${parsed.registrationNumber}\n` +
+        `*Materias actuales:* ${currentCount}/${MAX_SUBJECTS_PER_USER}\n` +
+        `*Nuevas materias:* ${subjects.length}\n\n` +
+        `*Materias detectadas:*\n`;
+    
+    subjects.forEach((s, i) => {
+        const icon = s.canAdd ? '✅' : '⚠️';
+        confirmMsg += `${i + 1}. ${icon} ${s.sigla} - Grupo ${s.grupo}\n    _${s.materia}_\n`;
+    });
+    
+    if (unmappedCount > 0) {
+        confirmMsg += 
+            `\n⚠️ *${unmappedCount} materia(s) no tienen grupo de WhatsApp configurado.*\n` +
+            `Solo se procesarán las materias marcadas con ✅\n`;
+    }
+    
+    confirmMsg += 
+        `\n✏️ ¿Algún dato está mal? Puedes corregirlo:\n` +
+        `  • *CORREGIR 2 GRUPO 5B* - cambia el grupo de la materia 2\n` +
+        `  • *QUITAR 3* - quita la materia 3\n` +
+        `  • *AGREGAR INF413 5A* - agrega una materia\n` +
+        `  • *CANCELAR* - descarta esta boleta\n`;
+    
+    const remainingSlots = MAX_SUBJECTS_PER_USER - currentCount;
+    
+    if (validSubjectsCount > remainingSlots) {
+        confirmMsg += 
+            `\n⚠️ Solo puedes inscribir *${remainingSlots} materia(s) más*. ` +
+            `Elige cuáles respondiendo por ejemplo *"LISTO 1,3"*.`;
+    } else if (validSubjectsCount > 0) {
+        confirmMsg += 
+            `\n💬 Responde *"LISTO"* para confirmar e inscribirte automáticamente a ${validSubjectsCount} grupo(s).\n` +
+            `Si solo quieres algunas, responde con sus números, por ejemplo *"LISTO 1,3"*.`;
+    } else {
+        confirmMsg += 
+            `\n❌ No hay materias con grupos configurados. Contacta al administrador.`;
+    }
+    
+    return confirmMsg;
+}
+
+/**
+ * Handle a correction command on the pending document
+ * (CORREGIR n GRUPO X, QUITAR n, AGREGAR SIGLA GRUPO)
+ * Updates enrollment_subjects, re-maps the groups and resends the summary.
+ * @param {object} transport - Messaging transport
  * @param {string} remitente - User WhatsApp ID
- * @param {function} agregarAGrupo - Function to add user to group (from index.js)
+ * @param {object} correction - Result of parseCorrectionCommand
  */
-export async function handleConfirmation(client, message, remitente, agregarAGrupo) {
-    const chat = await message.getChat();
+export async function handleCorrection(transport, remitente, correction) {
+    try {
+        logger.info('Correction received', { from: remitente, correction });
+        
+        const pendingDoc = await getPendingDocument(remitente);
+        
+        if (!pendingDoc) {
+            await transition(remitente, STATES.IDLE);
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No tienes inscripciones pendientes para corregir.\n\n` +
+                `Envía tu boleta de inscripción para comenzar.`
+            );
+            return;
+        }
+        
+        const subjects = await getSubjectsForDocument(pendingDoc.id);
+        const currentCount = await getStudentSubjectCount(remitente);
+        
+        const error = await applyCorrection(pendingDoc.id, subjects, currentCount, correction);
+        
+        if (error) {
+            await enviarMensajeHumano(transport, remitente, `⚠️ ${error}`);
+            return;
+        }
+        
+        await transition(remitente, STATES.EDITING, { documentId: pendingDoc.id });
+        
+        const updated = await getSubjectsForDocument(pendingDoc.id);
+        const summary = buildConfirmationSummary(
+            pendingDoc.parsed_data,
+            updated.map(s => ({ ...s, canAdd: !!s.group_jid })),
+            currentCount
+        );
+        
+        await enviarMensajeHumano(transport, remitente, summary);
+        
+        logger.info('Correction applied', {
+            documentId: pendingDoc.id,
+            userId: remitente,
+            action: correction.action,
+            subjectsCount: updated.length
+        });
+        
+    } catch (error) {
+        logger.error('Error applying correction', { 
+            error: error.message,
+            from: remitente 
+        });
+        
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ Ocurrió un error al corregir tu boleta.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+/**
+ * Apply a correction to the subjects of a pending document
+ * @param {number} documentId 
+ * @param {Array<object>} subjects - Current enrollment_subjects rows, in summary order
+ * @param {number} currentCount - Subjects already enrolled
+ * @param {object} correction - Result of parseCorrectionCommand
+ * @returns {Promise<string|null>} Message for the student if the correction is invalid
+ */
+async function applyCorrection(documentId, subjects, currentCount, correction) {
+    if (correction.action === 'agregar') {
+        if (subjects.some(s => s.sigla === correction.sigla)) {
+            return `La materia *${correction.sigla}* ya está en tu boleta. Usa *CORREGIR* para cambiar su grupo.`;
+        }
+        
+        // Subjects already enrolled take up slots too
+        const remainingSlots = MAX_SUBJECTS_PER_USER - currentCount;
+        
+        if (subjects.length >= remainingSlots) {
+            return `Tu boleta ya tiene ${subjects.length} materia(s) y solo puedes inscribir ${Math.max(remainingSlots, 0)} más ` +
+                `(tienes ${currentCount}, máximo ${MAX_SUBJECTS_PER_USER}). No puedes agregar otra.`;
+        }
+        
+        const materia = await getSubjectName(correction.sigla) || correction.sigla;
+        const [mapped] = await mapSubjectsToGroups([{
+            sigla: correction.sigla,
+            grupo: correction.grupo,
+            materia,
+            modalidad: null,
+            nivel: null,
+            horario: null
+        }]);
+        
+        await insertSubject(documentId, mapped, mapped.groupJid);
+        return null;
+    }
+    
+    const subject = subjects[correction.index - 1];
+    
+    if (!subject) {
+        return `No existe la materia número ${correction.index}. Tu boleta tiene ${subjects.length} materia(s).`;
+    }
+    
+    if (correction.action === 'quitar') {
+        await deleteSubject(subject.id);
+        return null;
+    }
+    
+    const [mapped] = await mapSubjectsToGroups([{ ...subject, grupo: correction.grupo }]);
+    await updateSubjectGroup(subject.id, correction.grupo, mapped.groupJid);
+    return null;
+}
+
+/**
+ * Handle user confirmation ("LISTO", or "LISTO 1,3,4" to pick subjects)
+ * Group additions are queued for the job worker; the student gets the
+ * result from finalizeEnrollment once every job has finished.
+ * @param {object} transport - Messaging transport
+ * @param {object} message - Incoming transport message
+ * @param {string} remitente - User WhatsApp ID
+ * @param {Array<number>|null} selection - Picked subject numbers (1-based), null for all
+ */
+export async function handleConfirmation(transport, message, remitente, selection = null) {
+    let confirmed = false;
     
     try {
-        logger.info('Confirmation received', { from: remitente });
+        logger.info('Confirmation received', { from: remitente, selection });
         
         // Initial delay
         await randomDelay(DELAYS.RESPUESTA_INICIAL[0], DELAYS.RESPUESTA_INICIAL[1]);
@@ -200,151 +389,384 @@ export async function handleConfirmation(client, message, remitente, agregarAGru
         const pendingDoc = await getPendingDocument(remitente);
         
         if (!pendingDoc) {
+            await transition(remitente, STATES.IDLE);
             await enviarMensajeHumano(
-                chat, 
+                transport,
+                remitente,
                 `ℹ️ No tienes inscripciones pendientes.\n\n` +
                 `Envía tu boleta de inscripción para comenzar.`
             );
             return;
         }
         
-        // Check expiration (10 minutes)
+        // Check expiration
         const createdAt = new Date(pendingDoc.created_at);
         const now = new Date();
         const minutesElapsed = (now - createdAt) / (1000 * 60);
         
-        if (minutesElapsed > 10) {
+        if (minutesElapsed > EXPIRACION_DOCUMENTO.MINUTOS) {
             await updateDocumentStatus(pendingDoc.id, 'expired');
+            await transition(remitente, STATES.IDLE);
             await enviarMensajeHumano(
-                chat,
+                transport,
+                remitente,
                 `⏱️ *Tiempo expirado*\n\n` +
-                `Tu solicitud expiró (más de 10 minutos).\n` +
+                `Tu solicitud expiró (más de ${EXPIRACION_DOCUMENTO.MINUTOS} minutos).\n` +
                 `Por favor envía tu boleta nuevamente.`
             );
             return;
         }
         
-        // Update status
-        await updateDocumentStatus(pendingDoc.id, 'confirmed');
-        await updateDocumentStatus(pendingDoc.id, 'processing');
+        // Get subjects to add (only the picked ones with "LISTO 1,3,4")
+        const subjects = await getSubjectsForDocument(pendingDoc.id);
+        let selected = subjects;
         
-        await enviarMensajeHumano(chat, `🔄 Procesando tu inscripción...\n\nEsto puede tomar unos minutos.`);
+        if (selection) {
+            const invalid = selection.filter(n => n < 1 || n > subjects.length);
+            
+            if (invalid.length > 0) {
+                await enviarMensajeHumano(
+                    transport,
+                    remitente,
+                    `⚠️ Tu boleta tiene ${subjects.length} materia(s), no existe: ${invalid.join(', ')}.\n\n` +
+                    `Responde por ejemplo *LISTO 1,3* con los números de la lista.`
+                );
+                return;
+            }
+            
+            selected = selection.map(n => subjects[n - 1]);
+        }
         
-        // Get subjects to add
-        const subjects = await getSubjectsForDocument(pendingDoc.id);
-        const toAdd = subjects.filter(s => s.group_jid);
+        const toAdd = selected.filter(s => s.group_jid);
         
-        if (toAdd.length === 0) {
-            await updateDocumentStatus(pendingDoc.id, 'failed');
+        if (selection && toAdd.length === 0) {
             await enviarMensajeHumano(
-                chat,
-                `❌ No hay materias con grupos configurados para agregar.`
+                transport,
+                remitente,
+                `⚠️ Ninguna de las materias que elegiste tiene grupo de WhatsApp configurado.\n\n` +
+                `Elige materias marcadas con ✅.`
             );
             return;
         }
         
-        const results = { success: [], failed: [] };
+        // Only the subjects that will actually be added count against the limit
+        const currentCount = await getStudentSubjectCount(remitente);
+        const remainingSlots = MAX_SUBJECTS_PER_USER - currentCount;
         
-        // Add to groups one by one with delays
-        for (const subject of toAdd) {
-            // Random delay between additions (anti-ban)
-            await delayFromRange(DELAYS.ENTRE_ADICIONES);
-            
-            const materiaNombre = `${subject.sigla} - Grupo ${subject.grupo}`;
-            
-            try {
-                const result = await agregarAGrupo(
-                    client,
-                    subject.group_jid,
-                    remitente,
-                    materiaNombre
-                );
-                
-                if (result.exito) {
-                    await markSubjectAdded(subject.id);
-                    results.success.push(subject);
-                    
-                    logger.info('Subject added successfully', {
-                        subjectId: subject.id,
-                        sigla: subject.sigla,
-                        grupo: subject.grupo,
-                        userId: remitente
-                    });
-                } else {
-                    results.failed.push(subject);
-                    
-                    logger.warn('Subject addition failed', {
-                        subjectId: subject.id,
-                        sigla: subject.sigla,
-                        grupo: subject.grupo,
-                        userId: remitente
-                    });
-                }
-            } catch (error) {
-                results.failed.push(subject);
-                
-                logger.error('Error adding subject', {
-                    error: error.message,
-                    subjectId: subject.id,
-                    sigla: subject.sigla,
-                    userId: remitente
-                });
-            }
+        if (toAdd.length > remainingSlots) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⚠️ *Límite de materias excedido*\n\n` +
+                `Ya tienes *${currentCount} materias* inscritas y solo puedes agregar *${remainingSlots} más* ` +
+                `(máximo ${MAX_SUBJECTS_PER_USER} total).\n\n` +
+                `Elige cuáles inscribir respondiendo por ejemplo *LISTO 1,3* con los números de la lista.`
+            );
+            return;
         }
         
-        // Increment counter only for successfully added subjects
-        if (results.success.length > 0) {
-            await incrementStudentSubjectCount(remitente, results.success.length);
+        // Jobs of other students already waiting go first
+        const queuedAhead = await countQueuedJobs();
+        const quota = await checkAddQuota(transport.getAccountId());
+        
+        // Claim the document and queue its jobs at once: a repeated "LISTO"
+        // that got here too loses the race, and a failure leaves it pending
+        confirmed = await confirmPendingDocument(pendingDoc.id, remitente, {
+            selectedIds: selection ? selected.map(s => s.id) : null,
+            subjectIds: toAdd.map(s => s.id),
+            maxAttempts: COLA_TRABAJOS.MAX_INTENTOS,
+            runAfter: quota.nextWindowAt
+        });
+        
+        if (!confirmed) {
+            logger.warn('Duplicate confirmation ignored', { documentId: pendingDoc.id, from: remitente });
+            return;
         }
         
-        // Update final status
-        await updateDocumentStatus(pendingDoc.id, 'completed');
+        if (toAdd.length === 0) {
+            await transition(remitente, STATES.IDLE);
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `❌ No hay materias con grupos configurados para agregar.`
+            );
+            return;
+        }
         
-        // Send results
-        let resultMsg = `*Inscripción completada!*\n\n`;
+        // Confirmed before the state machine existed: the user may still be idle
+        await transition(remitente, STATES.PROCESSING, { documentId: pendingDoc.id, force: true });
         
-        if (results.success.length > 0) {
-            resultMsg += `*✓ Agregado exitosamente (${results.success.length}):*\n`;
-            for (const s of results.success) {
-                resultMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
-            }
+        let queuedMsg = 
+            `🔄 *Inscripción en proceso*\n\n` +
+            `Te agregaré a ${toAdd.length} grupo(s), uno por uno.\n`;
+        
+        if (queuedAhead > 0) {
+            queuedMsg += `Hay ${queuedAhead} solicitud(es) antes que la tuya.\n`;
         }
         
-        if (results.failed.length > 0) {
-            resultMsg += `\n*✗ No se pudo agregar (${results.failed.length}):*\n`;
-            for (const s of results.failed) {
-                resultMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
-            }
-            resultMsg += `\n_Intenta nuevamente más tarde si es necesario._`;
+        if (!quota.allowed) {
+            queuedMsg += 
+                `\n⏳ Por los límites de WhatsApp ya no puedo agregar más personas en este momento. ` +
+                `Empezaré con tu inscripción ${formatEstimatedTime(quota.nextWindowAt)} aproximadamente.\n`;
         }
         
-        const newTotal = await getStudentSubjectCount(remitente);
-        resultMsg += `\n\n📊 *Total de materias inscritas:* ${newTotal}/${MAX_SUBJECTS_PER_USER}`;
+        queuedMsg += `\nTe enviaré el resultado cuando termine. Esto puede tomar unos minutos.`;
         
-        await enviarMensajeHumano(chat, resultMsg);
+        await enviarMensajeHumano(transport, remitente, queuedMsg);
         
-        logger.info('Enrollment confirmation completed', {
+        logger.info('Enrollment queued', {
             documentId: pendingDoc.id,
             userId: remitente,
-            successCount: results.success.length,
-            failedCount: results.failed.length
+            jobs: toAdd.length,
+            queuedAhead
         });
         
     } catch (error) {
         logger.error('Error confirming enrollment', { 
+            error: error.message,
+            from: remitente,
+            confirmed
+        });
+        
+        // Once confirmed the jobs are queued and will run: another LISTO finds nothing
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            confirmed
+                ? `⚠️ Tu inscripción ya está en cola, pero no pude confirmártelo bien.\n\n` +
+                  `No necesitas enviar nada: te enviaré el resultado cuando termine.`
+                : `❌ Ocurrió un error al procesar tu confirmación.\n\n` +
+                  `Intenta nuevamente escribiendo "LISTO".`
+        );
+    }
+}
+
+/**
+ * Handle "CANCELAR": discard the pending document
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ */
+export async function handleCancel(transport, remitente) {
+    try {
+        logger.info('Cancel received', { from: remitente });
+        
+        const cancelled = await cancelPendingDocuments(remitente);
+        const conversacion = await getState(remitente);
+        
+        if (cancelled === 0) {
+            const reason = conversacion.state === STATES.PROCESSING
+                ? `Tu inscripción ya está en proceso y no se puede cancelar. Te avisaré cuando termine.`
+                : `No tienes ninguna boleta pendiente de confirmación.`;
+            
+            await enviarMensajeHumano(transport, remitente, `ℹ️ ${reason}`);
+            return;
+        }
+        
+        if (conversacion.state === STATES.AWAITING_CONFIRMATION || conversacion.state === STATES.EDITING) {
+            await transition(remitente, STATES.IDLE);
+        }
+        
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `🗑️ *Boleta descartada*\n\n` +
+            `No te inscribiré a ningún grupo de esa boleta.\n` +
+            `Puedes enviar otra boleta (o la misma) cuando quieras.`
+        );
+        
+        logger.info('Pending document cancelled by user', { userId: remitente, cancelled });
+        
+    } catch (error) {
+        logger.error('Error cancelling document', { 
+            error: error.message,
+            from: remitente 
+        });
+        
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ Ocurrió un error al cancelar tu boleta.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+/**
+ * Handle "REINTENTAR": retry the failed subjects of the student now
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ */
+export async function handleRetryRequest(transport, remitente) {
+    try {
+        logger.info('Retry request', { from: remitente });
+        
+        const currentCount = await getStudentSubjectCount(remitente);
+        
+        if (currentCount >= MAX_SUBJECTS_PER_USER) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⚠️ Ya tienes ${currentCount}/${MAX_SUBJECTS_PER_USER} materias inscritas, no puedo agregarte a más grupos.`
+            );
+            return;
+        }
+        
+        const subjects = await retryFailedSubjectsNow(remitente, COLA_TRABAJOS.MAX_INTENTOS);
+        
+        if (subjects.length === 0) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No tienes materias pendientes de reintento.\n\n` +
+                `Escribe *MIS MATERIAS* para ver el estado de tus grupos.`
+            );
+            return;
+        }
+        
+        let retryMsg = `🔄 *Reintentando (${subjects.length}):*\n`;
+        for (const s of subjects) {
+            retryMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
+        }
+        retryMsg += `\nTe avisaré el resultado de cada una.`;
+        
+        await enviarMensajeHumano(transport, remitente, retryMsg);
+        
+    } catch (error) {
+        logger.error('Error handling retry request', { 
             error: error.message,
             from: remitente 
         });
         
         await enviarMensajeHumano(
-            chat,
-            `❌ Ocurrió un error al procesar tu confirmación.\n\n` +
-            `Intenta nuevamente escribiendo "LISTO".`
+            transport,
+            remitente,
+            `❌ Ocurrió un error al reintentar.\n\n` +
+            `Intenta nuevamente en unos minutos.`
         );
     }
 }
 
+/**
+ * Complete a document once all its group addition jobs have finished
+ * Updates the subject counter and sends the results to the student
+ * @param {object} transport - Messaging transport
+ * @param {number} documentId 
+ * @param {string} remitente - User WhatsApp ID
+ * @param {object} options
+ * @param {boolean} options.notify - Send the results message (false outside the reactivity window)
+ * @param {string} options.finalStatus - 'completed', or 'failed' when closing an abandoned document
+ */
+export async function finalizeEnrollment(transport, documentId, remitente, { notify = true, finalStatus = 'completed' } = {}) {
+    const subjects = await getSubjectsForDocument(documentId);
+    const toAdd = subjects.filter(s => s.group_jid && s.selected);
+    
+    const results = {
+        success: toAdd.filter(s => s.added_to_group),
+        failed: toAdd.filter(s => !s.added_to_group)
+    };
+    
+    // Close the document and count only the successfully added subjects.
+    // If another caller already closed it, the results were already sent.
+    const closed = await closeDocument(documentId, remitente, results.success.length, finalStatus);
+    
+    if (!closed) {
+        return;
+    }
+    
+    // Back to idle, unless the student moved on (e.g. asked for a human)
+    const conversacion = await getState(remitente);
+    if (conversacion.state === STATES.PROCESSING) {
+        await transition(remitente, STATES.IDLE);
+    }
+    
+    if (!notify) {
+        logger.info('Enrollment closed without notification', {
+            documentId,
+            userId: remitente,
+            finalStatus,
+            successCount: results.success.length
+        });
+        return;
+    }
+    
+    // Send results
+    let resultMsg = `*Inscripción completada!*\n\n`;
+    
+    if (results.success.length > 0) {
+        resultMsg += `*✓ Agregado exitosamente (${results.success.length}):*\n`;
+        for (const s of results.success) {
+            resultMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
+        }
+    }
+    
+    if (results.failed.length > 0) {
+        const retries = new Map(
+            (await getScheduledRetries(documentId)).map(r => [r.subject_id, new Date(r.run_after)])
+        );
+        
+        resultMsg += `\n*✗ No se pudo agregar (${results.failed.length}):*\n`;
+        for (const s of results.failed) {
+            const retryAt = retries.get(s.id);
+            const retryNote = retryAt ? ` _(reintento ${formatEstimatedTime(retryAt)})_` : '';
+            const reason = s.add_outcome ? `: ${OUTCOME_LABELS[s.add_outcome]}` : '';
+            resultMsg += `  • ${s.sigla} - Grupo ${s.grupo}${reason}${retryNote}\n`;
+        }
+        
+        resultMsg += await privacyAdvice(transport, results.failed);
+        
+        resultMsg += retries.size > 0
+            ? `\n_Volveré a intentarlo automáticamente. También puedes escribir *REINTENTAR* para probar ahora._`
+            : `\n_Escribe *REINTENTAR* más tarde para volver a intentarlo._`;
+    }
+    
+    const newTotal = await getStudentSubjectCount(remitente);
+    resultMsg += `\n\n📊 *Total de materias inscritas:* ${newTotal}/${MAX_SUBJECTS_PER_USER}`;
+    
+    await enviarMensajeHumano(transport, remitente, resultMsg);
+    
+    logger.info('Enrollment confirmation completed', {
+        documentId,
+        userId: remitente,
+        successCount: results.success.length,
+        failedCount: results.failed.length
+    });
+}
+
+/**
+ * What a student blocked by their privacy settings can do
+ * @param {object} transport - Messaging transport
+ * @param {Array<object>} failed - Subjects that could not be added
+ * @returns {Promise<string>} Empty if no subject was blocked by privacy
+ */
+async function privacyAdvice(transport, failed) {
+    const blocked = failed.filter(s => s.add_outcome === OUTCOMES.PRIVACY_BLOCKED);
+    
+    if (blocked.length === 0) {
+        return '';
+    }
+    
+    let advice = `\n🔒 Guárdame en tus contactos o revisa *Ajustes → Privacidad → Grupos* para que pueda agregarte.`;
+    
+    const invitable = [];
+    if (transport.supportsInvites) {
+        for (const s of blocked) {
+            if (await isInviteFallbackAllowed(s.group_jid)) invitable.push(s.sigla);
+        }
+    }
+    
+    if (invitable.length > 0) {
+        advice += ` Si prefieres, responde ${invitable.map(sigla => `*INVITAR ${sigla}*`).join(' o ')} ` +
+            `y te envío una invitación privada para que te unas tú mismo.`;
+    }
+    
+    return `${advice}\n`;
+}
+
 export default {
     handleDocumentUpload,
-    handleConfirmation
+    handleConfirmation,
+    handleCorrection,
+    handleCancel,
+    handleRetryRequest,
+    finalizeEnrollment
 };
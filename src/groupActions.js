@@ -0,0 +1,213 @@
+import { DELAYS } from './config.js';
+import { logger } from './logger.js';
+import { enviarMensajeHumano, delayFromRange } from './antibanHelpers.js';
+import { OUTCOMES, classifyAddResult, isMember, studentMessageFor } from './participantOutcomes.js';
+import { recordAddResult } from './metrics.js';
+
+/**
+ * Intenta agregar usuario a un grupo a través del transporte, sin avisarle
+ * Usa delays aleatorios entre adiciones (anti-ban)
+ * `categoria` es uno de OUTCOMES (participantOutcomes.js); si ya era miembro
+ * (409) también cuenta como éxito.
+ * Por defecto nunca envía invitación privada: solo si el estudiante la pidió
+ * se llama con { autoSendInviteV4: true }.
+ * @param {object} transport - Messaging transport
+ * @param {string} grupoJid - Group JID
+ * @param {string} usuarioNumero - User WhatsApp ID
+ * @param {string} materiaNombre - Label used in logs
+ * @param {object} opciones - { autoSendInviteV4, comment } (whatsapp-web.js)
+ * @returns {Promise<{exito: boolean, materia: string, codigo: number|null, categoria: string, invitacionEnviada: boolean, error: string|null}>}
+ */
+export const intentarAgregar = async (transport, grupoJid, usuarioNumero, materiaNombre, opciones = {}) => {
+    try {
+        logger.info('Attempting to add user to group', {
+            userId: usuarioNumero,
+            groupJid: grupoJid,
+            groupName: materiaNombre
+        });
+
+        const status = await transport.addParticipant(grupoJid, usuarioNumero, {
+            autoSendInviteV4: false,
+            ...opciones
+        });
+
+        // Random delay entre adiciones (anti-ban)
+        await delayFromRange(DELAYS.ENTRE_ADICIONES);
+
+        // Verificar si realmente fue agregado
+        if (!status) {
+            logger.warn('No confirmation received from WhatsApp');
+            recordAddResult(null, OUTCOMES.TRANSIENT);
+            return {
+                exito: false,
+                materia: materiaNombre,
+                codigo: null,
+                categoria: OUTCOMES.TRANSIENT,
+                invitacionEnviada: false,
+                error: 'Sin respuesta de WhatsApp'
+            };
+        }
+
+        const categoria = classifyAddResult(status.code, status.message);
+        recordAddResult(status.code, categoria);
+
+        logger.info('User addition status', {
+            userId: usuarioNumero,
+            statusCode: status.code,
+            statusMessage: status.message,
+            outcome: categoria
+        });
+
+        if (isMember(categoria)) {
+            logger.info('User added successfully to group', {
+                userId: usuarioNumero,
+                groupName: materiaNombre,
+                outcome: categoria
+            });
+            return {
+                exito: true,
+                materia: materiaNombre,
+                codigo: status.code,
+                categoria,
+                invitacionEnviada: false,
+                error: null
+            };
+        }
+
+        logger.warn('WhatsApp rejected addition', {
+            statusCode: status.code,
+            statusMessage: status.message,
+            outcome: categoria,
+            inviteSent: !!status.isInviteV4Sent
+        });
+        return {
+            exito: false,
+            materia: materiaNombre,
+            codigo: status.code,
+            categoria,
+            invitacionEnviada: !!status.isInviteV4Sent,
+            error: `WhatsApp rechazó: ${status.code} - ${status.message || 'Sin mensaje'}`
+        };
+
+    } catch (error) {
+        const categoria = classifyAddResult(null, error.message);
+        recordAddResult(null, categoria);
+
+        logger.error('Error adding user to group', {
+            error: error.message,
+            userId: usuarioNumero,
+            groupName: materiaNombre,
+            outcome: categoria
+        });
+        return {
+            exito: false,
+            materia: materiaNombre,
+            codigo: null,
+            categoria,
+            invitacionEnviada: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Intenta sacar a un usuario de un grupo a través del transporte
+ * Usa el mismo delay aleatorio que las adiciones (anti-ban)
+ * @param {object} transport - Messaging transport
+ * @param {string} grupoJid - Group JID
+ * @param {string} usuarioNumero - User WhatsApp ID
+ * @param {string} materiaNombre - Label used in logs
+ * @returns {Promise<{exito: boolean, materia: string, codigo: number|null, error: string|null}>}
+ */
+export const intentarRemover = async (transport, grupoJid, usuarioNumero, materiaNombre) => {
+    try {
+        logger.info('Attempting to remove user from group', {
+            userId: usuarioNumero,
+            groupJid: grupoJid,
+            groupName: materiaNombre
+        });
+
+        const status = await transport.removeParticipant(grupoJid, usuarioNumero);
+
+        // Random delay entre operaciones de grupo (anti-ban)
+        await delayFromRange(DELAYS.ENTRE_ADICIONES);
+
+        if (!status) {
+            logger.warn('No confirmation received from WhatsApp');
+            return { exito: false, materia: materiaNombre, codigo: null, error: 'Sin respuesta de WhatsApp' };
+        }
+
+        // 404: ya no estaba en el grupo (salió por su cuenta), igual cuenta como baja
+        if (status.code === 200 || status.code === 404) {
+            logger.info('User removed from group', {
+                userId: usuarioNumero,
+                groupName: materiaNombre,
+                statusCode: status.code
+            });
+            return { exito: true, materia: materiaNombre, codigo: status.code, error: null };
+        }
+
+        logger.warn('WhatsApp rejected removal', {
+            statusCode: status.code,
+            statusMessage: status.message
+        });
+        return {
+            exito: false,
+            materia: materiaNombre,
+            codigo: status.code,
+            error: `WhatsApp rechazó: ${status.code} - ${status.message || 'Sin mensaje'}`
+        };
+
+    } catch (error) {
+        logger.error('Error removing user from group', {
+            error: error.message,
+            userId: usuarioNumero,
+            groupName: materiaNombre
+        });
+        return { exito: false, materia: materiaNombre, codigo: null, error: error.message };
+    }
+};
+
+/**
+ * Construye el mensaje explicativo para una adición fallida
+ * @param {string} materiaNombre
+ * @param {string} categoria - Uno de OUTCOMES
+ * @param {object} opciones - { inviteCommand } si el grupo admite invitación privada
+ * @returns {string}
+ */
+export const construirMensajeError = (materiaNombre, categoria, opciones = {}) => {
+    return studentMessageFor(categoria, materiaNombre, opciones);
+};
+
+/**
+ * Envía al usuario el mensaje explicativo de una adición fallida
+ * @param {object} transport - Messaging transport
+ * @param {string} usuarioNumero - User WhatsApp ID
+ * @param {string} materiaNombre
+ * @param {string} categoria - Uno de OUTCOMES
+ * @param {object} opciones - { inviteCommand } si el grupo admite invitación privada
+ */
+export const notificarErrorAgregado = async (transport, usuarioNumero, materiaNombre, categoria, opciones = {}) => {
+    // Enviar mensaje explicativo sin enlace usando helper humano
+    try {
+        await enviarMensajeHumano(transport, usuarioNumero, construirMensajeError(materiaNombre, categoria, opciones));
+
+        logger.info('Error message sent to user', {
+            userId: usuarioNumero,
+            groupName: materiaNombre,
+            outcome: categoria
+        });
+    } catch (msgError) {
+        logger.error('Failed to send error message', {
+            error: msgError.message,
+            userId: usuarioNumero
+        });
+    }
+};
+
+export default {
+    intentarAgregar,
+    intentarRemover,
+    construirMensajeError,
+    notificarErrorAgregado
+};
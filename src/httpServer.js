@@ -0,0 +1,247 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { logger } from './logger.js';
+import { SERVIDOR_HTTP } from './config.js';
+
+/**
+ * Registered routes: { method, pattern, keys, handler, auth }
+ * @type {Array<object>}
+ */
+const routes = [];
+let server = null;
+
+/**
+ * Build an error that the server answers with the given status
+ * @param {number} status - HTTP status (400, 404, 409...)
+ * @param {string} message - Sent to the client as { error }
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Compare a secret received from a client in constant time
+ * @param {string} received
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function safeEqual(received, expected) {
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Register a route
+ * Handlers receive { req, params, query, body } and return
+ * { status?, body, headers? }; a string body is sent as-is, anything else as JSON.
+ * Bodies may be JSON or an HTML form (application/x-www-form-urlencoded).
+ * @param {string} method - GET, POST, PATCH, DELETE
+ * @param {string} path - e.g. /api/mappings/:id
+ * @param {function(object): Promise<object>} handler
+ * @param {object} options
+ * @param {function(http.IncomingMessage): boolean} options.auth - Rejects with 401 when it returns false
+ * @param {string} options.challenge - WWW-Authenticate header sent with the 401
+ */
+export function addRoute(method, path, handler, { auth = null, challenge = null } = {}) {
+    const keys = [];
+    const pattern = new RegExp('^' + path.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    }) + '/?$');
+
+    routes.push({ method, pattern, keys, handler, auth, challenge });
+}
+
+/**
+ * Start the embedded HTTP server (once per process)
+ */
+export function startHttpServer() {
+    if (server) return;
+
+    server = http.createServer(handleRequest);
+
+    server.on('error', (error) => {
+        logger.error('HTTP server error', { error: error.message });
+    });
+
+    server.listen(SERVIDOR_HTTP.PUERTO, SERVIDOR_HTTP.HOST, () => {
+        logger.info('HTTP server listening', {
+            host: SERVIDOR_HTTP.HOST,
+            port: SERVIDOR_HTTP.PUERTO,
+            routes: routes.length
+        });
+    });
+}
+
+/**
+ * Stop accepting connections (tests)
+ * @returns {Promise<void>} Resolves once open connections are closed
+ */
+export function stopHttpServer() {
+    if (!server) return Promise.resolve();
+
+    const closing = server;
+    server = null;
+
+    return new Promise((resolve, reject) => {
+        closing.close(error => (error ? reject(error) : resolve()));
+        closing.closeIdleConnections();
+    });
+}
+
+/**
+ * Whether an Origin header names the host the request was sent to
+ * The scheme is ignored: behind a TLS-terminating proxy the browser sends
+ * https:// while this server is reached over plain HTTP.
+ * @param {string} origin - Origin header ("null" from sandboxed pages)
+ * @param {string|undefined} host - Host header
+ * @returns {boolean}
+ */
+function isSameHost(origin, host) {
+    try {
+        return !!host && new URL(origin).host === host.toLowerCase();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Route a request, run its handler and write the response
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        const matches = routes
+            .map(route => ({ route, match: route.pattern.exec(url.pathname) }))
+            .filter(({ match }) => match);
+
+        if (matches.length === 0) {
+            throw httpError(404, 'Not found');
+        }
+
+        const found = matches.find(({ route }) => route.method === req.method);
+        if (!found) {
+            throw httpError(405, 'Method not allowed');
+        }
+
+        const { route, match } = found;
+
+        if (route.auth && !route.auth(req)) {
+            if (route.challenge) {
+                res.setHeader('WWW-Authenticate', route.challenge);
+            }
+            throw httpError(401, 'Unauthorized');
+        }
+
+        const params = {};
+        route.keys.forEach((key, i) => {
+            try {
+                params[key] = decodeURIComponent(match[i + 1]);
+            } catch {
+                // Malformed escape such as %E0
+                throw httpError(400, 'Invalid path');
+            }
+        });
+
+        const hasBody = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
+
+        // Browsers send Basic credentials along with forms posted from any
+        // site; refuse writes whose Origin is not this server
+        if (hasBody && req.headers.origin && !isSameHost(req.headers.origin, req.headers.host)) {
+            throw httpError(403, 'Cross-origin request refused');
+        }
+
+        const body = hasBody ? await readBody(req) : null;
+        const result = await route.handler({
+            req,
+            params,
+            query: Object.fromEntries(url.searchParams),
+            body
+        });
+
+        send(res, result.status || 200, result.body, result.headers);
+
+    } catch (error) {
+        const status = error.status || 500;
+
+        if (status >= 500) {
+            logger.error('HTTP request failed', {
+                error: error.message,
+                method: req.method,
+                path: url.pathname
+            });
+        }
+
+        send(res, status, { error: status >= 500 ? 'Internal server error' : error.message });
+    }
+}
+
+/**
+ * Read and parse a JSON or form-encoded request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > SERVIDOR_HTTP.MAX_CUERPO_BYTES) {
+            throw httpError(413, 'Body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    if (size === 0) {
+        return {};
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    if ((req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw httpError(400, 'Invalid JSON body');
+    }
+}
+
+/**
+ * Write a response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string|object|null} body - Strings go as-is, the rest as JSON
+ * @param {object} headers
+ */
+function send(res, status, body, headers = {}) {
+    if (res.headersSent) return;
+
+    const isText = typeof body === 'string';
+    const payload = body === null || body === undefined ? '' : isText ? body : JSON.stringify(body);
+
+    res.writeHead(status, {
+        'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+export default {
+    httpError,
+    safeEqual,
+    addRoute,
+    startHttpServer,
+    stopHttpServer
+};
@@ -0,0 +1,148 @@
+import sharp from 'sharp';
+import { logger } from './logger.js';
+import { CALIDAD_IMAGEN } from './config.js';
+
+/**
+ * Problems that make a photo unreadable
+ */
+export const QUALITY_ISSUES = Object.freeze({
+    TOO_SMALL: 'too_small',
+    BLURRY: 'blurry',
+    TOO_DARK: 'too_dark',
+    TOO_BRIGHT: 'too_bright',
+    NO_DOCUMENT: 'no_document'
+});
+
+/**
+ * What the student should do about each problem
+ */
+export const QUALITY_FEEDBACK = Object.freeze({
+    [QUALITY_ISSUES.TOO_SMALL]: 'la foto es muy pequeña, envíala en calidad original (no como miniatura ni captura recortada)',
+    [QUALITY_ISSUES.BLURRY]: 'la foto está borrosa, acércate y enfoca la tabla',
+    [QUALITY_ISSUES.TOO_DARK]: 'la foto está muy oscura, tómala con más luz',
+    [QUALITY_ISSUES.TOO_BRIGHT]: 'la foto está sobreexpuesta, evita el flash y los reflejos',
+    [QUALITY_ISSUES.NO_DOCUMENT]: 'no veo la boleta en la foto, encuadra la hoja completa'
+});
+
+/**
+ * Pixels at least this bright count as paper
+ */
+const PAPER_LEVEL = 150;
+
+/**
+ * A flat photo that is almost all paper-bright is washed out, not empty
+ */
+const WASHED_OUT_PAPER = 0.9;
+
+/**
+ * Check whether a photo is good enough for OCR
+ * @param {Buffer} buffer - Image as received
+ * @returns {Promise<{ok: boolean, issues: Array<string>, measures: object}>}
+ *   issues are QUALITY_ISSUES values, most important first
+ */
+export async function assessImageQuality(buffer) {
+    const { width, height } = await sharp(buffer).rotate().metadata();
+
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ width: CALIDAD_IMAGEN.ANCHO_ANALISIS, withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const tone = meanAndVariance(data);
+    const edges = meanAndVariance(laplacian(data, info.width, info.height));
+
+    let paperPixels = 0;
+    for (const value of data) {
+        if (value >= PAPER_LEVEL) paperPixels++;
+    }
+
+    const measures = {
+        width,
+        height,
+        sharpness: Math.round(edges.variance),
+        brightness: Math.round(tone.mean),
+        contrast: Math.round(Math.sqrt(tone.variance)),
+        paper: Math.round((paperPixels / data.length) * 100) / 100
+    };
+
+    const issues = [];
+
+    if (Math.min(width, height) < CALIDAD_IMAGEN.LADO_MINIMO) {
+        issues.push(QUALITY_ISSUES.TOO_SMALL);
+    }
+
+    const flat = measures.contrast < CALIDAD_IMAGEN.CONTRASTE_MINIMO;
+
+    if (measures.brightness < CALIDAD_IMAGEN.BRILLO_MINIMO) {
+        issues.push(QUALITY_ISSUES.TOO_DARK);
+    } else if (measures.brightness > CALIDAD_IMAGEN.BRILLO_MAXIMO || (flat && measures.paper > WASHED_OUT_PAPER)) {
+        issues.push(QUALITY_ISSUES.TOO_BRIGHT);
+    } else if (flat || measures.paper < CALIDAD_IMAGEN.PAPEL_MINIMO) {
+        issues.push(QUALITY_ISSUES.NO_DOCUMENT);
+    } else if (measures.sharpness < CALIDAD_IMAGEN.NITIDEZ_MINIMA) {
+        // Blur is only judged on a well exposed page: text is what has edges
+        issues.push(QUALITY_ISSUES.BLURRY);
+    }
+
+    logger.info('Image quality assessed', { ...measures, issues });
+
+    return { ok: issues.length === 0, issues, measures };
+}
+
+/**
+ * 4-neighbour Laplacian of a greyscale image (borders skipped)
+ * @param {Buffer} pixels - One byte per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Int16Array}
+ */
+function laplacian(pixels, width, height) {
+    const result = new Int16Array((width - 2) * (height - 2));
+    let n = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            result[n++] = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {ArrayLike<number>} values
+ * @returns {{mean: number, variance: number}}
+ */
+function meanAndVariance(values) {
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (const value of values) {
+        sum += value;
+        sumSquares += value * value;
+    }
+
+    const mean = sum / values.length;
+    return { mean, variance: sumSquares / values.length - mean * mean };
+}
+
+/**
+ * Spanish message listing what to fix
+ * @param {Array<string>} issues - From assessImageQuality
+ * @returns {string}
+ */
+export function formatQualityFeedback(issues) {
+    return `📷 *No puedo leer bien esta foto*\n\n` +
+        issues.map(issue => `• ${QUALITY_FEEDBACK[issue]}`).join('\n') +
+        `\n\nEnvía otra foto de tu boleta.`;
+}
+
+export default {
+    QUALITY_ISSUES,
+    QUALITY_FEEDBACK,
+    assessImageQuality,
+    formatQualityFeedback
+};
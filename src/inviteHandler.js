@@ -0,0 +1,173 @@
+import {
+    findInvitableSubjects,
+    enqueueInviteJob,
+    markInviteJoined,
+    getStudentSubjectCount,
+    hasRecentInboundMessage
+} from './database.js';
+import { checkAddQuota, formatEstimatedTime } from './quota.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
+import { logger } from './logger.js';
+import { COLA_TRABAJOS, MAX_SUBJECTS_PER_USER, VENTANA_REACTIVIDAD_HORAS } from './config.js';
+
+/**
+ * Handle "INVITAR" / "INVITAR INF412": the student agrees to get a private
+ * invite for a group their privacy settings kept them out of
+ * Only groups whose mapping has allow_invite_fallback get one; the job
+ * worker sends it and the student joins by themselves.
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ * @param {string|null} sigla - Subject code, null to pick the only blocked one
+ */
+export async function handleInviteRequest(transport, remitente, sigla) {
+    try {
+        logger.info('Invite request', { from: remitente, sigla });
+
+        if (!transport.supportsInvites) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No puedo enviar invitaciones privadas.\n\n` +
+                `Revisa *Ajustes → Privacidad → Grupos* en WhatsApp y escribe *REINTENTAR*.`
+            );
+            return;
+        }
+
+        const subjects = await findInvitableSubjects(remitente, sigla);
+
+        if (subjects.length === 0) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No tienes materias ${sigla ? `de *${sigla}* ` : ''}bloqueadas por tu privacidad.\n\n` +
+                `Escribe *MIS MATERIAS* para ver el estado de tus grupos.`
+            );
+            return;
+        }
+
+        if (subjects.length > 1) {
+            let choiceMsg = `¿Para qué materia quieres la invitación?\n\n`;
+            for (const s of subjects) {
+                choiceMsg += `  • *INVITAR ${s.sigla}* (Grupo ${s.grupo})\n`;
+            }
+            await enviarMensajeHumano(transport, remitente, choiceMsg);
+            return;
+        }
+
+        const [subject] = subjects;
+        const materiaNombre = `${subject.sigla} - Grupo ${subject.grupo}`;
+
+        if (!subject.allow_invite_fallback) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⚠️ El grupo de *${materiaNombre}* no admite invitaciones.\n\n` +
+                `Revisa *Ajustes → Privacidad → Grupos* en WhatsApp y escribe *REINTENTAR*.`
+            );
+            return;
+        }
+
+        if (subject.invite_pending) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `📨 Ya te envié una invitación a *${materiaNombre}*.\n\n` +
+                `Búscala en este chat y toca *Unirse al grupo*.`
+            );
+            return;
+        }
+
+        const currentCount = await getStudentSubjectCount(remitente);
+
+        if (currentCount >= MAX_SUBJECTS_PER_USER) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⚠️ Ya tienes ${currentCount}/${MAX_SUBJECTS_PER_USER} materias inscritas, no puedo agregarte a más grupos.`
+            );
+            return;
+        }
+
+        const quota = await checkAddQuota(transport.getAccountId());
+        const enqueued = await enqueueInviteJob(
+            subject.id,
+            remitente,
+            COLA_TRABAJOS.MAX_INTENTOS,
+            quota.allowed ? null : quota.nextWindowAt
+        );
+
+        if (!enqueued) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⏳ Ya estoy intentando agregarte a *${materiaNombre}*. Te avisaré cuando termine.`
+            );
+            return;
+        }
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `📨 *Invitación en camino*\n\n` +
+            `Te enviaré una invitación privada a *${materiaNombre}* ` +
+            (quota.allowed ? `en unos momentos.` : `${formatEstimatedTime(quota.nextWindowAt)} aproximadamente.`)
+        );
+
+        logger.info('Invite queued', { userId: remitente, subjectId: subject.id, sigla: subject.sigla });
+
+    } catch (error) {
+        logger.error('Error handling invite request', {
+            error: error.message,
+            from: remitente,
+            sigla
+        });
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ Ocurrió un error al preparar tu invitación.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+/**
+ * Close the invites of users who joined a group and count the subject
+ * Listens to the transport's 'group_join' event; joins without an open
+ * invite (regular additions) are ignored.
+ * @param {object} transport - Messaging transport
+ * @param {{groupId: string, userIds: Array<string>}} join
+ */
+export async function handleGroupJoin(transport, { groupId, userIds }) {
+    for (const userId of userIds) {
+        try {
+            const subject = await markInviteJoined(groupId, userId);
+            if (!subject) continue;
+
+            logger.info('Student joined through invite', { userId, groupJid: groupId, sigla: subject.sigla });
+
+            if (!(await hasRecentInboundMessage(userId, VENTANA_REACTIVIDAD_HORAS))) {
+                continue;
+            }
+
+            const total = await getStudentSubjectCount(userId);
+            await enviarMensajeHumano(
+                transport,
+                userId,
+                `✅ *Te uniste a ${subject.sigla} - Grupo ${subject.grupo}*\n\n` +
+                `📊 *Total de materias inscritas:* ${total}/${MAX_SUBJECTS_PER_USER}`
+            );
+        } catch (error) {
+            logger.error('Error handling group join', {
+                error: error.message,
+                userId,
+                groupJid: groupId
+            });
+        }
+    }
+}
+
+export default {
+    handleInviteRequest,
+    handleGroupJoin
+};
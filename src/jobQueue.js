@@ -0,0 +1,634 @@
+import {
+    claimNextJob,
+    completeJob,
+    failJob,
+    requeueRunningJobs,
+    countOpenJobsForDocument,
+    markSubjectAdded,
+    deferRunnableJobs,
+    withdrawSubject,
+    switchSubjectGroup,
+    getStudentSubjectCount,
+    markLateSubjectAdded,
+    scheduleRetryJob,
+    countRetryJobs,
+    recordSubjectOutcome,
+    isInviteFallbackAllowed,
+    recordInviteSent,
+    getSetting,
+    saveSetting,
+    hasRecentInboundMessage
+} from './database.js';
+import {
+    intentarAgregar,
+    intentarRemover,
+    construirMensajeError,
+    notificarErrorAgregado
+} from './groupActions.js';
+import { OUTCOMES } from './participantOutcomes.js';
+import { finalizeEnrollment } from './enrollmentHandler.js';
+import { checkAddQuota, recordAddAttempt, formatEstimatedTime } from './quota.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
+import { logger } from './logger.js';
+import {
+    COLA_TRABAJOS,
+    INVITACIONES,
+    MAX_SUBJECTS_PER_USER,
+    REINTENTOS_AUTOMATICOS,
+    VENTANA_REACTIVIDAD_HORAS
+} from './config.js';
+
+let activeTransport = null;
+let workerInterval = null;
+let draining = false;
+let paused = false;
+
+const PAUSE_SETTING = 'queue_paused';
+
+/**
+ * Start the group addition worker
+ * A single worker drains the queue one job at a time, across all users
+ * ("Procesamiento en Serie"). Calling it again after a reconnection only
+ * swaps the transport used for new jobs.
+ * @param {object} transport - Messaging transport
+ */
+export function startJobWorker(transport) {
+    activeTransport = transport;
+
+    if (workerInterval) {
+        logger.info('Job worker transport updated', { transport: transport.name });
+        return;
+    }
+
+    logger.info('Starting job worker', { pollIntervalMs: COLA_TRABAJOS.INTERVALO_SONDEO });
+
+    // Jobs left 'running' by a crash go back to the queue before the first poll,
+    // and a pause set by an administrator survives the restart
+    requeueRunningJobs()
+        .then(() => getSetting(PAUSE_SETTING))
+        .then(value => {
+            paused = value === true;
+            if (paused) logger.warn('Job worker starts paused');
+        })
+        .catch(error => logger.error('Error preparing job worker', { error: error.message }))
+        .finally(() => {
+            drainQueue();
+            workerInterval = setInterval(drainQueue, COLA_TRABAJOS.INTERVALO_SONDEO);
+        });
+}
+
+/**
+ * Stop polling for jobs (the job already running finishes)
+ */
+export function stopJobWorker() {
+    if (!workerInterval) return;
+
+    clearInterval(workerInterval);
+    workerInterval = null;
+    activeTransport = null;
+
+    logger.info('Job worker stopped');
+}
+
+/**
+ * Pause or resume every group operation ("!pausa" / "!reanudar")
+ * The job already running finishes; queued jobs wait until resumed.
+ * @param {boolean} value - true to pause
+ * @param {string|null} adminId - Who changed it
+ */
+export async function setWorkerPaused(value, adminId = null) {
+    await saveSetting(PAUSE_SETTING, value, adminId);
+    paused = value;
+
+    logger.warn(value ? 'Job worker paused' : 'Job worker resumed', { adminId });
+
+    if (!value) {
+        drainQueue();
+    }
+}
+
+/**
+ * @returns {boolean} Whether the worker is paused
+ */
+export function isWorkerPaused() {
+    return paused;
+}
+
+/**
+ * Process runnable jobs until the queue is empty
+ * (or, once the add quota is reached, until no removal is left)
+ * Re-entrant calls are ignored so only one job runs at a time
+ */
+async function drainQueue() {
+    if (draining || paused || !activeTransport) return;
+    draining = true;
+
+    try {
+        while (!paused) {
+            const accountId = activeTransport.getAccountId();
+            const quota = await checkAddQuota(accountId);
+
+            // Removals do not count against the add quota and keep running
+            if (!quota.allowed) {
+                await deferForQuota(quota.nextWindowAt);
+            }
+
+            const job = await claimNextJob(quota.allowed);
+            if (!job) break;
+
+            await processJob(job, accountId);
+        }
+    } catch (error) {
+        logger.error('Error in job worker', { error: error.message });
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Backoff for retryable failures: base, 2x base, 4x base...
+ * @param {number} attempts - Attempts already made
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+    return COLA_TRABAJOS.ESPERA_REINTENTO * Math.pow(2, attempts - 1);
+}
+
+/**
+ * Postpone runnable jobs to the next quota window and tell each affected
+ * student (once, if they wrote recently) when their enrollment will continue
+ * @param {Date} nextWindowAt 
+ */
+async function deferForQuota(nextWindowAt) {
+    const students = await deferRunnableJobs(nextWindowAt);
+
+    for (const whatsappId of students) {
+        try {
+            await notifyIfReachable(
+                whatsappId,
+                `⏳ *Tu inscripción está en espera*\n\n` +
+                `Para proteger la cuenta del bot, WhatsApp limita cuántas personas puedo agregar a grupos por hora y por día, y ya alcanzamos ese límite.\n\n` +
+                `Continuaré con tu inscripción ${formatEstimatedTime(nextWindowAt)} aproximadamente. No necesitas hacer nada.`
+            );
+        } catch (error) {
+            logger.error('Error notifying quota deferral', { error: error.message, userId: whatsappId });
+        }
+    }
+}
+
+/**
+ * Run a single job according to its kind
+ * @param {object} job - Claimed job joined with sigla/grupo
+ * @param {string} accountId - Bot account the attempt counts against
+ */
+async function processJob(job, accountId) {
+    logger.info('Processing job', {
+        jobId: job.id,
+        kind: job.kind,
+        documentId: job.document_id,
+        userId: job.whatsapp_id,
+        attempt: job.attempts
+    });
+
+    if (job.kind === 'withdraw') {
+        await processWithdrawJob(job);
+    } else if (job.kind === 'switch') {
+        await processSwitchJob(job, accountId);
+    } else if (job.kind === 'retry') {
+        await processRetryJob(job, accountId);
+    } else if (job.kind === 'invite') {
+        await processInviteJob(job, accountId);
+    } else {
+        await processEnrollJob(job, accountId);
+    }
+}
+
+/**
+ * Run a single group addition job
+ * @param {object} job - Claimed job joined with sigla/grupo
+ * @param {string} accountId - Bot account the attempt counts against
+ */
+async function processEnrollJob(job, accountId) {
+    const materiaNombre = `${job.sigla} - Grupo ${job.grupo}`;
+
+    try {
+        const resultado = await intentarAgregar(
+            activeTransport,
+            job.group_jid,
+            job.whatsapp_id,
+            materiaNombre
+        );
+
+        await recordAddAttempt(accountId, job.whatsapp_id, job.group_jid, resultado.codigo, resultado.exito);
+        await recordSubjectOutcome(job.subject_id, resultado.categoria, resultado.error);
+
+        if (resultado.exito) {
+            await markSubjectAdded(job.subject_id);
+            await completeJob(job.id);
+        } else if (resultado.categoria === OUTCOMES.TRANSIENT && job.attempts < job.max_attempts) {
+            // No verdict from WhatsApp (timeout, disconnection): try again later
+            await failJob(job.id, resultado.error, retryDelay(job.attempts));
+            return;
+        } else {
+            // The student hears about it in the enrollment result
+            await failJob(job.id, resultado.error);
+            await scheduleAutoRetry(job, resultado.categoria);
+        }
+
+        await finalizeIfDone(job);
+    } catch (error) {
+        logger.error('Error processing job', {
+            error: error.message,
+            jobId: job.id
+        });
+
+        const retryInMs = job.attempts < job.max_attempts ? retryDelay(job.attempts) : null;
+
+        try {
+            await failJob(job.id, error.message, retryInMs);
+            if (retryInMs === null) {
+                await scheduleAutoRetry(job, OUTCOMES.TRANSIENT);
+                await finalizeIfDone(job);
+            }
+        } catch (failError) {
+            logger.error('Error recording job failure', { error: failError.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Run an automatic (or REINTENTAR) retry of a failed group addition
+ * The document was already closed, so a success updates the subject
+ * counter here and the student gets a message of its own.
+ * @param {object} job - Claimed job joined with sigla/grupo
+ * @param {string} accountId - Bot account the attempt counts against
+ */
+async function processRetryJob(job, accountId) {
+    const materiaNombre = `${job.sigla} - Grupo ${job.grupo}`;
+
+    try {
+        const total = await getStudentSubjectCount(job.whatsapp_id);
+
+        if (total >= MAX_SUBJECTS_PER_USER) {
+            await failJob(job.id, 'Límite de materias alcanzado');
+            return;
+        }
+
+        const resultado = await intentarAgregar(
+            activeTransport,
+            job.group_jid,
+            job.whatsapp_id,
+            materiaNombre
+        );
+
+        await recordAddAttempt(accountId, job.whatsapp_id, job.group_jid, resultado.codigo, resultado.exito);
+        await recordSubjectOutcome(job.subject_id, resultado.categoria, resultado.error);
+
+        if (resultado.exito) {
+            await markLateSubjectAdded(job.subject_id, job.whatsapp_id);
+            await completeJob(job.id);
+
+            await notifyIfReachable(
+                job.whatsapp_id,
+                `✅ *Te agregué a ${materiaNombre}*\n\n` +
+                `El reintento funcionó, ya estás en el grupo.\n\n` +
+                `📊 *Total de materias inscritas:* ${total + 1}/${MAX_SUBJECTS_PER_USER}`
+            );
+            return;
+        }
+
+        if (resultado.categoria === OUTCOMES.TRANSIENT && job.attempts < job.max_attempts) {
+            await failJob(job.id, resultado.error, retryDelay(job.attempts));
+            return;
+        }
+
+        await failJob(job.id, resultado.error);
+
+        const nextRetryAt = await scheduleAutoRetry(job, resultado.categoria);
+
+        // Intermediate failures stay silent; only the last one is reported
+        if (!nextRetryAt) {
+            await notifyIfReachable(
+                job.whatsapp_id,
+                construirMensajeError(materiaNombre, resultado.categoria, await inviteOffer(job, resultado.categoria)) +
+                `\n\nYa no lo intentaré automáticamente. Escribe *REINTENTAR* cuando quieras probar de nuevo.`
+            );
+        }
+    } catch (error) {
+        logger.error('Error processing retry job', {
+            error: error.message,
+            jobId: job.id
+        });
+
+        const retryInMs = job.attempts < job.max_attempts ? retryDelay(job.attempts) : null;
+
+        try {
+            await failJob(job.id, error.message, retryInMs);
+            if (retryInMs === null) {
+                await scheduleAutoRetry(job, OUTCOMES.TRANSIENT);
+            }
+        } catch (failError) {
+            logger.error('Error recording job failure', { error: failError.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Send a private invite for a subject the student's privacy kept out ("INVITAR")
+ * The addition is tried again with autoSendInviteV4, so whatsapp-web.js
+ * sends the invite only if WhatsApp still blocks it. The invite is tracked
+ * until the student joins ('group_join', see inviteHandler.js).
+ * @param {object} job - Claimed job joined with sigla/grupo
+ * @param {string} accountId - Bot account the attempt counts against
+ */
+async function processInviteJob(job, accountId) {
+    const materiaNombre = `${job.sigla} - Grupo ${job.grupo}`;
+
+    try {
+        const total = await getStudentSubjectCount(job.whatsapp_id);
+
+        if (total >= MAX_SUBJECTS_PER_USER) {
+            await failJob(job.id, 'Límite de materias alcanzado');
+            return;
+        }
+
+        const resultado = await intentarAgregar(
+            activeTransport,
+            job.group_jid,
+            job.whatsapp_id,
+            materiaNombre,
+            { autoSendInviteV4: true, comment: `Invitación al grupo de ${materiaNombre}` }
+        );
+
+        await recordAddAttempt(accountId, job.whatsapp_id, job.group_jid, resultado.codigo, resultado.exito);
+        await recordSubjectOutcome(job.subject_id, resultado.categoria, resultado.error);
+
+        // The privacy setting changed in the meantime: added directly
+        if (resultado.exito) {
+            await markLateSubjectAdded(job.subject_id, job.whatsapp_id);
+            await completeJob(job.id);
+
+            await notifyIfReachable(
+                job.whatsapp_id,
+                `✅ *Te agregué a ${materiaNombre}*\n\n` +
+                `Ya no hizo falta la invitación, estás en el grupo.\n\n` +
+                `📊 *Total de materias inscritas:* ${total + 1}/${MAX_SUBJECTS_PER_USER}`
+            );
+            return;
+        }
+
+        if (resultado.invitacionEnviada) {
+            const expiresAt = new Date(Date.now() + INVITACIONES.VIGENCIA_DIAS * 24 * 60 * 60 * 1000);
+            await recordInviteSent(job.subject_id, job.whatsapp_id, job.group_jid, expiresAt);
+            await completeJob(job.id);
+
+            await notifyIfReachable(
+                job.whatsapp_id,
+                `📨 *Te envié una invitación a ${materiaNombre}*\n\n` +
+                `Ábrela en este chat y toca *Unirse al grupo*. ` +
+                `Vence en ${INVITACIONES.VIGENCIA_DIAS} días; te avisaré cuando te unas.`
+            );
+            return;
+        }
+
+        if (resultado.categoria === OUTCOMES.TRANSIENT && job.attempts < job.max_attempts) {
+            await failJob(job.id, resultado.error, retryDelay(job.attempts));
+            return;
+        }
+
+        await failJob(job.id, resultado.error);
+        await notifyIfReachable(
+            job.whatsapp_id,
+            resultado.categoria === OUTCOMES.PRIVACY_BLOCKED
+                ? `⚠️ *No pude enviarte la invitación a ${materiaNombre}*\n\n` +
+                  `WhatsApp no permitió enviarla. Revisa *Ajustes → Privacidad → Grupos* y escribe *REINTENTAR*.`
+                : construirMensajeError(materiaNombre, resultado.categoria)
+        );
+    } catch (error) {
+        logger.error('Error processing invite job', {
+            error: error.message,
+            jobId: job.id
+        });
+
+        const retryInMs = job.attempts < job.max_attempts ? retryDelay(job.attempts) : null;
+
+        try {
+            await failJob(job.id, error.message, retryInMs);
+        } catch (failError) {
+            logger.error('Error recording job failure', { error: failError.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Offer a private invite when privacy blocked the addition and the group allows it
+ * @param {object} job - Failed enroll or retry job
+ * @param {string} outcome - One of OUTCOMES
+ * @returns {Promise<{inviteCommand?: string}>} Options for construirMensajeError
+ */
+async function inviteOffer(job, outcome) {
+    if (outcome !== OUTCOMES.PRIVACY_BLOCKED || !activeTransport.supportsInvites) {
+        return {};
+    }
+
+    return (await isInviteFallbackAllowed(job.group_jid))
+        ? { inviteCommand: `INVITAR ${job.sigla}` }
+        : {};
+}
+
+/**
+ * Schedule the next automatic retry of a failed addition
+ * The wait depends on the outcome (recently left waits hours, transient
+ * errors minutes) and doubles with every retry already made.
+ * @param {object} job - Failed enroll or retry job
+ * @param {string} outcome - One of OUTCOMES
+ * @returns {Promise<Date|null>} When it will run, null if no retry was scheduled
+ */
+async function scheduleAutoRetry(job, outcome) {
+    if (REINTENTOS_AUTOMATICOS.SIN_REINTENTO.includes(outcome)) {
+        return null;
+    }
+
+    const previous = await countRetryJobs(job.subject_id);
+
+    if (previous >= REINTENTOS_AUTOMATICOS.MAX_REINTENTOS) {
+        logger.info('Automatic retries exhausted', { subjectId: job.subject_id, retries: previous });
+        return null;
+    }
+
+    const base = REINTENTOS_AUTOMATICOS.ESPERA_POR_RESULTADO[outcome]
+        ?? REINTENTOS_AUTOMATICOS.ESPERA_POR_RESULTADO[OUTCOMES.TRANSIENT];
+    const runAfter = new Date(Date.now() + base * Math.pow(2, previous));
+
+    const scheduled = await scheduleRetryJob(job.subject_id, job.whatsapp_id, runAfter, COLA_TRABAJOS.MAX_INTENTOS);
+    return scheduled ? runAfter : null;
+}
+
+/**
+ * Send a message only if the student wrote to us within the reactivity window
+ * Retries can run hours after the last conversation.
+ * @param {string} whatsappId
+ * @param {string} text
+ */
+async function notifyIfReachable(whatsappId, text) {
+    if (!(await hasRecentInboundMessage(whatsappId, VENTANA_REACTIVIDAD_HORAS))) {
+        logger.info('Notification skipped (reactivity window)', { userId: whatsappId });
+        return;
+    }
+
+    await enviarMensajeHumano(activeTransport, whatsappId, text);
+}
+
+/**
+ * Run a single group removal job ("BAJA")
+ * @param {object} job - Claimed job joined with sigla/grupo
+ */
+async function processWithdrawJob(job) {
+    const materiaNombre = `${job.sigla} - Grupo ${job.grupo}`;
+
+    try {
+        const resultado = await intentarRemover(
+            activeTransport,
+            job.group_jid,
+            job.whatsapp_id,
+            materiaNombre
+        );
+
+        if (resultado.exito) {
+            await withdrawSubject(job.subject_id, job.whatsapp_id);
+            await completeJob(job.id);
+
+            const total = await getStudentSubjectCount(job.whatsapp_id);
+            await enviarMensajeHumano(
+                activeTransport,
+                job.whatsapp_id,
+                `✅ *Baja realizada*\n\n` +
+                `Ya no estás en el grupo de *${materiaNombre}*.\n\n` +
+                `📊 *Total de materias inscritas:* ${total}/${MAX_SUBJECTS_PER_USER}`
+            );
+            return;
+        }
+
+        if (resultado.codigo === null && job.attempts < job.max_attempts) {
+            await failJob(job.id, resultado.error, retryDelay(job.attempts));
+            return;
+        }
+
+        await failJob(job.id, resultado.error);
+        await enviarMensajeHumano(
+            activeTransport,
+            job.whatsapp_id,
+            `⚠️ *No pude darte de baja de ${materiaNombre}*\n\n` +
+            `WhatsApp no permitió sacarte del grupo. Puedes salir tú mismo desde la información del grupo, ` +
+            `o intentar nuevamente más tarde con *BAJA ${job.sigla}*.`
+        );
+    } catch (error) {
+        logger.error('Error processing withdraw job', {
+            error: error.message,
+            jobId: job.id
+        });
+
+        const retryInMs = job.attempts < job.max_attempts ? retryDelay(job.attempts) : null;
+
+        try {
+            await failJob(job.id, error.message, retryInMs);
+        } catch (failError) {
+            logger.error('Error recording job failure', { error: failError.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Run a single group switch job ("CAMBIAR")
+ * The student is added to the new group first and only then removed from
+ * the old one, so a failed addition never leaves them without a group.
+ * @param {object} job - Claimed job joined with sigla/grupo and the current group
+ * @param {string} accountId - Bot account the attempt counts against
+ */
+async function processSwitchJob(job, accountId) {
+    const anterior = `${job.sigla} - Grupo ${job.grupo}`;
+    const nuevo = `${job.sigla} - Grupo ${job.target_grupo}`;
+
+    try {
+        const resultado = await intentarAgregar(
+            activeTransport,
+            job.group_jid,
+            job.whatsapp_id,
+            nuevo
+        );
+
+        await recordAddAttempt(accountId, job.whatsapp_id, job.group_jid, resultado.codigo, resultado.exito);
+
+        // Si ya estaba en el grupo nuevo cuenta como éxito, solo falta salir del anterior
+        if (!resultado.exito) {
+            if (resultado.categoria === OUTCOMES.TRANSIENT && job.attempts < job.max_attempts) {
+                await failJob(job.id, resultado.error, retryDelay(job.attempts));
+                return;
+            }
+
+            await failJob(job.id, resultado.error);
+            await notificarErrorAgregado(activeTransport, job.whatsapp_id, nuevo, resultado.categoria);
+            return;
+        }
+
+        const salida = await intentarRemover(
+            activeTransport,
+            job.subject_group_jid,
+            job.whatsapp_id,
+            anterior
+        );
+
+        // Until now the subject still described the old group: a failed
+        // switch (kept in the job's last_error) leaves its outcome alone
+        await switchSubjectGroup(job.subject_id, job.target_grupo, job.group_jid);
+        await recordSubjectOutcome(job.subject_id, resultado.categoria, resultado.error);
+        await completeJob(job.id);
+
+        let switchMsg = 
+            `✅ *Cambio de grupo realizado*\n\n` +
+            `Ahora estás en *${nuevo}*.\n`;
+
+        if (!salida.exito) {
+            logger.warn('Switch left the student in the old group', {
+                jobId: job.id,
+                userId: job.whatsapp_id,
+                error: salida.error
+            });
+            switchMsg += `\n⚠️ No pude sacarte del grupo de *${anterior}*, puedes salir tú mismo desde la información del grupo.`;
+        } else {
+            switchMsg += `Ya no estás en el grupo de *${anterior}*.`;
+        }
+
+        await enviarMensajeHumano(activeTransport, job.whatsapp_id, switchMsg);
+    } catch (error) {
+        logger.error('Error processing switch job', {
+            error: error.message,
+            jobId: job.id
+        });
+
+        const retryInMs = job.attempts < job.max_attempts ? retryDelay(job.attempts) : null;
+
+        try {
+            await failJob(job.id, error.message, retryInMs);
+        } catch (failError) {
+            logger.error('Error recording job failure', { error: failError.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Send the enrollment result once the last job of a document finishes
+ * @param {object} job
+ */
+async function finalizeIfDone(job) {
+    if (await countOpenJobsForDocument(job.document_id) === 0) {
+        await finalizeEnrollment(activeTransport, job.document_id, job.whatsapp_id);
+    }
+}
+
+export default {
+    startJobWorker,
+    stopJobWorker,
+    setWorkerPaused,
+    isWorkerPaused
+};
@@ -0,0 +1,171 @@
+import {
+    findActiveSubject,
+    enqueueWithdrawJob,
+    enqueueSwitchJob,
+    getGroupJID
+} from './database.js';
+import { checkAddQuota, formatEstimatedTime } from './quota.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
+import { logger } from './logger.js';
+import { COLA_TRABAJOS } from './config.js';
+
+/**
+ * Handle "BAJA INF412": leave the group of an enrolled subject
+ * The removal is queued like any other group operation; the job worker
+ * marks the subject as withdrawn, gives the slot back and tells the student.
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ * @param {string} sigla - Subject code
+ */
+export async function handleWithdrawRequest(transport, remitente, sigla) {
+    try {
+        logger.info('Withdraw request', { from: remitente, sigla });
+
+        const subject = await findActiveSubject(remitente, sigla);
+
+        if (!subject) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No estás inscrito en ningún grupo de *${sigla}*.\n\n` +
+                `Escribe *MIS MATERIAS* para ver tus grupos.`
+            );
+            return;
+        }
+
+        const enqueued = await enqueueWithdrawJob(subject.id, remitente, COLA_TRABAJOS.MAX_INTENTOS);
+
+        if (!enqueued) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⏳ Ya estoy procesando un cambio en *${subject.sigla} - Grupo ${subject.grupo}*. Te avisaré cuando termine.`
+            );
+            return;
+        }
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `🔄 *Procesando tu baja*\n\n` +
+            `Te sacaré del grupo de *${subject.sigla} - Grupo ${subject.grupo}* y liberaré ese cupo.\n` +
+            `Te avisaré cuando termine.`
+        );
+
+        logger.info('Withdraw queued', { userId: remitente, subjectId: subject.id, sigla });
+
+    } catch (error) {
+        logger.error('Error handling withdraw request', {
+            error: error.message,
+            from: remitente,
+            sigla
+        });
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ Ocurrió un error al procesar tu baja.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+/**
+ * Handle "CAMBIAR INF412 5B": move to another grupo of an enrolled subject
+ * The job worker adds the student to the new group and removes them from
+ * the old one; the existing enrollment record is updated, no slot is used.
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ * @param {string} sigla - Subject code
+ * @param {string} grupo - New grupo
+ */
+export async function handleSwitchRequest(transport, remitente, sigla, grupo) {
+    try {
+        logger.info('Switch request', { from: remitente, sigla, grupo });
+
+        const subject = await findActiveSubject(remitente, sigla);
+
+        if (!subject) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `ℹ️ No estás inscrito en ningún grupo de *${sigla}*.\n\n` +
+                `Para inscribirte a una materia nueva, envía tu boleta de inscripción.`
+            );
+            return;
+        }
+
+        if (subject.grupo === grupo) {
+            await enviarMensajeHumano(transport, remitente, `ℹ️ Ya estás en *${sigla} - Grupo ${grupo}*.`);
+            return;
+        }
+
+        const targetJid = await getGroupJID(sigla, grupo);
+
+        if (!targetJid) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⚠️ *${sigla} - Grupo ${grupo}* no tiene grupo de WhatsApp configurado.\n\n` +
+                `Revisa el grupo o contacta al administrador.`
+            );
+            return;
+        }
+
+        const quota = await checkAddQuota(transport.getAccountId());
+        const enqueued = await enqueueSwitchJob(
+            subject.id,
+            remitente,
+            grupo,
+            targetJid,
+            COLA_TRABAJOS.MAX_INTENTOS,
+            quota.nextWindowAt
+        );
+
+        if (!enqueued) {
+            await enviarMensajeHumano(
+                transport,
+                remitente,
+                `⏳ Ya estoy procesando un cambio en *${subject.sigla} - Grupo ${subject.grupo}*. Te avisaré cuando termine.`
+            );
+            return;
+        }
+
+        let switchMsg =
+            `🔄 *Cambio de grupo en proceso*\n\n` +
+            `Te agregaré a *${sigla} - Grupo ${grupo}* y luego te sacaré de *Grupo ${subject.grupo}*.\n` +
+            `No usa un cupo nuevo de tus materias.\n`;
+
+        if (!quota.allowed) {
+            switchMsg +=
+                `\n⏳ Por los límites de WhatsApp ya no puedo agregar más personas en este momento. ` +
+                `Haré el cambio ${formatEstimatedTime(quota.nextWindowAt)} aproximadamente.\n`;
+        }
+
+        switchMsg += `\nTe avisaré cuando termine.`;
+
+        await enviarMensajeHumano(transport, remitente, switchMsg);
+
+        logger.info('Switch queued', { userId: remitente, subjectId: subject.id, sigla, from: subject.grupo, to: grupo });
+
+    } catch (error) {
+        logger.error('Error handling switch request', {
+            error: error.message,
+            from: remitente,
+            sigla,
+            grupo
+        });
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ Ocurrió un error al procesar tu cambio de grupo.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+export default {
+    handleWithdrawRequest,
+    handleSwitchRequest
+};
@@ -0,0 +1,375 @@
+import { COMANDOS, DELAYS, MENSAJES } from './config.js';
+import { logger } from './logger.js';
+import {
+    handleDocumentUpload,
+    handleConfirmation,
+    handleCorrection,
+    handleCancel,
+    handleRetryRequest
+} from './enrollmentHandler.js';
+import { handleStatusRequest } from './statusHandler.js';
+import { handleWithdrawRequest, handleSwitchRequest } from './membershipHandler.js';
+import { handleInviteRequest } from './inviteHandler.js';
+import { isAdminCommand, handleAdminCommand } from './adminCommands.js';
+import { markMessageProcessed } from './database.js';
+import { recordMessageReceived, startHandlerTimer } from './metrics.js';
+import { STATES, getState, transition } from './conversationState.js';
+import { randomDelay, enviarMensajeHumano, delayFromRange } from './antibanHelpers.js';
+import {
+    normalizeForComparison,
+    parseCorrectionCommand,
+    parseConfirmationSelection,
+    parseWithdrawCommand,
+    parseSwitchCommand,
+    parseInviteCommand
+} from './parser.js';
+
+/**
+ * Normaliza texto para comparación (backward compatibility)
+ */
+const normalizar = (texto) => normalizeForComparison(texto);
+
+/**
+ * Cola de mensajes por usuario: cada usuario se atiende de a un mensaje,
+ * usuarios distintos siguen en paralelo.
+ * @type {Map<string, Promise<void>>}
+ */
+const colasPorUsuario = new Map();
+
+/**
+ * Ejecuta una tarea después de las tareas previas del mismo usuario
+ * @param {string} userId
+ * @param {function(): Promise<void>} tarea
+ * @returns {Promise<void>}
+ */
+const serializarPorUsuario = (userId, tarea) => {
+    const previa = colasPorUsuario.get(userId) || Promise.resolve();
+    const actual = previa.then(tarea, tarea);
+
+    colasPorUsuario.set(userId, actual);
+
+    return actual.finally(() => {
+        // Liberar la cola si nadie más se encoló detrás
+        if (colasPorUsuario.get(userId) === actual) {
+            colasPorUsuario.delete(userId);
+        }
+    });
+};
+
+/**
+ * Maneja mensajes entrantes de cualquier transporte
+ * Los mensajes de un mismo usuario se procesan en orden y una sola vez.
+ * @param {object} transport - Messaging transport
+ * @param {object} message - Incoming transport message
+ */
+export const manejarMensaje = async (transport, message) => {
+    // Ignorar mensajes de grupos y mensajes propios
+    if (message.isGroup || message.fromMe) return;
+
+    recordMessageReceived(message);
+
+    // Comandos de administrador ("!stats"...), antes de cualquier flujo de estudiante
+    if (isAdminCommand(message)) {
+        await serializarPorUsuario(message.from, medir('admin', () => handleAdminCommand(transport, message)));
+        return;
+    }
+
+    await serializarPorUsuario(message.from, medir('student', () => procesarMensaje(transport, message)));
+};
+
+/**
+ * Envuelve una tarea para medir su duración (sin contar la espera en la cola del usuario)
+ * @param {string} manejador - Etiqueta de la métrica
+ * @param {function(): Promise<void>} tarea
+ * @returns {function(): Promise<void>}
+ */
+const medir = (manejador, tarea) => async () => {
+    const terminar = startHandlerTimer(manejador);
+    try {
+        await tarea();
+    } finally {
+        terminar();
+    }
+};
+
+/**
+ * Procesa un mensaje de usuario (ya serializado)
+ * Despacha según el estado de conversación del usuario.
+ * @param {object} transport - Messaging transport
+ * @param {object} message - Incoming transport message
+ */
+const procesarMensaje = async (transport, message) => {
+    try {
+        const remitente = message.from; // ID del usuario
+
+        // Descartar mensajes re-emitidos por el transporte
+        if (message.id && !(await markMessageProcessed(message.id, remitente))) {
+            logger.warn('Duplicate message ignored', { from: remitente, messageId: message.id });
+            return;
+        }
+
+        const conversacion = await getState(remitente);
+
+        logger.info('Message received', {
+            from: remitente,
+            hasMedia: message.hasMedia,
+            type: message.type,
+            state: conversacion.state
+        });
+
+        // En atención humana el bot no responde (salvo para volver al menú)
+        if (conversacion.state === STATES.HANDOFF) {
+            await manejarAtencionHumana(transport, message, remitente);
+            return;
+        }
+
+        // Random initial delay (anti-ban protocol)
+        await randomDelay(DELAYS.RESPUESTA_INICIAL[0], DELAYS.RESPUESTA_INICIAL[1]);
+
+        // PRIORITY 1: Handle document uploads (PDF or images)
+        const media = await descargarDocumento(message, remitente);
+
+        if (media) {
+            if (conversacion.state === STATES.PROCESSING) {
+                await enviarMensajeHumano(transport, remitente, MENSAJES.EN_PROCESO);
+                return;
+            }
+
+            if (conversacion.state === STATES.IDLE) {
+                await transition(remitente, STATES.AWAITING_DOCUMENT);
+            }
+
+            await handleDocumentUpload(transport, message, media);
+            return;
+        }
+
+        // PRIORITY 2: Handle text messages
+        const texto = message.body;
+        if (!texto) return;
+
+        const textoNormalizado = normalizar(texto);
+
+        logger.info('Text message received', {
+            from: remitente,
+            text: texto
+        });
+
+        // Comando: MIS MATERIAS
+        if (COMANDOS.ESTADO.some(cmd => textoNormalizado === cmd)) {
+            logger.info('Status command received', { from: remitente });
+            await handleStatusRequest(transport, remitente);
+            return;
+        }
+
+        // Comando: CANCELAR (descartar la boleta pendiente)
+        if (COMANDOS.CANCELAR.some(cmd => textoNormalizado === cmd)) {
+            logger.info('Cancel command received', { from: remitente });
+            await handleCancel(transport, remitente);
+            return;
+        }
+
+        // Comando: REINTENTAR (materias que no se pudieron agregar)
+        if (COMANDOS.REINTENTAR.some(cmd => textoNormalizado === cmd)) {
+            logger.info('Retry command received', { from: remitente });
+            await handleRetryRequest(transport, remitente);
+            return;
+        }
+
+        // Comando: INVITAR [SIGLA] (invitación privada si la privacidad bloqueó la adición)
+        const invitacion = parseInviteCommand(texto);
+        if (invitacion) {
+            logger.info('Invite command received', { from: remitente, sigla: invitacion.sigla });
+            await handleInviteRequest(transport, remitente, invitacion.sigla);
+            return;
+        }
+
+        // Comando: BAJA SIGLA
+        const siglaBaja = parseWithdrawCommand(texto);
+        if (siglaBaja) {
+            logger.info('Withdraw command received', { from: remitente, sigla: siglaBaja });
+            await handleWithdrawRequest(transport, remitente, siglaBaja);
+            return;
+        }
+
+        // Comando: CAMBIAR SIGLA GRUPO
+        const cambio = parseSwitchCommand(texto);
+        if (cambio) {
+            logger.info('Switch command received', { from: remitente, ...cambio });
+            await handleSwitchRequest(transport, remitente, cambio.sigla, cambio.grupo);
+            return;
+        }
+
+        // Comando: MENU/AYUDA
+        if (COMANDOS.MENU.some(cmd => textoNormalizado.includes(cmd))) {
+            logger.info('Menu command received', { from: remitente });
+            await enviarMensajeHumano(transport, remitente, MENSAJES.BIENVENIDA);
+            if (conversacion.state === STATES.IDLE) {
+                await transition(remitente, STATES.AWAITING_DOCUMENT);
+            }
+            return;
+        }
+
+        // Comando: hablar con una persona
+        if (COMANDOS.HUMANO.some(cmd => textoNormalizado === cmd)) {
+            logger.info('Handoff requested', { from: remitente, state: conversacion.state });
+            await transition(remitente, STATES.HANDOFF, { documentId: conversacion.documentId });
+            await enviarMensajeHumano(transport, remitente, MENSAJES.ATENCION_HUMANA);
+            return;
+        }
+
+        const manejador = MANEJADORES_TEXTO[conversacion.state];
+        await manejador(transport, message, remitente, textoNormalizado);
+
+    } catch (error) {
+        logger.error('Error handling message', {
+            error: error.message,
+            stack: error.stack
+        });
+        await delayFromRange(DELAYS.DESPUES_ERROR);
+    }
+};
+
+/**
+ * Descarga el adjunto si es una boleta (imagen o PDF)
+ * @param {object} message - Incoming transport message
+ * @param {string} remitente
+ * @returns {Promise<object|null>} Media, o null si no hay documento
+ */
+const descargarDocumento = async (message, remitente) => {
+    if (!message.hasMedia) return null;
+
+    try {
+        const media = await message.downloadMedia();
+
+        // Check if it's a document or image
+        if (media.mimetype.startsWith('image/') || media.mimetype === 'application/pdf') {
+            logger.info('Document detected, processing', {
+                from: remitente,
+                mimeType: media.mimetype
+            });
+            return media;
+        }
+    } catch (error) {
+        logger.error('Error downloading media', {
+            error: error.message,
+            from: remitente
+        });
+    }
+
+    return null;
+};
+
+/**
+ * Estado idle: sin trámite en curso
+ */
+const manejarInactivo = async (transport, message, remitente, textoNormalizado) => {
+    // "LISTO" de una boleta enviada antes de existir el estado de conversación
+    if (COMANDOS.CONFIRMAR.some(cmd => textoNormalizado === cmd)) {
+        logger.info('Confirmation command received', { from: remitente });
+        await handleConfirmation(transport, message, remitente);
+        return;
+    }
+
+    // Default: Show instructions
+    logger.info('Unrecognized message, sending instructions', { from: remitente });
+    await enviarMensajeHumano(
+        transport,
+        remitente,
+        `📸 *Bienvenido al Bot de Inscripción*\n\n` +
+        `Para inscribirte, envíame una foto o PDF de tu *boleta de inscripción*.\n\n` +
+        `El bot leerá automáticamente tus datos y te agregará a los grupos.\n\n` +
+        `Escribe *menu* para más información.`
+    );
+    await transition(remitente, STATES.AWAITING_DOCUMENT);
+};
+
+/**
+ * Estado awaiting_document: ya se le pidió la boleta
+ */
+const manejarEsperandoDocumento = async (transport, message, remitente, textoNormalizado) => {
+    if (COMANDOS.CONFIRMAR.some(cmd => textoNormalizado === cmd)) {
+        logger.info('Confirmation command received', { from: remitente });
+        await handleConfirmation(transport, message, remitente);
+        return;
+    }
+
+    await enviarMensajeHumano(
+        transport,
+        remitente,
+        `📄 Estoy esperando tu *boleta de inscripción*.\n\n` +
+        `Envíamela como foto o PDF y la leeré automáticamente.`
+    );
+};
+
+/**
+ * Estados awaiting_confirmation / editing: hay una boleta pendiente
+ */
+const manejarEsperandoConfirmacion = async (transport, message, remitente, textoNormalizado) => {
+    // Handle "LISTO" / "CONFIRMAR" for document confirmation
+    if (COMANDOS.CONFIRMAR.some(cmd => textoNormalizado === cmd)) {
+        logger.info('Confirmation command received', { from: remitente });
+        await handleConfirmation(transport, message, remitente);
+        return;
+    }
+
+    // "LISTO 1,3,4": confirmar solo algunas materias
+    const seleccion = parseConfirmationSelection(message.body, COMANDOS.CONFIRMAR);
+    if (seleccion) {
+        logger.info('Partial confirmation received', { from: remitente, seleccion });
+        await handleConfirmation(transport, message, remitente, seleccion);
+        return;
+    }
+
+    // CORREGIR / QUITAR / AGREGAR sobre la boleta pendiente
+    const correccion = parseCorrectionCommand(message.body);
+    if (correccion) {
+        await handleCorrection(transport, remitente, correccion);
+        return;
+    }
+
+    await enviarMensajeHumano(
+        transport,
+        remitente,
+        `📝 Tienes una boleta pendiente de confirmación.\n\n` +
+        `Responde *"LISTO"* para inscribirte a los grupos.\n` +
+        `Si algún dato está mal, usa *CORREGIR 2 GRUPO 5B*, *QUITAR 3* o *AGREGAR INF413 5A*, o envía otra boleta.\n` +
+        `Escribe *CANCELAR* para descartarla.`
+    );
+};
+
+/**
+ * Estado processing: las adiciones están en la cola
+ */
+const manejarEnProceso = async (transport, message, remitente) => {
+    await enviarMensajeHumano(transport, remitente, MENSAJES.EN_PROCESO);
+};
+
+/**
+ * Estado handoff: conversación derivada a una persona
+ * El bot solo vuelve a responder si el usuario pide el menú.
+ */
+const manejarAtencionHumana = async (transport, message, remitente) => {
+    const textoNormalizado = normalizar(message.body || '');
+
+    if (COMANDOS.MENU.some(cmd => textoNormalizado.includes(cmd))) {
+        logger.info('Handoff closed by user', { from: remitente });
+        await transition(remitente, STATES.IDLE);
+        await randomDelay(DELAYS.RESPUESTA_INICIAL[0], DELAYS.RESPUESTA_INICIAL[1]);
+        await enviarMensajeHumano(transport, remitente, MENSAJES.BIENVENIDA);
+        return;
+    }
+
+    logger.info('Message during handoff, not answering', { from: remitente });
+};
+
+const MANEJADORES_TEXTO = {
+    [STATES.IDLE]: manejarInactivo,
+    [STATES.AWAITING_DOCUMENT]: manejarEsperandoDocumento,
+    [STATES.AWAITING_CONFIRMATION]: manejarEsperandoConfirmacion,
+    [STATES.EDITING]: manejarEsperandoConfirmacion,
+    [STATES.PROCESSING]: manejarEnProceso
+};
+
+export default {
+    manejarMensaje
+};
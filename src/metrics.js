@@ -0,0 +1,266 @@
+import client from 'prom-client';
+import { getDocumentStatusCounts, checkDatabaseHealth } from './database.js';
+import { addRoute } from './httpServer.js';
+import { logger } from './logger.js';
+
+const PREFIX = 'botwhatsapp_';
+
+/**
+ * Client states reported as connected (whatsapp-web.js, Baileys)
+ */
+const CONNECTED_STATES = ['CONNECTED', 'open'];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const messagesReceived = new client.Counter({
+    name: `${PREFIX}messages_received_total`,
+    help: 'Private messages received, by kind',
+    labelNames: ['kind'],
+    registers: [register]
+});
+
+const handlerDuration = new client.Histogram({
+    name: `${PREFIX}handler_duration_seconds`,
+    help: 'Time spent handling one message (includes anti-ban delays)',
+    labelNames: ['handler'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 40, 80],
+    registers: [register]
+});
+
+const ocrRequests = new client.Counter({
+    name: `${PREFIX}ocr_requests_total`,
+    help: 'OCR attempts by provider and result',
+    labelNames: ['provider', 'result'],
+    registers: [register]
+});
+
+const ocrDuration = new client.Histogram({
+    name: `${PREFIX}ocr_duration_seconds`,
+    help: 'OCR time by provider',
+    labelNames: ['provider'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 40],
+    registers: [register]
+});
+
+const ocrCircuitOpen = new client.Gauge({
+    name: `${PREFIX}ocr_circuit_open`,
+    help: '1 while an OCR provider is skipped by its circuit breaker',
+    labelNames: ['provider'],
+    registers: [register]
+});
+
+const imageQualityRejections = new client.Counter({
+    name: `${PREFIX}image_quality_rejections_total`,
+    help: 'Photos turned away before OCR, by problem found',
+    labelNames: ['issue'],
+    registers: [register]
+});
+
+const documentsParsed = new client.Counter({
+    name: `${PREFIX}documents_parsed_total`,
+    help: 'Documents parsed after OCR, by whether they had the required data',
+    labelNames: ['valid'],
+    registers: [register]
+});
+
+const addParticipantResults = new client.Counter({
+    name: `${PREFIX}add_participant_total`,
+    help: 'Group additions by WhatsApp status code and outcome',
+    labelNames: ['code', 'outcome'],
+    registers: [register]
+});
+
+const whatsappConnected = new client.Gauge({
+    name: `${PREFIX}whatsapp_connected`,
+    help: '1 while the WhatsApp client is connected',
+    registers: [register]
+});
+
+const whatsappDisconnects = new client.Counter({
+    name: `${PREFIX}whatsapp_disconnects_total`,
+    help: 'WhatsApp client disconnections',
+    registers: [register]
+});
+
+new client.Gauge({
+    name: `${PREFIX}documents`,
+    help: 'Enrollment documents by status',
+    labelNames: ['status'],
+    registers: [register],
+    async collect() {
+        try {
+            const counts = await getDocumentStatusCounts();
+            for (const [status, count] of Object.entries(counts)) {
+                this.set({ status }, count);
+            }
+        } catch (error) {
+            logger.warn('Could not collect document counts', { error: error.message });
+        }
+    }
+});
+
+/**
+ * WhatsApp client state for /healthz
+ */
+const whatsapp = {
+    state: 'starting',
+    connected: false,
+    since: new Date(),
+    lastDisconnectReason: null,
+    lastDisconnectAt: null
+};
+
+/**
+ * Count an incoming private message
+ * @param {object} message - Incoming transport message
+ */
+export function recordMessageReceived(message) {
+    messagesReceived.inc({ kind: message.hasMedia ? 'media' : 'text' });
+}
+
+/**
+ * Start timing a message handler
+ * @param {string} handler - admin, student
+ * @returns {function(): void} Call when the handler finishes
+ */
+export function startHandlerTimer(handler) {
+    return handlerDuration.startTimer({ handler });
+}
+
+/**
+ * Run one OCR provider, recording its result and duration
+ * @param {string} provider - Name from OCR_PROVIDERS (ocr_space, tesseract...)
+ * @param {function(): Promise<any>} run
+ * @returns {Promise<any>} What run resolves to (errors are rethrown)
+ */
+export async function measureOcr(provider, run) {
+    const stopTimer = ocrDuration.startTimer({ provider });
+
+    try {
+        const result = await run();
+        ocrRequests.inc({ provider, result: 'success' });
+        return result;
+    } catch (error) {
+        ocrRequests.inc({ provider, result: 'failure' });
+        throw error;
+    } finally {
+        stopTimer();
+    }
+}
+
+/**
+ * Track a provider's circuit breaker
+ * @param {string} provider
+ * @param {boolean} open - Open or half-open (not taking regular traffic)
+ */
+export function recordOcrCircuit(provider, open) {
+    ocrCircuitOpen.set({ provider }, open ? 1 : 0);
+}
+
+/**
+ * Count a photo rejected by the quality check
+ * @param {Array<string>} issues - QUALITY_ISSUES found
+ */
+export function recordQualityRejection(issues) {
+    for (const issue of issues) {
+        imageQualityRejections.inc({ issue });
+    }
+}
+
+/**
+ * Count a parsed document
+ * @param {boolean} isValid
+ */
+export function recordParseResult(isValid) {
+    documentsParsed.inc({ valid: String(isValid) });
+}
+
+/**
+ * Count a group addition
+ * @param {number|null} code - WhatsApp status code, null without a response
+ * @param {string} outcome - One of OUTCOMES
+ */
+export function recordAddResult(code, outcome) {
+    addParticipantResults.inc({ code: code === null || code === undefined ? 'none' : String(code), outcome });
+}
+
+/**
+ * Transport 'ready' event
+ */
+export function recordWhatsAppReady() {
+    setWhatsAppState('ready', true);
+}
+
+/**
+ * Transport 'state' event (change_state / connection.update)
+ * @param {string} state
+ */
+export function recordWhatsAppState(state) {
+    setWhatsAppState(state, CONNECTED_STATES.includes(state));
+}
+
+/**
+ * Transport 'disconnected' event
+ * @param {string} reason
+ */
+export function recordWhatsAppDisconnect(reason) {
+    whatsappDisconnects.inc();
+    whatsapp.lastDisconnectReason = String(reason);
+    whatsapp.lastDisconnectAt = new Date();
+    setWhatsAppState('disconnected', false);
+}
+
+/**
+ * @param {string} state
+ * @param {boolean} connected
+ */
+function setWhatsAppState(state, connected) {
+    if (connected !== whatsapp.connected) {
+        whatsapp.since = new Date();
+    }
+
+    whatsapp.state = state;
+    whatsapp.connected = connected;
+    whatsappConnected.set(connected ? 1 : 0);
+}
+
+/**
+ * Register /metrics (Prometheus) and /healthz on the embedded HTTP server
+ * Both are unauthenticated, like most scrape targets: keep HTTP_HOST on a
+ * private interface.
+ */
+export function registerMetricsRoutes() {
+    addRoute('GET', '/metrics', async () => ({
+        body: await register.metrics(),
+        headers: { 'Content-Type': register.contentType }
+    }));
+
+    addRoute('GET', '/healthz', async () => {
+        const database = await checkDatabaseHealth();
+        const healthy = whatsapp.connected && database.ok;
+
+        return {
+            status: healthy ? 200 : 503,
+            body: {
+                status: healthy ? 'ok' : 'unhealthy',
+                whatsapp,
+                database
+            }
+        };
+    });
+}
+
+export default {
+    recordMessageReceived,
+    startHandlerTimer,
+    measureOcr,
+    recordOcrCircuit,
+    recordQualityRejection,
+    recordParseResult,
+    recordAddResult,
+    recordWhatsAppReady,
+    recordWhatsAppState,
+    recordWhatsAppDisconnect,
+    registerMetricsRoutes
+};
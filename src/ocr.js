@@ -1,348 +1,221 @@
-import Tesseract from 'tesseract.js';
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
-const pdfParse = require('pdf-parse');
-import sharp from 'sharp';
-import OpenAI from 'openai';
+import { createOcrProvider } from './ocrProviders/index.js';
+import { createCircuitBreaker, CIRCUIT_STATES } from './circuitBreaker.js';
+import { rasterizePdf } from './pdfPages.js';
+import { measureOcr, recordOcrCircuit } from './metrics.js';
 import { logger } from './logger.js';
+import { OCR, PDF } from './config.js';
 
-// Initialize OpenAI client only if API key is available
-let openai = null;
-if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-    openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
+/**
+ * Providers of OCR.PROVEEDORES with their breakers, built on first use
+ * @type {Promise<Array<{provider: import('./ocrProviders/index.js').OcrProvider, breaker: object}>>|null}
+ */
+let chainPromise = null;
+
+/**
+ * Build the provider chain from config
+ * @returns {Promise<Array<object>>}
+ */
+async function buildChain() {
+    const chain = [];
+
+    for (const name of OCR.PROVEEDORES) {
+        const provider = await createOcrProvider(name);
+
+        const breaker = createCircuitBreaker({
+            name: `ocr:${name}`,
+            failureThreshold: OCR.CIRCUITO.FALLOS_PARA_ABRIR,
+            cooldownMs: OCR.CIRCUITO.PAUSA,
+            onStateChange: (state) => recordOcrCircuit(name, state !== CIRCUIT_STATES.CLOSED)
+        });
+
+        chain.push({ provider, breaker });
+    }
+
+    logger.info('OCR chain ready', {
+        providers: chain.map(({ provider }) => `${provider.name}${provider.isAvailable() ? '' : ' (not configured)'}`)
     });
-    logger.info('OpenAI client initialized');
-} else {
-    logger.info('OpenAI API key not configured, will use OCR.space or Tesseract');
+
+    return chain;
 }
 
 /**
- * Use OCR.space API for text extraction
- * @param {Buffer} buffer - Image buffer
- * @param {string} mimeType - Image MIME type
- * @returns {Promise<Object>} Structured data with numero_registro, nombre, materias
+ * @returns {Promise<Array<object>>}
  */
-async function performOCRSpace(buffer, mimeType) {
-    try {
-        logger.info('Using OCR.space API for OCR', { 
-            bufferSize: buffer.length,
-            mimeType: mimeType
-        });
-        
-        if (!process.env.OCR_SPACE_API_KEY) {
-            throw new Error('OCR_SPACE_API_KEY not configured');
-        }
-        
-        // Convert buffer to base64 (use original buffer, not preprocessed)
-        const base64String = buffer.toString('base64');
-        const dataUrl = `data:${mimeType};base64,${base64String}`;
-        
-        logger.info('OCR.space request details', {
-            base64Length: base64String.length,
-            base64Preview: base64String.substring(0, 50) + '...',
-            bufferSize: buffer.length,
-            apiKeyConfigured: !!process.env.OCR_SPACE_API_KEY,
-            mimeType: mimeType
-        });
-        
-        // Use FormData instead of JSON (required by OCR.space for base64)
-        const FormData = (await import('formdata-node')).FormData;
-        const formData = new FormData();
-        formData.append('base64Image', dataUrl); // Full data URL with prefix
-        formData.append('apikey', process.env.OCR_SPACE_API_KEY);
-        formData.append('filetype', 'JPG'); // REQUIRED: file type parameter
-        formData.append('OCREngine', '3');
-        
-        logger.info('OCR.space FormData prepared', {
-            hasDataUrl: dataUrl.startsWith('data:'),
-            dataUrlPrefix: dataUrl.substring(0, 30),
-            filetype: 'JPG',
-            ocrEngine: '3'
-        });
-        
-        // Call OCR.space API
-        const response = await fetch('https://api.ocr.space/parse/image', {
-            method: 'POST',
-            body: formData
-        });
-        
-        logger.info('OCR.space response received', {
-            status: response.status,
-            statusText: response.statusText
+function getChain() {
+    if (!chainPromise) {
+        chainPromise = buildChain().catch((error) => {
+            chainPromise = null;
+            throw error;
         });
-        
-        const data = await response.json();
-        
-        // Log complete response for debugging
-        logger.info('OCR.space full response', {
-            response: JSON.stringify(data).substring(0, 500)
-        });
-        
-        if (data.IsErroredOnProcessing) {
-            // Log full error details
-            logger.error('OCR.space processing failed', {
-                errorMessage: data.ErrorMessage,
-                errorDetails: data.ErrorDetails,
-                ocrExitCode: data.OCRExitCode,
-                processingTimeInMS: data.ProcessingTimeInMilliseconds
-            });
-            throw new Error(data.ErrorMessage?.[0] || 'OCR.space processing error');
-        }
-        
-        const extractedText = data.ParsedResults?.[0]?.ParsedText;
-        
-        if (!extractedText) {
-            logger.error('OCR.space returned no text', {
-                parsedResults: data.ParsedResults,
-                hasResults: !!data.ParsedResults,
-                resultsLength: data.ParsedResults?.length
-            });
-            throw new Error('No text extracted from OCR.space');
-        }
-        
-        logger.info('OCR.space extraction successful', {
-            textLength: extractedText.length,
-            exitCode: data.ParsedResults?.[0]?.FileParseExitCode
-        });
-        
-        // Return raw text for parser to handle
-        return extractedText;
-        
-    } catch (error) {
-        logger.error('OCR.space error', { error: error.message });
-        throw error;
     }
+    return chainPromise;
 }
 
 /**
- * Preprocess image for better OCR accuracy
- * @param {Buffer} imageBuffer 
- * @returns {Promise<Buffer>}
+ * Run a provider, aborting it after its timeout
+ * @param {import('./ocrProviders/index.js').OcrProvider} provider
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<import('./ocrProviders/index.js').ProviderOutput>}
  */
-export async function preprocessImage(imageBuffer) {
+async function recognizeWithTimeout(provider, buffer, mimeType) {
+    const timeoutMs = OCR.TIEMPO_LIMITE[provider.name] || OCR.TIEMPO_LIMITE_POR_DEFECTO;
+    const controller = new AbortController();
+    let timer;
+
+    // Providers that cannot be cancelled keep running, but the chain moves on
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeoutMs} ms`));
+        }, timeoutMs);
+    });
+
     try {
-        return await sharp(imageBuffer)
-            .rotate() // Auto-rotate based on EXIF
-            .greyscale() // Convert to grayscale
-            .normalize() // Enhance contrast
-            .sharpen({ sigma: 1 }) // Sharpen text
-            .jpeg({ quality: 90 }) // Ensure output is valid JPEG
-            .toBuffer();
-    } catch (error) {
-        logger.error('Error preprocessing image', { error: error.message });
-        // Return original if preprocessing fails
-        return imageBuffer;
+        return await Promise.race([
+            provider.recognize(buffer, mimeType, { signal: controller.signal }),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timer);
     }
 }
 
 /**
- * Use OpenAI GPT-4 Vision to extract structured data from boleta image
- * @param {Buffer} buffer - Image buffer
- * @param {string} mimeType - Image MIME type
- * @returns {Promise<Object>} Structured data with numero_registro, nombre, materias
+ * Perform OCR on document (PDF or image)
+ * Images go through the provider chain. PDFs are read from their text layer;
+ * scanned PDFs are rasterized and every page goes through the image chain.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<import('./ocrProviders/index.js').OcrResult>}
  */
-async function performOpenAIVision(buffer, mimeType) {
-    try {
-        logger.info('Using OpenAI Vision API for OCR');
-        
-        // Convert buffer to base64
-        const base64Image = buffer.toString('base64');
-        const dataUrl = `data:${mimeType};base64,${base64Image}`;
-        
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: `Analiza la imagen de una boleta de inscripción.
-
-Devuelve ÚNICAMENTE un JSON válido.
-NO uses markdown.
-NO uses \`\`\`json.
-NO incluyas explicaciones.
-
-Regla para numero_registro:
-- Solo es válido si contiene EXACTAMENTE 9 dígitos (0-9).
-- Si detectas algo que no cumple, devuelve null.
-- No uses números de horarios, aulas, códigos u otros identificadores.
-
-Formato exacto:
-
-{
-  "numero_registro": "string de 9 dígitos o null",
-  "nombre": "NOMBRE COMPLETO EN MAYÚSCULAS",
-  "materias": [
-    {
-      "sigla": "INF412",
-      "grupo": "5A",
-      "nombre": "SISTEMAS OPERATIVOS"
+export async function performOCR(buffer, mimeType) {
+    logger.info('Starting OCR processing', { mimeType });
+
+    if (mimeType === 'application/pdf') {
+        return performPdfOCR(buffer);
     }
-  ]
+
+    return runChain(buffer, mimeType);
 }
 
-Extrae TODAS las materias de la tabla. Cada materia debe tener sigla (ej: INF412), grupo (ej: 5A) y nombre completo.`
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: dataUrl
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 1000
-        });
-        
-        const content = response.choices[0].message.content.trim();
-        logger.info('OpenAI Vision response received', { length: content.length });
-        
-        // Parse JSON response
-        const data = JSON.parse(content);
-        
-        // Validate structure
-        if (!data.materias || !Array.isArray(data.materias)) {
-            throw new Error('Invalid response structure from OpenAI');
+/**
+ * Read a PDF: text layer first, page images if it is a scan
+ * @param {Buffer} buffer
+ * @returns {Promise<import('./ocrProviders/index.js').OcrResult>}
+ */
+async function performPdfOCR(buffer) {
+    try {
+        const textLayer = await runChain(buffer, 'application/pdf');
+
+        if (textLayer.text.trim().length >= PDF.MIN_CARACTERES_TEXTO) {
+            return textLayer;
         }
-        
-        logger.info('OpenAI Vision parsing successful', {
-            hasRegistration: !!data.numero_registro,
-            hasName: !!data.nombre,
-            subjectCount: data.materias.length
-        });
-        
-        return data;
-        
     } catch (error) {
-        logger.error('OpenAI Vision error', { error: error.message });
-        throw error;
+        logger.warn('PDF text layer unavailable, rasterizing', { error: error.message });
+    }
+
+    const images = await rasterizePdf(buffer);
+    const pages = [];
+
+    for (const image of images) {
+        try {
+            pages.push({ ...(await runChain(image.buffer, 'image/png')), page: image.page });
+        } catch (error) {
+            // A blank or unreadable page should not lose the others
+            logger.warn('Could not read PDF page', { page: image.page, error: error.message });
+        }
     }
+
+    if (pages.length === 0) {
+        throw new Error('No page of the PDF could be read');
+    }
+
+    return combinePages(pages, images.length);
 }
 
 /**
- * Perform OCR on document (PDF or image)
- * Cascade: OCR.space → OpenAI Vision → Tesseract
- * @param {Buffer} buffer 
- * @param {string} mimeType 
- * @returns {Promise<string|Object>} Extracted text or structured data
+ * Merge the results of a PDF's pages into one OcrResult
+ * `pages` keeps each page's result so the parser can read them one by one.
+ * @param {Array<object>} pages - OcrResults with their page number
+ * @param {number} pageCount - Pages rasterized
+ * @returns {import('./ocrProviders/index.js').OcrResult}
  */
-export async function performOCR(buffer, mimeType) {
-    try {
-        logger.info('Starting OCR processing', { mimeType });
-
-        // For images, try OCR services in order of preference
-        if (mimeType.startsWith('image/')) {
-            
-            // 1. Try OCR.space first (free tier, fast)
-            if (process.env.OCR_SPACE_API_KEY) {
-                try {
-                    const ocrText = await performOCRSpace(buffer, mimeType);
-                    logger.info('Using OCR.space result');
-                    return ocrText;
-                } catch (ocrSpaceError) {
-                    logger.warn('OCR.space failed, trying OpenAI Vision', {
-                        error: ocrSpaceError.message
-                    });
-                }
-            }
-            
-            // 2. Try OpenAI Vision (more accurate for structured data)
-            if (openai) {
-                try {
-                    const structuredData = await performOpenAIVision(buffer, mimeType);
-                    logger.info('Using OpenAI Vision result');
-                    // Return as JSON string for parser compatibility
-                    return JSON.stringify(structuredData);
-                } catch (visionError) {
-                    logger.warn('OpenAI Vision failed, falling back to Tesseract', {
-                        error: visionError.message
-                    });
-                }
-            }
-            
-            // 3. Fallback to Tesseract (offline, always available)
-            logger.info('Using Tesseract OCR as fallback');
-            const preprocessed = await preprocessImage(buffer);
-            const result = await Tesseract.recognize(
-                preprocessed,
-                'spa',
-                {
-                    logger: m => {
-                        if (m.status === 'recognizing text') {
-                            logger.debug('OCR progress', { progress: m.progress });
-                        }
-                    }
-                }
-            );
-            
-            logger.info('Tesseract OCR completed', { 
-                confidence: result.data.confidence,
-                textLength: result.data.text.length
-            });
-            
-            return result.data.text;
+function combinePages(pages, pageCount) {
+    const confidences = pages.map(p => p.confidence).filter(c => c !== null);
+
+    return {
+        text: pages.map(p => `${p.text}\n\n-- ${p.page} of ${pageCount} --\n\n`).join(''),
+        fields: null,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+        provider: [...new Set(pages.map(p => p.provider))].join('+'),
+        latencyMs: pages.reduce((total, p) => total + p.latencyMs, 0),
+        pages
+    };
+}
+
+/**
+ * Try the providers of OCR_PROVIDERS in order and return the first answer
+ * Providers that do not read this MIME type, are not configured or whose
+ * circuit is open are skipped.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<import('./ocrProviders/index.js').OcrResult>}
+ */
+async function runChain(buffer, mimeType) {
+    const chain = (await getChain()).filter(({ provider }) =>
+        provider.supports(mimeType) && provider.isAvailable());
+
+    if (chain.length === 0) {
+        throw new Error(`Unsupported MIME type: ${mimeType}`);
+    }
+
+    const failures = [];
+
+    for (const { provider, breaker } of chain) {
+        if (!breaker.allowRequest()) {
+            logger.info('OCR provider skipped, circuit open', { provider: provider.name });
+            failures.push(`${provider.name}: circuit open`);
+            continue;
         }
 
-        if (mimeType === 'application/pdf') {
-            // Try to extract text from PDF first
-            logger.info('Extracting text from PDF');
-            const pdfData = await pdfParse(buffer);
-            
-            // Check if we got meaningful text
-            if (pdfData.text && pdfData.text.trim().length > 100) {
-                logger.info('PDF text extraction successful', { 
-                    length: pdfData.text.length 
-                });
-                return pdfData.text;
-            }
-            
-            // If text is too short, it's likely a scanned PDF
-            logger.warn('PDF text too short, treating as scanned document');
-            
-            // TODO: Convert PDF to image and apply OCR
-            // For now, we'll just return the minimal text
-            // In production, you'd want to use pdf2pic here
-            return pdfData.text || '';
-            
-        } else if (mimeType.startsWith('image/')) {
-            // Preprocess image for better OCR
-            logger.info('Preprocessing image for OCR');
-            const preprocessed = await preprocessImage(buffer);
-            
-            // Perform OCR with Tesseract
-            logger.info('Running Tesseract OCR');
-            const result = await Tesseract.recognize(
-                preprocessed,
-                'spa', // Spanish language
-                {
-                    logger: m => {
-                        if (m.status === 'recognizing text') {
-                            logger.debug('OCR progress', { progress: m.progress });
-                        }
-                    }
-                }
-            );
-            
-            logger.info('OCR completed successfully', { 
-                confidence: result.data.confidence,
-                textLength: result.data.text.length
+        const started = Date.now();
+
+        try {
+            const output = await measureOcr(provider.name, () => recognizeWithTimeout(provider, buffer, mimeType));
+            breaker.recordSuccess();
+
+            const result = {
+                text: output.text || '',
+                fields: output.fields || null,
+                confidence: output.confidence ?? null,
+                provider: provider.name,
+                latencyMs: Date.now() - started
+            };
+
+            logger.info('OCR completed', {
+                provider: result.provider,
+                latencyMs: result.latencyMs,
+                confidence: result.confidence,
+                structured: !!result.fields
+            });
+
+            return result;
+
+        } catch (error) {
+            breaker.recordFailure();
+            failures.push(`${provider.name}: ${error.message}`);
+
+            logger.warn('OCR provider failed, trying next', {
+                provider: provider.name,
+                error: error.message,
+                latencyMs: Date.now() - started
             });
-            
-            return result.data.text;
-        } else {
-            throw new Error(`Unsupported MIME type: ${mimeType}`);
         }
-    } catch (error) {
-        logger.error('Error performing OCR', { 
-            error: error.message,
-            mimeType 
-        });
-        throw error;
     }
+
+    logger.error('Error performing OCR', { mimeType, failures });
+    throw new Error(`All OCR providers failed (${failures.join('; ')})`);
 }
 
-export default { performOCR, preprocessImage };
+export default { performOCR };
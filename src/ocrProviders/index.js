@@ -0,0 +1,72 @@
+/**
+ * OCR provider interface
+ *
+ * Every provider reads one document and says what it found; src/ocr.js
+ * runs them as a chain (order, timeouts and circuit breakers from config).
+ *
+ * @typedef {Object} OcrProvider
+ * @property {string} name - Provider name, as used in OCR_PROVIDERS
+ * @property {function(string): boolean} supports - Whether it can read this MIME type
+ * @property {function(): boolean} isAvailable - Whether it is configured (API key...)
+ * @property {function(Buffer, string, {signal: AbortSignal}): Promise<ProviderOutput>} recognize - Read a document; should stop when signal aborts
+ */
+
+/**
+ * What a provider returns
+ * @typedef {Object} ProviderOutput
+ * @property {string} text - Raw text, stored as the document's raw_text
+ * @property {ParsedFields|null} [fields] - Structured data when the provider extracts it itself
+ * @property {number|null} [confidence] - 0 to 1, null if the provider does not report one
+ */
+
+/**
+ * Standard result of the OCR chain
+ * @typedef {Object} OcrResult
+ * @property {string} text
+ * @property {ParsedFields|null} fields - null when the parser has to read `text`
+ * @property {number|null} confidence
+ * @property {string} provider - Provider that answered
+ * @property {number} latencyMs - Time that provider took
+ * @property {Array<OcrResult & {page: number}>} [pages] - Per-page results of a rasterized PDF
+ */
+
+/**
+ * Enrollment data extracted from a document
+ * @typedef {Object} ParsedFields
+ * @property {string|null} registrationNumber
+ * @property {string|null} studentName
+ * @property {Array<{sigla: string, grupo: string, materia: string, modalidad: string|null, nivel: string|null, horario: string|null}>} subjects
+ */
+
+/**
+ * Providers are imported lazily so a deployment without Tesseract or
+ * OpenAI in its chain never loads them
+ */
+const PROVIDERS = {
+    pdf_text: async () => (await import('./pdfTextProvider.js')).createPdfTextProvider(),
+    ocr_space: async () => (await import('./ocrSpaceProvider.js')).createOcrSpaceProvider(),
+    openai_vision: async () => (await import('./openaiVisionProvider.js')).createOpenAIVisionProvider(),
+    tesseract: async () => (await import('./tesseractProvider.js')).createTesseractProvider(),
+    stub: async () => (await import('./stubProvider.js')).createStubProvider({ name: 'stub' }),
+    stub_fail: async () => (await import('./stubProvider.js')).createStubProvider({ name: 'stub_fail', fail: true }),
+    stub_slow: async () => (await import('./stubProvider.js')).createStubProvider({ name: 'stub_slow', hang: true })
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - pdf_text, ocr_space, openai_vision, tesseract, stub, stub_fail, stub_slow
+ * @returns {Promise<OcrProvider>}
+ */
+export async function createOcrProvider(name) {
+    const create = PROVIDERS[name];
+
+    if (!create) {
+        throw new Error(`Unknown OCR provider: ${name}`);
+    }
+
+    return create();
+}
+
+export default {
+    createOcrProvider
+};
@@ -0,0 +1,80 @@
+import { FormData } from 'formdata-node';
+import { logger } from '../logger.js';
+
+/**
+ * OCR.space API (free tier, fast); returns raw text for the parser
+ * Needs OCR_SPACE_API_KEY.
+ * @returns {import('./index.js').OcrProvider}
+ */
+export function createOcrSpaceProvider() {
+    const apiKey = process.env.OCR_SPACE_API_KEY;
+
+    return {
+        name: 'ocr_space',
+
+        supports(mimeType) {
+            return mimeType.startsWith('image/');
+        },
+
+        isAvailable() {
+            return !!apiKey;
+        },
+
+        async recognize(buffer, mimeType, { signal }) {
+            logger.info('Using OCR.space API for OCR', {
+                bufferSize: buffer.length,
+                mimeType
+            });
+
+            // Send the original image as a data URL (OCR.space needs the prefix)
+            const formData = new FormData();
+            formData.append('base64Image', `data:${mimeType};base64,${buffer.toString('base64')}`);
+            formData.append('apikey', apiKey);
+            formData.append('filetype', 'JPG'); // REQUIRED: file type parameter
+            formData.append('OCREngine', '3');
+
+            const response = await fetch('https://api.ocr.space/parse/image', {
+                method: 'POST',
+                body: formData,
+                signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`OCR.space HTTP ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+
+            if (data.IsErroredOnProcessing) {
+                logger.error('OCR.space processing failed', {
+                    errorMessage: data.ErrorMessage,
+                    errorDetails: data.ErrorDetails,
+                    ocrExitCode: data.OCRExitCode,
+                    processingTimeInMS: data.ProcessingTimeInMilliseconds
+                });
+                throw new Error(data.ErrorMessage?.[0] || 'OCR.space processing error');
+            }
+
+            const text = data.ParsedResults?.[0]?.ParsedText;
+
+            if (!text) {
+                logger.error('OCR.space returned no text', {
+                    hasResults: !!data.ParsedResults,
+                    resultsLength: data.ParsedResults?.length
+                });
+                throw new Error('No text extracted from OCR.space');
+            }
+
+            logger.info('OCR.space extraction successful', {
+                textLength: text.length,
+                exitCode: data.ParsedResults?.[0]?.FileParseExitCode
+            });
+
+            return { text, fields: null, confidence: null };
+        }
+    };
+}
+
+export default {
+    createOcrSpaceProvider
+};
@@ -0,0 +1,107 @@
+import OpenAI from 'openai';
+import { logger } from '../logger.js';
+
+const PROMPT = `Analiza la imagen de una boleta de inscripción.
+
+Devuelve ÚNICAMENTE un JSON válido.
+NO uses markdown.
+NO uses \`\`\`json.
+NO incluyas explicaciones.
+
+Regla para numero_registro:
+- Solo es válido si contiene EXACTAMENTE 9 dígitos (0-9).
+- Si detectas algo que no cumple, devuelve null.
+- No uses números de horarios, aulas, códigos u otros identificadores.
+
+Formato exacto:
+
+{
+  "numero_registro": "string de 9 dígitos o null",
+  "nombre": "NOMBRE COMPLETO EN MAYÚSCULAS",
+  "materias": [
+    {
+      "sigla": "INF412",
+      "grupo": "5A",
+      "nombre": "SISTEMAS OPERATIVOS"
+    }
+  ]
+}
+
+Extrae TODAS las materias de la tabla. Cada materia debe tener sigla (ej: INF412), grupo (ej: 5A) y nombre completo.`;
+
+/**
+ * OpenAI GPT-4o mini Vision; extracts the structured fields itself
+ * Needs OPENAI_API_KEY.
+ * @returns {import('./index.js').OcrProvider}
+ */
+export function createOpenAIVisionProvider() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const openai = apiKey && apiKey !== 'your_openai_api_key_here' ? new OpenAI({ apiKey }) : null;
+
+    return {
+        name: 'openai_vision',
+
+        supports(mimeType) {
+            return mimeType.startsWith('image/');
+        },
+
+        isAvailable() {
+            return !!openai;
+        },
+
+        async recognize(buffer, mimeType, { signal }) {
+            logger.info('Using OpenAI Vision API for OCR');
+
+            const response = await openai.chat.completions.create({
+                model: 'gpt-4o-mini',
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: PROMPT },
+                            {
+                                type: 'image_url',
+                                image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` }
+                            }
+                        ]
+                    }
+                ],
+                max_tokens: 1000
+            }, { signal });
+
+            const text = response.choices[0].message.content.trim();
+            const data = JSON.parse(text);
+
+            if (!data.materias || !Array.isArray(data.materias)) {
+                throw new Error('Invalid response structure from OpenAI');
+            }
+
+            logger.info('OpenAI Vision parsing successful', {
+                hasRegistration: !!data.numero_registro,
+                hasName: !!data.nombre,
+                subjectCount: data.materias.length
+            });
+
+            return {
+                text,
+                fields: {
+                    registrationNumber: data.numero_registro || null,
+                    studentName: data.nombre || null,
+                    subjects: data.materias.map(materia => ({
+                        sigla: materia.sigla,
+                        grupo: materia.grupo,
+                        materia: materia.nombre || materia.materia,
+                        modalidad: null,
+                        nivel: null,
+                        horario: null
+                    }))
+                },
+                confidence: null
+            };
+        }
+    };
+}
+
+export default {
+    createOpenAIVisionProvider
+};
@@ -0,0 +1,40 @@
+import { extractPdfText } from '../pdfPages.js';
+import { logger } from '../logger.js';
+import { PDF } from '../config.js';
+
+/**
+ * Text layer of a PDF (no OCR); returns raw text for the parser
+ * A scanned PDF has almost no text layer: its text is returned anyway with
+ * confidence 0 and src/ocr.js rasterizes the pages instead.
+ * @returns {import('./index.js').OcrProvider}
+ */
+export function createPdfTextProvider() {
+    return {
+        name: 'pdf_text',
+
+        supports(mimeType) {
+            return mimeType === 'application/pdf';
+        },
+
+        isAvailable() {
+            return true;
+        },
+
+        async recognize(buffer) {
+            logger.info('Extracting text from PDF');
+            const { text, pageCount } = await extractPdfText(buffer);
+
+            if (text.trim().length >= PDF.MIN_CARACTERES_TEXTO) {
+                logger.info('PDF text extraction successful', { length: text.length, pageCount });
+                return { text, fields: null, confidence: 1 };
+            }
+
+            logger.warn('PDF text too short, treating as scanned document', { length: text.length, pageCount });
+            return { text, fields: null, confidence: 0 };
+        }
+    };
+}
+
+export default {
+    createPdfTextProvider
+};
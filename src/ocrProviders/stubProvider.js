@@ -0,0 +1,61 @@
+import fs from 'fs';
+import { logger } from '../logger.js';
+
+/**
+ * Boleta the stub "reads" unless OCR_STUB_FILE points to another text file
+ */
+const SAMPLE_TEXT = `UNIVERSIDAD AUTONOMA GABRIEL RENE MORENO
+BOLETA DE INSCRIPCION
+222009969 JUAN PEREZ MAMANI INGENIERIA INFORMATICA
+| SIGLA | GRUPO | MATERIA |
+| INF412 | 5A | SISTEMAS DE INFORMACION II |
+| INF413 | 5B | REDES DE COMPUTADORAS |
+`;
+
+/**
+ * Local provider for testing the chain offline
+ * `stub` always answers with the sample text, `stub_fail` always fails and
+ * `stub_slow` never answers (until the chain's timeout aborts it).
+ * @param {object} options
+ * @param {string} options.name
+ * @param {boolean} [options.fail] - Throw instead of answering
+ * @param {boolean} [options.hang] - Wait until aborted
+ * @returns {import('./index.js').OcrProvider}
+ */
+export function createStubProvider({ name, fail = false, hang = false }) {
+    return {
+        name,
+
+        supports() {
+            return true;
+        },
+
+        isAvailable() {
+            return true;
+        },
+
+        async recognize(buffer, mimeType, { signal }) {
+            logger.info('Using stub OCR provider', { provider: name, mimeType });
+
+            if (fail) {
+                throw new Error(`${name}: simulated failure`);
+            }
+
+            if (hang) {
+                await new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () => reject(new Error(`${name}: aborted`)), { once: true });
+                });
+            }
+
+            const text = process.env.OCR_STUB_FILE
+                ? fs.readFileSync(process.env.OCR_STUB_FILE, 'utf8')
+                : SAMPLE_TEXT;
+
+            return { text, fields: null, confidence: 1 };
+        }
+    };
+}
+
+export default {
+    createStubProvider
+};
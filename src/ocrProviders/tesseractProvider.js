@@ -0,0 +1,44 @@
+import { recognizeWithPool } from '../tesseractPool.js';
+import { preprocessImage } from '../preprocessing.js';
+import { logger } from '../logger.js';
+
+/**
+ * Tesseract (offline, always available); returns raw text for the parser
+ * Runs on the shared worker pool of src/tesseractPool.js. Recognition cannot
+ * be cancelled: on a timeout the chain moves on and the job finishes in the
+ * background.
+ * @returns {import('./index.js').OcrProvider}
+ */
+export function createTesseractProvider() {
+    return {
+        name: 'tesseract',
+
+        supports(mimeType) {
+            return mimeType.startsWith('image/');
+        },
+
+        isAvailable() {
+            return true;
+        },
+
+        async recognize(buffer) {
+            const preprocessed = await preprocessImage(buffer);
+            const result = await recognizeWithPool(preprocessed);
+
+            logger.info('Tesseract OCR completed', {
+                confidence: result.confidence,
+                textLength: result.text.length
+            });
+
+            return {
+                text: result.text,
+                fields: null,
+                confidence: result.confidence / 100
+            };
+        }
+    };
+}
+
+export default {
+    createTesseractProvider
+};
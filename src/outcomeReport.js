@@ -0,0 +1,56 @@
+import pool, { getAddOutcomeSummary, getFailingGroups } from './database.js';
+import { OUTCOME_LABELS } from './participantOutcomes.js';
+import { logger } from './logger.js';
+
+/**
+ * Show why group additions failed, per outcome and per group
+ *
+ * Usage: npm run outcomes [-- días]   (default: last 7 days)
+ */
+
+const days = parseInt(process.argv[2]) || 7;
+
+async function showOutcomes() {
+    const summary = await getAddOutcomeSummary(days);
+
+    console.log(`\n📊 RESULTADOS DE ADICIONES A GRUPOS (últimos ${days} días)\n`);
+    console.log('='.repeat(80));
+
+    if (summary.length === 0) {
+        console.log('\nℹ️  No hubo adiciones a grupos en ese periodo.\n');
+        return;
+    }
+
+    console.log('');
+    for (const row of summary) {
+        const label = OUTCOME_LABELS[row.add_outcome] || row.add_outcome;
+        console.log(`   ${row.add_outcome.padEnd(16)} ${String(row.subjects).padStart(5)} materias  ${String(row.attempts).padStart(5)} intentos  (${label})`);
+    }
+
+    const failing = await getFailingGroups(days);
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`\n⚠️  GRUPOS CON MATERIAS SIN AGREGAR\n`);
+
+    if (failing.length === 0) {
+        console.log('   Ninguno.\n');
+        return;
+    }
+
+    for (const row of failing) {
+        const label = OUTCOME_LABELS[row.add_outcome] || row.add_outcome;
+        console.log(`   ${row.sigla} - Grupo ${row.grupo}: ${row.subjects} × ${label}`);
+        console.log(`      JID: ${row.group_jid || '(sin grupo configurado)'}`);
+        console.log(`      Último intento: ${new Date(row.last_attempt_at).toLocaleString()}`);
+    }
+
+    console.log('\n' + '='.repeat(80) + '\n');
+}
+
+showOutcomes()
+    .catch((error) => {
+        logger.error('Error showing add outcomes', { error: error.message });
+        console.error('\n❌ Error:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -179,57 +179,25 @@ export function extractSubjects(text) {
 }
 
 /**
- * Parse enrollment document
- * Handles both structured JSON (from OpenAI) and raw OCR text (from Tesseract)
- * @param {string} ocrText - Either JSON string or plain text
+ * Parse enrollment document from an OCR result
+ * Providers that extract the fields themselves (OpenAI Vision) are used
+ * as-is; plain text (OCR.space, Tesseract, PDF text) goes through the regex
+ * extractors. Rasterized PDFs are read page by page and their subjects merged.
+ * @param {import('./ocrProviders/index.js').OcrResult|string} ocr - OCR result, or plain text
  * @returns {object} { registrationNumber, studentName, subjects[], isValid }
  */
-export function parseEnrollmentDocument(ocrText) {
-    logger.info('Parsing enrollment document');
-    
-    // Try to parse as JSON first (OpenAI Vision response)
-    try {
-        const jsonData = JSON.parse(ocrText);
-        
-        // Check if it's OpenAI Vision format
-        if (jsonData.numero_registro !== undefined && jsonData.materias) {
-            logger.info('Detected OpenAI Vision JSON format');
-            
-            // Map OpenAI format to our internal format
-            const subjects = jsonData.materias.map(materia => ({
-                sigla: materia.sigla,
-                grupo: materia.grupo,
-                materia: materia.nombre || materia.materia,
-                modalidad: null,
-                nivel: null,
-                horario: null
-            }));
-            
-            const parsed = {
-                registrationNumber: jsonData.numero_registro,
-                studentName: jsonData.nombre,
-                subjects,
-                isValid: !!(jsonData.numero_registro && jsonData.nombre && subjects.length > 0)
-            };
-            
-            logger.info('OpenAI Vision parsing completed', {
-                registrationNumber: parsed.registrationNumber,
-                studentName: parsed.studentName,
-                subjectCount: subjects.length,
-                isValid: parsed.isValid
-            });
-            
-            return parsed;
-        }
-    } catch (e) {
-        // Not JSON or invalid JSON, continue with regex parsing
-        logger.debug('Not JSON format, using regex parsing');
-    }
-    
-    // Fallback to traditional regex parsing (Tesseract)
-    const registrationNumber = extractRegistrationNumber(ocrText);
-    const studentName = extractStudentName(ocrText);
-    const subjects = extractSubjects(ocrText);
+export function parseEnrollmentDocument(ocr) {
+    const result = typeof ocr === 'string' ? { text: ocr } : ocr;
+
+    logger.info('Parsing enrollment document', {
+        provider: result.provider || null,
+        structured: !!result.fields,
+        pages: result.pages?.length || 1
+    });
+
+    const { registrationNumber, studentName, subjects } = result.pages?.length > 1
+        ? mergePages(result.pages.map(extractFields))
+        : extractFields(result);
 
     const parsed = {
         registrationNumber,
@@ -248,6 +216,133 @@ export function parseEnrollmentDocument(ocrText) {
     return parsed;
 }
 
+/**
+ * Read the fields of one OCR result (a whole document or one page)
+ * @param {{text?: string, fields?: object|null}} result
+ * @returns {{registrationNumber: string|null, studentName: string|null, subjects: Array<object>}}
+ */
+function extractFields({ text = '', fields = null }) {
+    if (fields) {
+        return {
+            registrationNumber: fields.registrationNumber,
+            studentName: fields.studentName,
+            subjects: fields.subjects
+        };
+    }
+
+    return {
+        registrationNumber: extractRegistrationNumber(text),
+        studentName: extractStudentName(text),
+        subjects: extractSubjects(text)
+    };
+}
+
+/**
+ * Merge the fields read on every page of a boleta
+ * The student comes from the first page that has it (the header is usually
+ * only on page 1); subjects from all pages, without repeating sigla+grupo.
+ * @param {Array<object>} pages - extractFields() of each page, in order
+ * @returns {{registrationNumber: string|null, studentName: string|null, subjects: Array<object>}}
+ */
+function mergePages(pages) {
+    const seen = new Set();
+    const subjects = [];
+
+    for (const page of pages) {
+        for (const subject of page.subjects || []) {
+            const key = `${subject.sigla}|${subject.grupo}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                subjects.push(subject);
+            }
+        }
+    }
+
+    logger.debug('Merged subjects across pages', { pages: pages.length, count: subjects.length });
+
+    return {
+        registrationNumber: pages.find(page => page.registrationNumber)?.registrationNumber || null,
+        studentName: pages.find(page => page.studentName)?.studentName || null,
+        subjects
+    };
+}
+
+/**
+ * Parse a correction command for a pending document
+ * Supported forms:
+ *   CORREGIR 2 GRUPO 5B  (also "CORREGIR 2 5B")
+ *   QUITAR 3
+ *   AGREGAR INF413 5A    (also "AGREGAR INF413 GRUPO 5A")
+ * @param {string} text - Raw message text
+ * @returns {object|null} { action, index?, sigla?, grupo? } or null if it is not a correction
+ */
+export function parseCorrectionCommand(text) {
+    const command = text.trim().toUpperCase().replace(/\s+/g, ' ');
+    let match;
+
+    if ((match = command.match(/^CORREGIR (\d+) (?:GRUPO )?(\d?[A-Z]{1,2})$/))) {
+        return { action: 'corregir', index: parseInt(match[1], 10), grupo: match[2] };
+    }
+
+    if ((match = command.match(/^QUITAR (\d+)$/))) {
+        return { action: 'quitar', index: parseInt(match[1], 10) };
+    }
+
+    if ((match = command.match(/^AGREGAR ([A-Z]{3,4}\d{3,4}) (?:GRUPO )?(\d?[A-Z]{1,2})$/))) {
+        return { action: 'agregar', sigla: match[1], grupo: match[2] };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a confirmation with picked subjects, e.g. "LISTO 1,3,4" or "LISTO 1 3 y 4"
+ * @param {string} text - Raw message text
+ * @param {Array<string>} confirmWords - Accepted confirmation words (COMANDOS.CONFIRMAR)
+ * @returns {Array<number>|null} Unique 1-based subject numbers, null if it is not a selection
+ */
+export function parseConfirmationSelection(text, confirmWords) {
+    const match = text.trim().match(/^(\S+)\s+(\d+(?:\s*(?:,|\s|y)\s*\d+)*)$/i);
+
+    if (!match || !confirmWords.includes(normalizeForComparison(match[1]))) {
+        return null;
+    }
+
+    const numbers = match[2].match(/\d+/g).map(n => parseInt(n, 10));
+    return [...new Set(numbers)];
+}
+
+/**
+ * Parse a "BAJA INF412" command
+ * @param {string} text - Raw message text
+ * @returns {string|null} SIGLA to leave, or null if it is not a BAJA command
+ */
+export function parseWithdrawCommand(text) {
+    const match = text.trim().toUpperCase().match(/^BAJA\s+([A-Z]{3,4}\d{3,4})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Parse a "CAMBIAR INF412 5B" command (also "CAMBIAR INF412 GRUPO 5B")
+ * @param {string} text - Raw message text
+ * @returns {{sigla: string, grupo: string}|null}
+ */
+export function parseSwitchCommand(text) {
+    const command = text.trim().toUpperCase().replace(/\s+/g, ' ');
+    const match = command.match(/^CAMBIAR ([A-Z]{3,4}\d{3,4}) (?:GRUPO )?(\d?[A-Z]{1,2})$/);
+    return match ? { sigla: match[1], grupo: match[2] } : null;
+}
+
+/**
+ * Parse an "INVITAR" / "INVITAR INF412" command
+ * @param {string} text - Raw message text
+ * @returns {{sigla: string|null}|null} null if it is not an INVITAR command
+ */
+export function parseInviteCommand(text) {
+    const match = text.trim().toUpperCase().match(/^INVITAR(?:\s+([A-Z]{3,4}\d{3,4}))?$/);
+    return match ? { sigla: match[1] || null } : null;
+}
+
 /**
  * Calculate document hash for duplicate detection
  * @param {Buffer} buffer 
@@ -263,5 +358,10 @@ export default {
     extractStudentName,
     extractSubjects,
     parseEnrollmentDocument,
+    parseCorrectionCommand,
+    parseConfirmationSelection,
+    parseWithdrawCommand,
+    parseSwitchCommand,
+    parseInviteCommand,
     calculateDocumentHash
 };
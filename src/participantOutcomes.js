@@ -0,0 +1,106 @@
+/**
+ * Outcomes of adding a participant to a WhatsApp group
+ * Stored in enrollment_subjects.add_outcome.
+ */
+export const OUTCOMES = Object.freeze({
+    ADDED: 'added',
+    ALREADY_MEMBER: 'already_member',
+    PRIVACY_BLOCKED: 'privacy_blocked',
+    RECENTLY_LEFT: 'recently_left',
+    NOT_ADMIN: 'not_admin',
+    GROUP_FULL: 'group_full',
+    TRANSIENT: 'transient',
+    REJECTED: 'rejected'        // any other definitive answer (404 no WhatsApp, 417 community...)
+});
+
+/**
+ * Short Spanish label of each outcome (status command and reports)
+ */
+export const OUTCOME_LABELS = Object.freeze({
+    [OUTCOMES.ADDED]: 'agregado',
+    [OUTCOMES.ALREADY_MEMBER]: 'ya estaba en el grupo',
+    [OUTCOMES.PRIVACY_BLOCKED]: 'bloqueado por privacidad',
+    [OUTCOMES.RECENTLY_LEFT]: 'saliste del grupo hace poco',
+    [OUTCOMES.NOT_ADMIN]: 'el bot no es administrador',
+    [OUTCOMES.GROUP_FULL]: 'grupo lleno',
+    [OUTCOMES.TRANSIENT]: 'error temporal',
+    [OUTCOMES.REJECTED]: 'rechazado por WhatsApp'
+});
+
+/**
+ * Classify the answer of an addParticipant call
+ * @param {number|null} code - WhatsApp status code, null if there was no answer
+ * @param {string|null} errorMessage - Error thrown by the transport, if any
+ * @returns {string} One of OUTCOMES
+ */
+export function classifyAddResult(code, errorMessage = null) {
+    if (code === 200 || code === 201 || code === 202) return OUTCOMES.ADDED;
+    if (code === 409) return OUTCOMES.ALREADY_MEMBER;
+    if (code === 403) return OUTCOMES.PRIVACY_BLOCKED;
+    if (code === 408) return OUTCOMES.RECENTLY_LEFT;
+    if (code === 419) return OUTCOMES.GROUP_FULL;
+    if (code === 401) return OUTCOMES.NOT_ADMIN;
+
+    // whatsapp-web.js answers a plain string ("no admin rights") that the
+    // transport throws; Baileys throws "not-authorized"
+    if (errorMessage && /admin|not-authorized/i.test(errorMessage)) return OUTCOMES.NOT_ADMIN;
+
+    if (code === null || code >= 500) return OUTCOMES.TRANSIENT;
+
+    return OUTCOMES.REJECTED;
+}
+
+/**
+ * Whether the student ends up in the group
+ * @param {string} outcome
+ * @returns {boolean}
+ */
+export function isMember(outcome) {
+    return outcome === OUTCOMES.ADDED || outcome === OUTCOMES.ALREADY_MEMBER;
+}
+
+/**
+ * Message for the student after a failed addition
+ * @param {string} outcome
+ * @param {string} materiaNombre
+ * @param {object} options
+ * @param {string|null} options.inviteCommand - Command offering a private invite (privacy blocks only)
+ * @returns {string}
+ */
+export function studentMessageFor(outcome, materiaNombre, { inviteCommand = null } = {}) {
+    switch (outcome) {
+        case OUTCOMES.ALREADY_MEMBER:
+            return `ℹ️ Ya estás en el grupo *${materiaNombre}*.`;
+        case OUTCOMES.RECENTLY_LEFT:
+            return `⚠️ *No puedo agregarte a ${materiaNombre}*\n\n` +
+                `WhatsApp no permite que te agregue porque saliste del grupo recientemente. ` +
+                `Por políticas de WhatsApp, debes esperar unas horas antes de volver a intentarlo.`;
+        case OUTCOMES.PRIVACY_BLOCKED:
+            return `⚠️ *No puedo agregarte a ${materiaNombre}*\n\n` +
+                `Tu configuración de privacidad no permite que te agregue a grupos. ` +
+                `Guárdame en tus contactos o revisa *Ajustes → Privacidad → Grupos* y vuelve a intentar.` +
+                (inviteCommand
+                    ? `\n\nSi prefieres, responde *${inviteCommand}* y te envío una invitación privada para que te unas tú mismo.`
+                    : '');
+        case OUTCOMES.NOT_ADMIN:
+            return `⚠️ *No puedo agregarte a ${materiaNombre}*\n\n` +
+                `El bot no es administrador de ese grupo. Ya quedó registrado para que el administrador lo revise.`;
+        case OUTCOMES.GROUP_FULL:
+            return `⚠️ *No puedo agregarte a ${materiaNombre}*\n\n` +
+                `El grupo alcanzó el máximo de participantes. Ya quedó registrado para que el administrador lo revise.`;
+        case OUTCOMES.TRANSIENT:
+            return `⚠️ *No pude agregarte a ${materiaNombre}*\n\n` +
+                `WhatsApp no respondió a tiempo. Por favor, intenta nuevamente más tarde.`;
+        default:
+            return `⚠️ *No pude agregarte a ${materiaNombre}*\n\n` +
+                `WhatsApp rechazó la solicitud. Por favor, intenta nuevamente más tarde.`;
+    }
+}
+
+export default {
+    OUTCOMES,
+    OUTCOME_LABELS,
+    classifyAddResult,
+    isMember,
+    studentMessageFor
+};
@@ -0,0 +1,73 @@
+import { createRequire } from 'module';
+import { fromBuffer } from 'pdf2pic';
+import { logger } from './logger.js';
+import { PDF } from './config.js';
+
+const require = createRequire(import.meta.url);
+const { PDFParse } = require('pdf-parse');
+
+/**
+ * Read the text layer of a PDF
+ * @param {Buffer} buffer
+ * @returns {Promise<{text: string, pageCount: number}>}
+ */
+export async function extractPdfText(buffer) {
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+        const result = await parser.getText();
+        return { text: result.text || '', pageCount: result.total };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Render the pages of a scanned PDF as PNG images
+ * Only the first PDF.MAX_PAGINAS pages are rendered.
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{page: number, buffer: Buffer}>>}
+ */
+export async function rasterizePdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    let pageCount;
+
+    try {
+        pageCount = (await parser.getInfo()).total;
+    } finally {
+        await parser.destroy();
+    }
+
+    if (pageCount > PDF.MAX_PAGINAS) {
+        logger.warn('PDF has more pages than allowed, rasterizing the first ones', {
+            pageCount,
+            maxPages: PDF.MAX_PAGINAS
+        });
+    }
+
+    const pages = Array.from({ length: Math.min(pageCount, PDF.MAX_PAGINAS) }, (_, i) => i + 1);
+
+    const convert = fromBuffer(buffer, {
+        density: PDF.DENSIDAD,
+        format: 'png',
+        width: PDF.ANCHO,
+        preserveAspectRatio: true
+    });
+
+    // pdf2pic answers with empty buffers instead of failing when gm/gs are missing
+    const images = (await convert.bulk(pages, { responseType: 'buffer' }))
+        .filter(image => image.buffer && image.buffer.length > 0);
+
+    if (images.length === 0) {
+        throw new Error('Could not rasterize PDF (are GraphicsMagick and Ghostscript installed?)');
+    }
+
+    logger.info('PDF rasterized', { pages: images.length, pageCount });
+
+    return images.map(image => ({ page: image.page, buffer: image.buffer }));
+}
+
+export default {
+    extractPdfText,
+    rasterizePdf
+};
@@ -0,0 +1,602 @@
+import sharp from 'sharp';
+import { logger } from './logger.js';
+import { PREPROCESADO } from './config.js';
+
+/**
+ * Preprocessing profiles for Tesseract
+ * `document` is the full pipeline for phone photos; the others are the
+ * experiments of test_ocr_configs.js, kept to compare against it.
+ * - minWidth: upscale narrower photos (lanczos3)
+ * - geometry: find the page outline, correct perspective and skew
+ * - cropTable: cut what is beside and below the subjects table
+ * - blur, contrast, sharpen: sharp blur sigma, linear gain, sharpen sigma
+ * - normalize: stretch contrast (default true)
+ * - binarize: adaptive (local mean) black and white
+ */
+export const PREPROCESS_PROFILES = Object.freeze({
+    document: { minWidth: 1200, geometry: true, cropTable: true, contrast: 1.2, sharpen: 1.5, binarize: true },
+    original: { sharpen: 1 },
+    enhanced: { minWidth: 1200, contrast: 1.2, sharpen: 1.5 },
+    aggressive: { minWidth: 1500, contrast: 1.5, sharpen: 2, binarize: true },
+    soft: { minWidth: 1200, blur: 0.5, sharpen: 1 },
+    minimal: { normalize: false }
+});
+
+/**
+ * Width of the copy used to find the page outline
+ */
+const ANALYSIS_WIDTH = 600;
+
+/**
+ * Lines and strokes up to twice this wide vanish when finding the page, in px of the analysis copy
+ */
+const INK_RADIUS = 2;
+
+/**
+ * Skew angles tried, in degrees
+ */
+const MAX_SKEW = 5;
+const SKEW_STEP = 0.25;
+
+/**
+ * Preprocess image for better OCR accuracy
+ * Steps that find nothing (no page outline, no table) leave the image as it
+ * was; if the pipeline throws, the original is returned.
+ * @param {Buffer} imageBuffer
+ * @param {string} [profileName] - Key of PREPROCESS_PROFILES (default PREPROCESADO.PERFIL)
+ * @returns {Promise<Buffer>} JPEG, or PNG when binarized
+ */
+export async function preprocessImage(imageBuffer, profileName = PREPROCESADO.PERFIL) {
+    let profile = PREPROCESS_PROFILES[profileName];
+
+    if (!profile) {
+        logger.warn('Unknown preprocessing profile, using original', { profile: profileName });
+        profile = PREPROCESS_PROFILES.original;
+    }
+
+    try {
+        let page = await loadGreyscale(imageBuffer);
+
+        if (profile.minWidth && page.width < profile.minWidth) {
+            page = await resizeRaw(page, profile.minWidth);
+        }
+
+        // Geometry and binarization run in JS: bound the pixels they walk
+        if ((profile.geometry || profile.binarize) && page.width > PREPROCESADO.ANCHO_MAXIMO) {
+            page = await resizeRaw(page, PREPROCESADO.ANCHO_MAXIMO);
+        }
+
+        if (profile.geometry) {
+            page = await straighten(page);
+        }
+
+        if (profile.cropTable) {
+            page = cropToTable(page);
+        }
+
+        page = await enhance(page, profile);
+
+        if (profile.binarize) {
+            page = binarizeAdaptive(page);
+        }
+
+        // Tesseract guesses the resolution of images without one, and warns
+        const image = sharp(page.data, { raw: { width: page.width, height: page.height, channels: 1 } })
+            .withMetadata({ density: 300 });
+
+        return profile.binarize
+            ? await image.png().toBuffer()
+            : await image.jpeg({ quality: 90 }).toBuffer();
+
+    } catch (error) {
+        logger.error('Error preprocessing image', { profile: profileName, error: error.message });
+        // Return original if preprocessing fails
+        return imageBuffer;
+    }
+}
+
+/**
+ * Decode an image as one byte per pixel, rotated by its EXIF orientation
+ * @param {Buffer} buffer
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+async function loadGreyscale(buffer) {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+}
+
+/**
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @param {function(object): object} operations - Receives and returns a sharp instance
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+async function transformRaw(page, operations) {
+    const { data, info } = await operations(sharp(page.data, { raw: { width: page.width, height: page.height, channels: 1 } }))
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+}
+
+/**
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @param {number} width
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+function resizeRaw(page, width) {
+    return transformRaw(page, image => image.resize({ width, kernel: sharp.kernel.lanczos3 }));
+}
+
+/**
+ * Contrast and sharpening steps of a profile
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @param {object} profile
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+function enhance(page, profile) {
+    return transformRaw(page, (image) => {
+        if (profile.blur) image = image.blur(profile.blur);
+        if (profile.normalize !== false) image = image.normalize();
+        if (profile.contrast) image = image.linear(profile.contrast, -(128 * profile.contrast) + 128);
+        if (profile.sharpen) image = image.sharpen({ sigma: profile.sharpen });
+        return image;
+    });
+}
+
+/**
+ * Correct perspective (if the page outline is visible) and then skew
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+async function straighten(page) {
+    const small = await resizeRaw(page, Math.min(ANALYSIS_WIDTH, page.width));
+    const quad = findDocumentQuad(small);
+
+    if (quad) {
+        const scale = page.width / small.width;
+        page = warpPerspective(page, quad.map(({ x, y }) => ({ x: x * scale, y: y * scale })));
+        logger.debug('Perspective corrected', { width: page.width, height: page.height });
+    }
+
+    const angle = estimateSkew(page);
+
+    if (Math.abs(angle) >= SKEW_STEP) {
+        page = await transformRaw(page, image => image.rotate(-angle, { background: '#ffffff' }));
+        logger.debug('Skew corrected', { angle });
+    }
+
+    return page;
+}
+
+/**
+ * Otsu threshold of a greyscale image
+ * @param {Buffer} data
+ * @returns {number} Pixels above it are light
+ */
+function otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (const value of data) histogram[value]++;
+
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let darkCount = 0;
+    let darkSum = 0;
+    let best = 0;
+    let threshold = 128;
+
+    for (let i = 0; i < 256; i++) {
+        darkCount += histogram[i];
+        if (darkCount === 0) continue;
+
+        const lightCount = data.length - darkCount;
+        if (lightCount === 0) break;
+
+        darkSum += i * histogram[i];
+        const between = darkCount * lightCount * (darkSum / darkCount - (sum - darkSum) / lightCount) ** 2;
+
+        if (between > best) {
+            best = between;
+            threshold = i;
+        }
+    }
+
+    return threshold;
+}
+
+/**
+ * Find the corners of the page: the largest light region of the photo
+ * Returns null when the page fills the frame (nothing to correct) or the
+ * region does not look like a sheet.
+ * @param {{data: Buffer, width: number, height: number}} page - Small copy
+ * @returns {Array<{x: number, y: number}>|null} Top-left, top-right, bottom-right, bottom-left
+ */
+function findDocumentQuad({ data: photo, width, height }) {
+    // Ruling lines would close the table's cells off from the rest of the
+    // sheet: erase lines and text so the sheet is a single region
+    const data = closeDarkMarks(photo, width, height, INK_RADIUS);
+    const threshold = otsuThreshold(data);
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    let largest = { label: 0, size: 0 };
+    let label = 0;
+
+    for (let start = 0; start < data.length; start++) {
+        if (labels[start] !== 0 || data[start] <= threshold) continue;
+
+        label++;
+        let size = 0;
+        let top = 0;
+        stack[top++] = start;
+        labels[start] = label;
+
+        while (top > 0) {
+            const i = stack[--top];
+            const x = i % width;
+            size++;
+
+            for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                if (n >= 0 && n < data.length && labels[n] === 0 && data[n] > threshold) {
+                    labels[n] = label;
+                    stack[top++] = n;
+                }
+            }
+        }
+
+        if (size > largest.size) largest = { label, size };
+    }
+
+    const frame = width * height;
+    if (largest.size < frame * 0.2) return null;
+
+    // Corners are the region's extreme points along both diagonals
+    const corners = {
+        topLeft: { score: Infinity }, bottomRight: { score: -Infinity },
+        topRight: { score: -Infinity }, bottomLeft: { score: Infinity }
+    };
+
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] !== largest.label) continue;
+
+        const x = i % width;
+        const y = (i - x) / width;
+
+        if (x + y < corners.topLeft.score) corners.topLeft = { x, y, score: x + y };
+        if (x + y > corners.bottomRight.score) corners.bottomRight = { x, y, score: x + y };
+        if (x - y > corners.topRight.score) corners.topRight = { x, y, score: x - y };
+        if (x - y < corners.bottomLeft.score) corners.bottomLeft = { x, y, score: x - y };
+    }
+
+    const quad = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft]
+        .map(({ x, y }) => ({ x, y }));
+    const area = quadArea(quad);
+
+    if (area > frame * 0.9 || !isConvex(quad) || largest.size < area * 0.85) {
+        return null;
+    }
+
+    return quad;
+}
+
+/**
+ * Morphological closing of the light areas: dark marks up to 2 * radius
+ * wide are filled in, the outline of the light areas stays where it was
+ * @param {Buffer} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @returns {Buffer}
+ */
+function closeDarkMarks(data, width, height, radius) {
+    const lightest = squareFilter(data, width, height, radius, Math.max);
+    return squareFilter(lightest, width, height, radius, Math.min);
+}
+
+/**
+ * Apply `pick` (Math.max or Math.min) over each (2 * radius + 1) square
+ * neighbourhood, as a row pass and then a column pass
+ * @param {Buffer} data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @param {function(number, number): number} pick
+ * @returns {Buffer}
+ */
+function squareFilter(data, width, height, radius, pick) {
+    const rows = Buffer.alloc(data.length);
+    const result = Buffer.alloc(data.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let value = data[y * width + x];
+            for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); dx++) {
+                value = pick(value, data[y * width + dx]);
+            }
+            rows[y * width + x] = value;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let value = rows[y * width + x];
+            for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); dy++) {
+                value = pick(value, rows[dy * width + x]);
+            }
+            result[y * width + x] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} quad
+ * @returns {number}
+ */
+function quadArea(quad) {
+    let twice = 0;
+    for (let i = 0; i < quad.length; i++) {
+        const a = quad[i];
+        const b = quad[(i + 1) % quad.length];
+        twice += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(twice) / 2;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} quad
+ * @returns {boolean}
+ */
+function isConvex(quad) {
+    const signs = quad.map((a, i) => {
+        const b = quad[(i + 1) % 4];
+        const c = quad[(i + 2) % 4];
+        return Math.sign((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x));
+    });
+    return signs.every(sign => sign === signs[0] && sign !== 0);
+}
+
+/**
+ * Homography taking the four `from` points to the four `to` points
+ * @param {Array<{x: number, y: number}>} from
+ * @param {Array<{x: number, y: number}>} to
+ * @returns {Array<number>} h0..h7 (h8 = 1)
+ */
+function solveHomography(from, to) {
+    const rows = [];
+
+    for (let i = 0; i < 4; i++) {
+        const { x: u, y: v } = from[i];
+        const { x, y } = to[i];
+        rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+        rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    }
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < 8; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        for (let r = 0; r < 8; r++) {
+            if (r === col) continue;
+            const factor = rows[r][col] / rows[col][col];
+            for (let c = col; c < 9; c++) rows[r][c] -= factor * rows[col][c];
+        }
+    }
+
+    return rows.map((row, i) => row[8] / row[i]);
+}
+
+/**
+ * Map the page quad to an upright rectangle (bilinear sampling)
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @param {Array<{x: number, y: number}>} quad - Top-left, top-right, bottom-right, bottom-left
+ * @returns {{data: Buffer, width: number, height: number}}
+ */
+function warpPerspective(page, quad) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const width = Math.round(Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2])));
+    const height = Math.round(Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2])));
+
+    const rectangle = [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }];
+    const [h0, h1, h2, h3, h4, h5, h6, h7] = solveHomography(rectangle, quad);
+
+    const data = Buffer.alloc(width * height, 255);
+    const source = page.data;
+
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const w = h6 * u + h7 * v + 1;
+            const x = (h0 * u + h1 * v + h2) / w;
+            const y = (h3 * u + h4 * v + h5) / w;
+
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            if (x0 < 0 || y0 < 0 || x0 >= page.width - 1 || y0 >= page.height - 1) continue;
+
+            const fx = x - x0;
+            const fy = y - y0;
+            const i = y0 * page.width + x0;
+
+            data[v * width + u] =
+                source[i] * (1 - fx) * (1 - fy) +
+                source[i + 1] * fx * (1 - fy) +
+                source[i + page.width] * (1 - fx) * fy +
+                source[i + page.width + 1] * fx * fy;
+        }
+    }
+
+    return { data, width, height };
+}
+
+/**
+ * Angle of the text lines, by projection profiles
+ * Dark pixels are projected on rows for every candidate angle; the angle that
+ * stacks them into the sharpest rows is the one of the lines.
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @returns {number} Degrees, positive when lines go down to the right
+ */
+function estimateSkew({ data, width, height }) {
+    const threshold = otsuThreshold(data);
+    const stride = Math.max(1, Math.round(width / 800));
+    const xs = [];
+    const ys = [];
+
+    for (let y = 0; y < height; y += stride) {
+        for (let x = 0; x < width; x += stride) {
+            if (data[y * width + x] < threshold) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+
+    if (xs.length === 0) return 0;
+
+    const diagonal = Math.ceil(Math.hypot(width, height) / stride) + 1;
+    let best = { angle: 0, score: -1 };
+
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+        const radians = angle * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Uint32Array(diagonal * 2);
+
+        for (let i = 0; i < xs.length; i++) {
+            rows[Math.round((ys[i] * cos - xs[i] * sin) / stride) + diagonal]++;
+        }
+
+        let score = 0;
+        for (const count of rows) score += count * count;
+
+        if (score > best.score) best = { angle, score };
+    }
+
+    return best.angle;
+}
+
+/**
+ * Crop beside and below the subjects table
+ * The table is found by its ruling lines (rows with a long dark run). The
+ * header above it is kept: it has the registration number and name.
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @returns {{data: Buffer, width: number, height: number}} Same page if no table is found
+ */
+function cropToTable(page) {
+    const { data, width, height } = page;
+    const threshold = otsuThreshold(data);
+    const minRun = width * 0.5;
+    const lines = [];
+
+    for (let y = 0; y < height; y++) {
+        const run = longestDarkRun(data, y * width, width, threshold);
+        if (run.length < minRun) continue;
+
+        const last = lines[lines.length - 1];
+        if (last && y - last.bottom <= 2) {
+            last.bottom = y;
+            last.left = Math.min(last.left, run.start);
+            last.right = Math.max(last.right, run.start + run.length);
+        } else {
+            lines.push({ top: y, bottom: y, left: run.start, right: run.start + run.length });
+        }
+    }
+
+    // Top, header separator and bottom at least
+    if (lines.length < 3) return page;
+
+    const margin = Math.round(width * 0.02);
+    const left = Math.max(0, Math.min(...lines.map(line => line.left)) - margin);
+    const right = Math.min(width, Math.max(...lines.map(line => line.right)) + margin);
+    const bottom = Math.min(height, lines[lines.length - 1].bottom + margin);
+
+    if (right - left >= width * 0.95 && bottom >= height * 0.95) return page;
+
+    const cropped = Buffer.alloc((right - left) * bottom);
+    for (let y = 0; y < bottom; y++) {
+        data.copy(cropped, y * (right - left), y * width + left, y * width + right);
+    }
+
+    logger.debug('Cropped to subjects table', { lines: lines.length, width: right - left, height: bottom });
+
+    return { data: cropped, width: right - left, height: bottom };
+}
+
+/**
+ * Longest run of dark pixels in a row, bridging gaps of up to 2 pixels
+ * @param {Buffer} data
+ * @param {number} offset - Index of the row's first pixel
+ * @param {number} width
+ * @param {number} threshold
+ * @returns {{start: number, length: number}}
+ */
+function longestDarkRun(data, offset, width, threshold) {
+    let best = { start: 0, length: 0 };
+    let start = -1;
+    let lastDark = -10;
+
+    for (let x = 0; x < width; x++) {
+        if (data[offset + x] >= threshold) continue;
+
+        if (x - lastDark > 3) start = x;
+        lastDark = x;
+
+        if (x - start + 1 > best.length) best = { start, length: x - start + 1 };
+    }
+
+    return best;
+}
+
+/**
+ * Black and white by local mean (Bradley): a pixel is ink when it is 15%
+ * darker than its neighbourhood, so shadows and uneven light do not matter
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @returns {{data: Buffer, width: number, height: number}}
+ */
+function binarizeAdaptive({ data, width, height }) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const half = Math.max(7, Math.round(width / 32));
+    const result = Buffer.alloc(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y + half + 1);
+
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x + half + 1);
+
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+
+            result[y * width + x] = data[y * width + x] < mean * 0.85 ? 0 : 255;
+        }
+    }
+
+    return { data: result, width, height };
+}
+
+export default {
+    PREPROCESS_PROFILES,
+    preprocessImage
+};
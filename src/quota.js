@@ -0,0 +1,102 @@
+import {
+    recordAddOperation,
+    getAddOperationCounts,
+    getAddOperationUsage
+} from './database.js';
+import { logger } from './logger.js';
+import { CUOTA_ADICIONES } from './config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Check the add-to-group quota of a bot account
+ * Windows are rolling (last hour / last 24 hours), so a slot frees up
+ * as soon as the oldest attempt inside the window ages out.
+ * @param {string} accountId - Bot WhatsApp account
+ * @returns {Promise<{allowed: boolean, hourly: object, daily: object, nextWindowAt: Date|null}>}
+ */
+export async function checkAddQuota(accountId) {
+    const counts = await getAddOperationCounts(accountId);
+
+    const hourly = { used: counts.hourly, limit: CUOTA_ADICIONES.POR_HORA };
+    const daily = { used: counts.daily, limit: CUOTA_ADICIONES.POR_DIA };
+
+    let nextWindowAt = null;
+
+    if (daily.used >= daily.limit) {
+        nextWindowAt = new Date(new Date(counts.oldest_daily).getTime() + DAY_MS);
+    } else if (hourly.used >= hourly.limit) {
+        nextWindowAt = new Date(new Date(counts.oldest_hourly).getTime() + HOUR_MS);
+    }
+
+    if (nextWindowAt) {
+        logger.warn('Add-to-group quota reached', {
+            accountId,
+            hourly,
+            daily,
+            nextWindowAt
+        });
+    }
+
+    return {
+        allowed: nextWindowAt === null,
+        hourly,
+        daily,
+        nextWindowAt
+    };
+}
+
+/**
+ * Record an add-to-group attempt against the account quota
+ * @param {string} accountId - Bot WhatsApp account
+ * @param {string} whatsappId - Student WhatsApp ID
+ * @param {string} groupJid
+ * @param {number|null} statusCode - WhatsApp status code, null if there was no answer
+ * @param {boolean} success
+ */
+export async function recordAddAttempt(accountId, whatsappId, groupJid, statusCode, success) {
+    await recordAddOperation(accountId, whatsappId, groupJid, statusCode, success);
+}
+
+/**
+ * Current usage of every account, with the configured limits
+ * @returns {Promise<Array<object>>}
+ */
+export async function getQuotaUsage() {
+    const rows = await getAddOperationUsage();
+
+    return rows.map(row => ({
+        accountId: row.account_id,
+        hourly: { used: row.hourly, limit: CUOTA_ADICIONES.POR_HORA },
+        daily: { used: row.daily, limit: CUOTA_ADICIONES.POR_DIA },
+        dailySuccess: row.daily_success,
+        lastOperationAt: row.last_operation_at
+    }));
+}
+
+/**
+ * Format an estimated time for students ("hoy a las 14:30", "mañana a las 08:05")
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatEstimatedTime(date) {
+    const hora = date.toLocaleTimeString('es', { hour: '2-digit', minute: '2-digit' });
+    const today = new Date();
+    const tomorrow = new Date(today.getTime() + DAY_MS);
+
+    if (date.toDateString() === today.toDateString()) {
+        return `hoy a las ${hora}`;
+    }
+    if (date.toDateString() === tomorrow.toDateString()) {
+        return `mañana a las ${hora}`;
+    }
+    return `el ${date.toLocaleDateString('es')} a las ${hora}`;
+}
+
+export default {
+    checkAddQuota,
+    recordAddAttempt,
+    getQuotaUsage,
+    formatEstimatedTime
+};
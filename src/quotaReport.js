@@ -0,0 +1,44 @@
+import pool from './database.js';
+import { getQuotaUsage } from './quota.js';
+import { CUOTA_ADICIONES } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Show add-to-group quota usage per bot account
+ *
+ * Usage: npm run quota
+ */
+
+async function showQuotaUsage() {
+    const usage = await getQuotaUsage();
+
+    console.log(`\n📊 USO DE CUOTA DE ADICIONES A GRUPOS\n`);
+    console.log(`   Límite por hora: ${CUOTA_ADICIONES.POR_HORA}`);
+    console.log(`   Límite por día:  ${CUOTA_ADICIONES.POR_DIA}\n`);
+    console.log('='.repeat(80));
+
+    if (usage.length === 0) {
+        console.log('\nℹ️  No hubo adiciones a grupos en las últimas 24 horas.\n');
+        return;
+    }
+
+    for (const account of usage) {
+        const hourlyIcon = account.hourly.used >= account.hourly.limit ? '🔴' : '🟢';
+        const dailyIcon = account.daily.used >= account.daily.limit ? '🔴' : '🟢';
+
+        console.log(`\n📱 Cuenta: ${account.accountId}`);
+        console.log(`   ${hourlyIcon} Última hora:      ${account.hourly.used}/${account.hourly.limit}`);
+        console.log(`   ${dailyIcon} Últimas 24 horas: ${account.daily.used}/${account.daily.limit} (${account.dailySuccess} exitosas)`);
+        console.log(`   🕒 Última operación: ${new Date(account.lastOperationAt).toLocaleString()}`);
+    }
+
+    console.log('\n' + '='.repeat(80) + '\n');
+}
+
+showQuotaUsage()
+    .catch((error) => {
+        logger.error('Error showing quota usage', { error: error.message });
+        console.error('\n❌ Error:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
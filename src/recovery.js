@@ -0,0 +1,120 @@
+import {
+    getInterruptedDocuments,
+    getSubjectsForDocument,
+    updateDocumentStatus,
+    enqueueGroupAddJobs
+} from './database.js';
+import { finalizeEnrollment } from './enrollmentHandler.js';
+import { STATES, transition } from './conversationState.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
+import { logger } from './logger.js';
+import { COLA_TRABAJOS, VENTANA_REACTIVIDAD_HORAS } from './config.js';
+
+let recovered = false;
+
+/**
+ * Resume or close documents interrupted by a crash or restart
+ * Runs once per process, before the job worker starts.
+ *
+ * - Jobs still queued: the worker resumes them, the student is told
+ * - All jobs finished but no result sent: finalize now
+ * - Confirmed but never queued: queue the subjects not yet added
+ * - Older than the reactivity window: close as failed without messaging;
+ *   its queued jobs are dropped with it
+ *
+ * @param {object} transport - Messaging transport
+ */
+export async function recoverInterruptedDocuments(transport) {
+    if (recovered) return;
+    recovered = true;
+
+    const documents = await getInterruptedDocuments();
+
+    if (documents.length === 0) {
+        logger.info('No interrupted documents to recover');
+        return;
+    }
+
+    logger.warn('Recovering interrupted documents', { count: documents.length });
+
+    for (const doc of documents) {
+        try {
+            await recoverDocument(transport, doc);
+        } catch (error) {
+            logger.error('Error recovering document', {
+                error: error.message,
+                documentId: doc.id
+            });
+        }
+    }
+}
+
+/**
+ * Recover a single interrupted document
+ * @param {object} transport - Messaging transport
+ * @param {object} doc - Row from getInterruptedDocuments
+ */
+async function recoverDocument(transport, doc) {
+    const remitente = doc.whatsapp_id;
+    const lastContact = new Date(doc.confirmed_at || doc.created_at);
+    const hoursElapsed = (Date.now() - lastContact.getTime()) / (1000 * 60 * 60);
+    const canNotify = hoursElapsed < VENTANA_REACTIVIDAD_HORAS;
+
+    // Too old to message the student: keep what was added and close it
+    if (!canNotify) {
+        await finalizeEnrollment(transport, doc.id, remitente, { notify: false, finalStatus: 'failed' });
+        logger.warn('Stale interrupted document closed', { documentId: doc.id, userId: remitente, hoursElapsed });
+        return;
+    }
+
+    if (doc.status === 'confirmed') {
+        await updateDocumentStatus(doc.id, 'processing');
+    }
+
+    await transition(remitente, STATES.PROCESSING, { documentId: doc.id, force: true });
+
+    if (doc.open_jobs > 0) {
+        logger.info('Interrupted document resumes from queue', { documentId: doc.id, openJobs: doc.open_jobs });
+        await notifyResumed(transport, remitente);
+        return;
+    }
+
+    if (doc.total_jobs > 0) {
+        // Every job finished but the process died before sending the result
+        logger.info('Interrupted document finalized', { documentId: doc.id });
+        await finalizeEnrollment(transport, doc.id, remitente);
+        return;
+    }
+
+    const subjects = await getSubjectsForDocument(doc.id);
+    const pending = subjects.filter(s => s.group_jid && s.selected && !s.added_to_group);
+
+    if (pending.length === 0) {
+        await finalizeEnrollment(transport, doc.id, remitente);
+        return;
+    }
+
+    await enqueueGroupAddJobs(doc.id, remitente, pending.map(s => s.id), COLA_TRABAJOS.MAX_INTENTOS);
+    logger.info('Interrupted document requeued', { documentId: doc.id, jobs: pending.length });
+    await notifyResumed(transport, remitente);
+}
+
+/**
+ * Tell the student their enrollment was interrupted and is being resumed
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ */
+async function notifyResumed(transport, remitente) {
+    await enviarMensajeHumano(
+        transport,
+        remitente,
+        `⚠️ *Tu inscripción se interrumpió*\n\n` +
+        `El bot se reinició mientras procesaba tu inscripción. ` +
+        `Ya la estoy retomando desde donde quedó, no necesitas enviar nada.\n\n` +
+        `Te enviaré el resultado cuando termine.`
+    );
+}
+
+export default {
+    recoverInterruptedDocuments
+};
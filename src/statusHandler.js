@@ -0,0 +1,166 @@
+import {
+    getStudentSubjects,
+    getStudentSubjectCount,
+    getPendingDocument,
+    getSubjectsForDocument
+} from './database.js';
+import { formatEstimatedTime } from './quota.js';
+import { OUTCOME_LABELS } from './participantOutcomes.js';
+import { enviarMensajeHumano } from './antibanHelpers.js';
+import { logger } from './logger.js';
+import { MAX_SUBJECTS_PER_USER, EXPIRACION_DOCUMENTO } from './config.js';
+
+/**
+ * Handle "MIS MATERIAS": tell the student where they stand
+ * Lists added, in-progress, failed and withdrawn subjects, the pending document
+ * (with the time left to confirm it) and the subject limit usage.
+ * @param {object} transport - Messaging transport
+ * @param {string} remitente - User WhatsApp ID
+ */
+export async function handleStatusRequest(transport, remitente) {
+    try {
+        logger.info('Status request', { from: remitente });
+
+        const subjects = await getStudentSubjects(remitente);
+        const pendingDoc = await getPendingDocument(remitente);
+        const total = await getStudentSubjectCount(remitente);
+
+        const { added, inProgress, failed, withdrawn } = classifySubjects(subjects);
+
+        let statusMsg = `📋 *Mis materias*\n`;
+
+        if (subjects.length === 0 && !pendingDoc) {
+            statusMsg +=
+                `\nTodavía no tienes materias inscritas.\n` +
+                `Envía tu boleta de inscripción (foto o PDF) para comenzar.\n`;
+        }
+
+        if (added.length > 0) {
+            statusMsg += `\n*✓ En el grupo (${added.length}):*\n`;
+            for (const s of added) {
+                statusMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
+            }
+        }
+
+        if (inProgress.length > 0) {
+            statusMsg += `\n*⏳ En proceso (${inProgress.length}):*\n`;
+            for (const s of inProgress) {
+                statusMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
+            }
+        }
+
+        if (failed.length > 0) {
+            statusMsg += `\n*✗ No se pudo agregar (${failed.length}):*\n`;
+            for (const s of failed) {
+                const reason = s.add_outcome ? `: ${OUTCOME_LABELS[s.add_outcome]}` : '';
+                const note = !s.group_jid ? ' _(sin grupo configurado)_'
+                    : s.invite_pending ? ' _(invitación enviada)_'
+                    : s.next_retry_at ? ` _(reintento ${formatEstimatedTime(new Date(s.next_retry_at))})_`
+                    : '';
+                statusMsg += `  • ${s.sigla} - Grupo ${s.grupo}${reason}${note}\n`;
+            }
+        }
+
+        if (withdrawn.length > 0) {
+            statusMsg += `\n*🚪 Dados de baja (${withdrawn.length}):*\n`;
+            for (const s of withdrawn) {
+                statusMsg += `  • ${s.sigla} - Grupo ${s.grupo}\n`;
+            }
+        }
+
+        if (pendingDoc) {
+            statusMsg += await describePendingDocument(pendingDoc);
+        }
+
+        if (failed.some(s => s.group_jid)) {
+            statusMsg += `\n_Escribe *REINTENTAR* para volver a intentar las que fallaron._\n`;
+        }
+
+        statusMsg += `\n📊 *Total de materias inscritas:* ${total}/${MAX_SUBJECTS_PER_USER}`;
+
+        await enviarMensajeHumano(transport, remitente, statusMsg);
+
+        logger.info('Status sent', {
+            userId: remitente,
+            added: added.length,
+            inProgress: inProgress.length,
+            failed: failed.length,
+            hasPending: !!pendingDoc
+        });
+
+    } catch (error) {
+        logger.error('Error sending status', {
+            error: error.message,
+            from: remitente
+        });
+
+        await enviarMensajeHumano(
+            transport,
+            remitente,
+            `❌ No pude consultar tus materias en este momento.\n\n` +
+            `Intenta nuevamente en unos minutos.`
+        );
+    }
+}
+
+/**
+ * Group a student's subjects by outcome
+ * A SIGLA+GRUPO added in any document is shown only as added, so an
+ * earlier failed attempt does not show up next to a later success.
+ * @param {Array<object>} subjects - Rows from getStudentSubjects
+ * @returns {{added: Array<object>, inProgress: Array<object>, failed: Array<object>, withdrawn: Array<object>}}
+ */
+function classifySubjects(subjects) {
+    const bySubject = new Map();
+
+    for (const s of subjects) {
+        const key = `${s.sigla}|${s.grupo}`;
+        const open = s.document_status === 'confirmed' || s.document_status === 'processing';
+        const outcome = s.withdrawn_at ? 'withdrawn'
+            : s.added_to_group ? 'added'
+            : open ? 'inProgress' : 'failed';
+        const previous = bySubject.get(key);
+
+        // Later documents win, except over a subject that was already added
+        if (!previous || previous.outcome !== 'added') {
+            bySubject.set(key, { ...s, outcome });
+        }
+    }
+
+    const all = [...bySubject.values()];
+
+    return {
+        added: all.filter(s => s.outcome === 'added'),
+        inProgress: all.filter(s => s.outcome === 'inProgress'),
+        failed: all.filter(s => s.outcome === 'failed'),
+        withdrawn: all.filter(s => s.outcome === 'withdrawn')
+    };
+}
+
+/**
+ * Describe the pending document and how long is left to confirm it
+ * @param {object} pendingDoc - Row from getPendingDocument
+ * @returns {Promise<string>}
+ */
+async function describePendingDocument(pendingDoc) {
+    const subjects = await getSubjectsForDocument(pendingDoc.id);
+    const minutesElapsed = (Date.now() - new Date(pendingDoc.created_at).getTime()) / (1000 * 60);
+    const minutesLeft = Math.max(0, Math.ceil(EXPIRACION_DOCUMENTO.MINUTOS - minutesElapsed));
+
+    let msg = `\n*📝 Boleta pendiente de confirmación:*\n`;
+
+    subjects.forEach((s, i) => {
+        const icon = s.group_jid ? '✅' : '⚠️';
+        msg += `${i + 1}. ${icon} ${s.sigla} - Grupo ${s.grupo}\n`;
+    });
+
+    msg += minutesLeft > 0
+        ? `⏱️ Expira en ${minutesLeft} minuto(s). Responde *"LISTO"* para confirmar.\n`
+        : `⏱️ Ya expiró. Envía tu boleta nuevamente.\n`;
+
+    return msg;
+}
+
+export default {
+    handleStatusRequest
+};
@@ -0,0 +1,95 @@
+import Tesseract from 'tesseract.js';
+import { logger } from './logger.js';
+import { TESSERACT } from './config.js';
+
+/**
+ * Scheduler with TESSERACT.TRABAJADORES workers, built on first use
+ * @type {Promise<object>|null}
+ */
+let schedulerPromise = null;
+
+/**
+ * Start one worker with the bundled Spanish model
+ * @param {number} index
+ * @returns {Promise<object>} Tesseract worker
+ */
+async function createPoolWorker(index) {
+    const worker = await Tesseract.createWorker(TESSERACT.IDIOMA, Tesseract.OEM.LSTM_ONLY, {
+        langPath: TESSERACT.RUTA_MODELOS,
+        gzip: false,            // spa.traineddata is stored uncompressed
+        cacheMethod: 'none',    // read it from the repo, never copy or download it
+        logger: m => {
+            if (m.status === 'recognizing text') {
+                logger.debug('OCR progress', { worker: index, progress: m.progress });
+            }
+        }
+    });
+
+    try {
+        await worker.setParameters(TESSERACT.PARAMETROS);
+    } catch (error) {
+        await worker.terminate();
+        throw error;
+    }
+
+    return worker;
+}
+
+/**
+ * @returns {Promise<object>} Tesseract scheduler
+ */
+async function createPool() {
+    const scheduler = Tesseract.createScheduler();
+
+    try {
+        for (let i = 0; i < TESSERACT.TRABAJADORES; i++) {
+            scheduler.addWorker(await createPoolWorker(i));
+        }
+    } catch (error) {
+        await scheduler.terminate();
+        throw error;
+    }
+
+    logger.info('Tesseract pool ready', {
+        workers: TESSERACT.TRABAJADORES,
+        langPath: TESSERACT.RUTA_MODELOS,
+        parameters: TESSERACT.PARAMETROS
+    });
+
+    return scheduler;
+}
+
+/**
+ * @returns {Promise<object>}
+ */
+function getPool() {
+    if (!schedulerPromise) {
+        schedulerPromise = createPool().catch((error) => {
+            schedulerPromise = null;
+            throw error;
+        });
+    }
+    return schedulerPromise;
+}
+
+/**
+ * Recognize an image on the first free worker
+ * Jobs wait in the scheduler's queue while every worker is busy; past
+ * TESSERACT.COLA_MAXIMA the image is refused so the caller can fall back.
+ * @param {Buffer} image
+ * @returns {Promise<{text: string, confidence: number}>} Confidence 0-100
+ */
+export async function recognizeWithPool(image) {
+    const scheduler = await getPool();
+
+    if (scheduler.getQueueLen() >= TESSERACT.COLA_MAXIMA) {
+        throw new Error(`Tesseract queue full (${TESSERACT.COLA_MAXIMA} waiting)`);
+    }
+
+    const result = await scheduler.addJob('recognize', image);
+    return { text: result.data.text, confidence: result.data.confidence };
+}
+
+export default {
+    recognizeWithPool
+};
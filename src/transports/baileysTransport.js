@@ -0,0 +1,221 @@
+import { EventEmitter } from 'events';
+import baileysPkg from '@whiskeysockets/baileys';
+const {
+    default: makeWASocket,
+    useMultiFileAuthState,
+    downloadMediaMessage,
+    DisconnectReason
+} = baileysPkg;
+import pino from 'pino';
+import qrcode from 'qrcode-terminal';
+import { logger } from '../logger.js';
+
+/**
+ * Baileys addresses users as <number>@s.whatsapp.net while whatsapp-web.js
+ * (and every whatsapp_id already stored in the database) uses <number>@c.us.
+ * The adapter speaks @c.us to the rest of the bot and converts at the edge.
+ */
+const toBaileysJid = (id) => id.replace(/@c\.us$/, '@s.whatsapp.net');
+const fromBaileysJid = (jid) => jid.replace(/@s\.whatsapp\.net$/, '@c.us');
+
+/**
+ * Find the media node of a Baileys message, if any
+ * @param {object} content - WAMessage.message
+ * @returns {object|null}
+ */
+function getMediaContent(content) {
+    if (!content) return null;
+
+    return content.imageMessage ||
+        content.documentMessage ||
+        content.documentWithCaptionMessage?.message?.documentMessage ||
+        null;
+}
+
+/**
+ * Extract the text body (or media caption) of a Baileys message
+ * @param {object} content - WAMessage.message
+ * @returns {string}
+ */
+function getMessageBody(content) {
+    if (!content) return '';
+
+    return content.conversation ||
+        content.extendedTextMessage?.text ||
+        getMediaContent(content)?.caption ||
+        '';
+}
+
+/**
+ * Create a transport backed by a Baileys socket (no browser required)
+ * @param {object} options
+ * @param {string} options.authPath - Multi-file auth state directory
+ * @returns {import('./index.js').Transport}
+ */
+export function createBaileysTransport(options = {}) {
+    const emitter = new EventEmitter();
+    const baileysLogger = pino({ level: process.env.BAILEYS_LOG_LEVEL || 'warn' });
+    const authPath = options.authPath || './auth_info/baileys';
+    let sock = null;
+
+    /**
+     * Convert a Baileys message into the transport message shape
+     * @param {object} m - WAMessage
+     * @returns {import('./index.js').IncomingMessage}
+     */
+    const toIncomingMessage = (m) => {
+        const remoteJid = m.key.remoteJid;
+        const media = getMediaContent(m.message);
+
+        return {
+            id: m.key.id,
+            from: fromBaileysJid(remoteJid),
+            isGroup: remoteJid.endsWith('@g.us'),
+            fromMe: !!m.key.fromMe,
+            body: getMessageBody(m.message),
+            hasMedia: !!media,
+            type: Object.keys(m.message || {})[0] || 'unknown',
+            downloadMedia: async () => {
+                const buffer = await downloadMediaMessage(
+                    m,
+                    'buffer',
+                    {},
+                    { logger: baileysLogger, reuploadRequest: sock.updateMediaMessage }
+                );
+                return {
+                    mimetype: media.mimetype,
+                    data: buffer.toString('base64'),
+                    filename: media.fileName || null
+                };
+            }
+        };
+    };
+
+    const connect = async () => {
+        const { state, saveCreds } = await useMultiFileAuthState(authPath);
+
+        sock = makeWASocket({
+            auth: state,
+            logger: baileysLogger,
+            printQRInTerminal: false
+        });
+
+        sock.ev.on('creds.update', saveCreds);
+
+        sock.ev.on('connection.update', ({ connection, lastDisconnect, qr }) => {
+            if (qr) {
+                console.log('📱 Escanea este código QR con WhatsApp:\n');
+                qrcode.generate(qr, { small: true });
+                console.log('\n⏳ Esperando escaneo del código QR...');
+                console.log('💡 WhatsApp → Menú (⋮) → Dispositivos vinculados → Vincular dispositivo\n');
+            }
+
+            if (connection) {
+                emitter.emit('state', connection);
+            }
+
+            if (connection === 'open') {
+                logger.info('WhatsApp authenticated successfully');
+                emitter.emit('ready');
+            }
+
+            if (connection === 'close') {
+                const statusCode = lastDisconnect?.error?.output?.statusCode;
+
+                // The stored credentials are no longer valid: reconnecting
+                // with them would be logged out again right away
+                if (statusCode === DisconnectReason.loggedOut) {
+                    emitter.emit('logged_out', authPath);
+                    return;
+                }
+
+                emitter.emit('disconnected', lastDisconnect?.error?.message || `status ${statusCode}`);
+            }
+        });
+
+        sock.ev.on('group-participants.update', ({ id, participants, action }) => {
+            if (action !== 'add') return;
+
+            emitter.emit('group_join', {
+                groupId: id,
+                userIds: participants.map(fromBaileysJid)
+            });
+        });
+
+        sock.ev.on('messages.upsert', ({ messages, type }) => {
+            // 'append' carries history sync, only 'notify' are new messages
+            if (type !== 'notify') return;
+
+            for (const m of messages) {
+                if (!m.message || m.key.remoteJid === 'status@broadcast') continue;
+                emitter.emit('message', toIncomingMessage(m));
+            }
+        });
+    };
+
+    const participantsUpdate = async (groupId, userId, action) => {
+        const [result] = await sock.groupParticipantsUpdate(groupId, [toBaileysJid(userId)], action);
+
+        logger.debug('groupParticipantsUpdate result', { action, result });
+
+        if (!result) {
+            return null;
+        }
+
+        return {
+            code: parseInt(result.status, 10),
+            message: result.content?.attrs?.error || result.status
+        };
+    };
+
+    return Object.assign(emitter, {
+        name: 'baileys',
+        supportsInvites: false,
+
+        async start() {
+            console.log('⚙️ Inicializando socket Baileys...\n');
+            await connect();
+        },
+
+        async stop() {
+            sock?.end(undefined);
+        },
+
+        getAccountId() {
+            // sock.user.id carries the device suffix: <number>:<device>@s.whatsapp.net
+            return sock?.user?.id ? fromBaileysJid(sock.user.id.replace(/:\d+@/, '@')) : null;
+        },
+
+        async sendText(chatId, text) {
+            return await sock.sendMessage(toBaileysJid(chatId), { text });
+        },
+
+        async sendTyping(chatId) {
+            await sock.sendPresenceUpdate('composing', toBaileysJid(chatId));
+        },
+
+        // Baileys never sends private invites on its own: addOptions
+        // (autoSendInviteV4) is ignored and isInviteV4Sent stays false
+        async addParticipant(groupId, userId) {
+            return await participantsUpdate(groupId, userId, 'add');
+        },
+
+        async removeParticipant(groupId, userId) {
+            return await participantsUpdate(groupId, userId, 'remove');
+        },
+
+        async listGroups() {
+            const groups = await sock.groupFetchAllParticipating();
+
+            return Object.values(groups).map(grupo => ({
+                id: grupo.id,
+                name: grupo.subject,
+                participantCount: grupo.participants.length
+            }));
+        }
+    });
+}
+
+export default {
+    createBaileysTransport
+};
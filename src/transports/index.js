@@ -0,0 +1,99 @@
+/**
+ * Messaging transport interface
+ *
+ * Every adapter returns an EventEmitter with the methods below, so the
+ * enrollment flow never touches a WhatsApp library object directly.
+ *
+ * Events:
+ *  - 'message'      (IncomingMessage)  private or group message received
+ *  - 'ready'        ()                 client connected and usable
+ *  - 'disconnected' (reason)           connection lost, a new client may reconnect
+ *  - 'logged_out'   (authPath)         session revoked, its stored credentials are useless
+ *  - 'state'        (state)            connection state changed
+ *  - 'group_join'   (GroupJoin)        users joined a group (added or via invite)
+ *
+ * @typedef {Object} Transport
+ * @property {string} name - Adapter name
+ * @property {boolean} supportsInvites - addParticipant can send private invites (autoSendInviteV4)
+ * @property {function(): Promise<void>} start - Connect the client
+ * @property {function(): Promise<void>} stop - Disconnect the client
+ * @property {function(): string|null} getAccountId - WhatsApp ID of the bot account (null before 'ready')
+ * @property {function(string, string, object=): Promise<object>} sendText - Send text to a chat ID
+ * @property {function(string): Promise<void>} sendTyping - Show "typing..." in a chat
+ * @property {function(string, string, AddOptions=): Promise<ParticipantResult|null>} addParticipant - Add user to group
+ * @property {function(string, string): Promise<ParticipantResult|null>} removeParticipant - Remove user from group
+ * @property {function(): Promise<Array<GroupInfo>>} listGroups - Groups the bot belongs to
+ */
+
+/**
+ * Normalized inbound message
+ * @typedef {Object} IncomingMessage
+ * @property {string} id - Serialized message ID
+ * @property {string} from - Sender chat ID (user or group)
+ * @property {boolean} isGroup - Message comes from a group chat
+ * @property {boolean} fromMe - Message was sent by the bot account
+ * @property {string} body - Text body (caption for media)
+ * @property {boolean} hasMedia - Message carries a downloadable file
+ * @property {string} type - Message type reported by the library
+ * @property {function(): Promise<{mimetype: string, data: string, filename: string|null}>} downloadMedia - Base64 media
+ */
+
+/**
+ * Options of an addition
+ * @typedef {Object} AddOptions
+ * @property {boolean} [autoSendInviteV4] - On a privacy block (403), send the user a private invite instead
+ * @property {string} [comment] - Text attached to that invite
+ */
+
+/**
+ * Result of a participant operation
+ * @typedef {Object} ParticipantResult
+ * @property {number|null} code - WhatsApp status code (200, 403, 408, 409...)
+ * @property {string} message - Status message
+ * @property {boolean} [isInviteV4Sent] - A private invite was sent (additions with autoSendInviteV4)
+ */
+
+/**
+ * Users who joined a group
+ * @typedef {Object} GroupJoin
+ * @property {string} groupId - Group JID
+ * @property {Array<string>} userIds - User WhatsApp IDs (@c.us)
+ */
+
+/**
+ * @typedef {Object} GroupInfo
+ * @property {string} id - Group JID
+ * @property {string} name - Group subject
+ * @property {number} participantCount
+ */
+
+/**
+ * Adapters are imported lazily so a Baileys deployment never loads
+ * Puppeteer and vice versa
+ */
+const ADAPTERS = {
+    wwebjs: async () => (await import('./whatsappWebTransport.js')).createWhatsappWebTransport,
+    baileys: async () => (await import('./baileysTransport.js')).createBaileysTransport,
+    memory: async () => (await import('./memoryTransport.js')).createMemoryTransport
+};
+
+/**
+ * Create a transport by adapter name
+ * @param {string} name - 'wwebjs', 'baileys' or 'memory'
+ * @param {object} options - Adapter specific options
+ * @returns {Promise<Transport>}
+ */
+export async function createTransport(name, options = {}) {
+    const loadFactory = ADAPTERS[name];
+
+    if (!loadFactory) {
+        throw new Error(`Unknown transport: ${name}`);
+    }
+
+    const factory = await loadFactory();
+    return factory(options);
+}
+
+export default {
+    createTransport
+};
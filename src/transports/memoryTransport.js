@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events';
+import { logger } from '../logger.js';
+
+/**
+ * Create an in-memory transport for tests and local simulations
+ * Nothing leaves the process: sent messages, typing states and group
+ * membership are recorded so a script can inspect them afterwards.
+ *
+ * @param {object} options
+ * @param {Array<{id: string, name: string, participants?: Array<string>}>} options.groups - Initial groups
+ * @param {string} options.accountId - ID reported as the bot account
+ * @returns {import('./index.js').Transport & {
+ *   sent: Array<object>,
+ *   typing: Array<string>,
+ *   groups: Map<string, object>,
+ *   invites: Array<object>,
+ *   receive: function(object): Promise<void>,
+ *   setParticipantResult: function(string, string, number, string=): void,
+ *   acceptInvite: function(string, string): void
+ * }}
+ */
+export function createMemoryTransport(options = {}) {
+    const emitter = new EventEmitter();
+    const groups = new Map();
+    const scriptedResults = new Map();
+    let messageCounter = 0;
+
+    for (const group of options.groups || []) {
+        groups.set(group.id, {
+            id: group.id,
+            name: group.name,
+            participants: new Set(group.participants || [])
+        });
+    }
+
+    const getGroup = (groupId) => {
+        const group = groups.get(groupId);
+        if (!group) {
+            throw new Error(`Group not found: ${groupId}`);
+        }
+        return group;
+    };
+
+    return Object.assign(emitter, {
+        name: 'memory',
+        supportsInvites: true,
+        sent: [],
+        typing: [],
+        invites: [],
+        groups,
+
+        async start() {
+            logger.info('Memory transport started');
+            emitter.emit('ready');
+        },
+
+        async stop() {
+            emitter.emit('disconnected', 'stopped');
+        },
+
+        getAccountId() {
+            return options.accountId || 'memory@c.us';
+        },
+
+        async sendText(chatId, text, sendOptions = {}) {
+            const message = { id: `out_${++messageCounter}`, chatId, text, options: sendOptions };
+            this.sent.push(message);
+            return message;
+        },
+
+        async sendTyping(chatId) {
+            this.typing.push(chatId);
+        },
+
+        async addParticipant(groupId, userId, addOptions = {}) {
+            const group = getGroup(groupId);
+            const scripted = scriptedResults.get(`${groupId}|${userId}`);
+
+            if (scripted) {
+                if (scripted.code === 403 && addOptions.autoSendInviteV4) {
+                    this.invites.push({ groupId, userId, comment: addOptions.comment || '' });
+                    return { ...scripted, isInviteV4Sent: true };
+                }
+                return scripted;
+            }
+
+            if (group.participants.has(userId)) {
+                return { code: 409, message: 'The participant is already a group member' };
+            }
+
+            group.participants.add(userId);
+            return { code: 200, message: 'The participant was added successfully' };
+        },
+
+        async removeParticipant(groupId, userId) {
+            const group = getGroup(groupId);
+            group.participants.delete(userId);
+            return { code: 200, message: 'Removed' };
+        },
+
+        async listGroups() {
+            return [...groups.values()].map(group => ({
+                id: group.id,
+                name: group.name,
+                participantCount: group.participants.size
+            }));
+        },
+
+        /**
+         * Force the result of the next additions of a user to a group
+         * @param {string} groupId
+         * @param {string} userId
+         * @param {number} code - e.g. 403, 408
+         * @param {string} message
+         */
+        setParticipantResult(groupId, userId, code, message = '') {
+            scriptedResults.set(`${groupId}|${userId}`, { code, message });
+        },
+
+        /**
+         * Simulate a user accepting a private invite: joins and emits 'group_join'
+         * @param {string} groupId
+         * @param {string} userId
+         */
+        acceptInvite(groupId, userId) {
+            getGroup(groupId).participants.add(userId);
+            scriptedResults.delete(`${groupId}|${userId}`);
+            emitter.emit('group_join', { groupId, userIds: [userId] });
+        },
+
+        /**
+         * Simulate an inbound message and wait for every handler to finish
+         * @param {object} partial - { from, body, media: { mimetype, data } }
+         */
+        async receive(partial) {
+            const { media, ...fields } = partial;
+            const message = {
+                id: `in_${++messageCounter}`,
+                isGroup: partial.from.endsWith('@g.us'),
+                fromMe: false,
+                body: '',
+                hasMedia: !!media,
+                type: media ? 'document' : 'chat',
+                downloadMedia: async () => ({ filename: null, ...media }),
+                ...fields
+            };
+
+            await Promise.all(
+                emitter.listeners('message').map(listener => listener(message))
+            );
+        }
+    });
+}
+
+export default {
+    createMemoryTransport
+};
@@ -0,0 +1,208 @@
+import { EventEmitter } from 'events';
+import pkg from 'whatsapp-web.js';
+const { Client, LocalAuth } = pkg;
+import qrcode from 'qrcode-terminal';
+import { logger } from '../logger.js';
+
+/**
+ * Convert a whatsapp-web.js message into the transport message shape
+ * @param {object} message - whatsapp-web.js Message
+ * @returns {import('./index.js').IncomingMessage}
+ */
+function toIncomingMessage(message) {
+    return {
+        id: message.id._serialized,
+        from: message.from,
+        isGroup: message.from.endsWith('@g.us'),
+        fromMe: message.fromMe,
+        body: message.body,
+        hasMedia: message.hasMedia,
+        type: message.type,
+        downloadMedia: async () => {
+            const media = await message.downloadMedia();
+            if (!media) {
+                throw new Error('Media could not be downloaded');
+            }
+            return {
+                mimetype: media.mimetype,
+                data: media.data,
+                filename: media.filename || null
+            };
+        }
+    };
+}
+
+/**
+ * Create a transport backed by whatsapp-web.js (headless Chromium)
+ * @param {object} options
+ * @param {string} options.authPath - LocalAuth data path
+ * @returns {import('./index.js').Transport}
+ */
+export function createWhatsappWebTransport(options = {}) {
+    const emitter = new EventEmitter();
+
+    const client = new Client({
+        authStrategy: new LocalAuth({
+            dataPath: options.authPath || './auth_info'
+        }),
+        webVersionCache: {
+            type: 'none'
+        },
+        puppeteer: {
+            headless: true,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu'
+            ]
+        }
+    });
+
+    // Event: QR Code
+    client.on('qr', (qr) => {
+        console.log('📱 Escanea este código QR con WhatsApp:\n');
+        qrcode.generate(qr, { small: true });
+        console.log('\n⏳ Esperando escaneo del código QR...');
+        console.log('💡 WhatsApp → Menú (⋮) → Dispositivos vinculados → Vincular dispositivo\n');
+    });
+
+    // Event: Estado de carga
+    client.on('loading_screen', (percent, message) => {
+        console.log(`🔄 Cargando: ${percent}% - ${message}`);
+    });
+
+    // Event: Autenticación exitosa
+    client.on('authenticated', () => {
+        logger.info('WhatsApp authenticated successfully');
+        console.log('✅ Autenticación exitosa! Esperando que el cliente esté listo...');
+    });
+
+    // Event: Error de autenticación
+    client.on('auth_failure', (msg) => {
+        logger.error('WhatsApp authentication failed', { message: msg });
+        console.error('❌ Error de autenticación:', msg);
+        console.log('💡 Elimina la carpeta auth_info y vuelve a intentar.\n');
+    });
+
+    // Event: Cliente listo
+    client.on('ready', async () => {
+        // Parchear sendSeen para evitar el bug de markedUnread
+        try {
+            await client.pupPage.evaluate(() => {
+                window.WWebJS = window.WWebJS || {};
+                window.WWebJS.sendSeen = async () => {
+                    // No hacer nada - desactivado para evitar bugs
+                    return true;
+                };
+            });
+            console.log('🔧 sendSeen desactivado para evitar errores\n');
+        } catch (e) {
+            logger.warn('Could not patch sendSeen', { error: e.message });
+            console.log('⚠️ No se pudo parchear sendSeen, continuando...\n');
+        }
+
+        emitter.emit('ready');
+    });
+
+    client.on('message', (message) => {
+        emitter.emit('message', toIncomingMessage(message));
+    });
+
+    // Added by an admin or joined through an invite
+    client.on('group_join', (notification) => {
+        emitter.emit('group_join', {
+            groupId: notification.chatId,
+            userIds: notification.recipientIds
+        });
+    });
+
+    client.on('disconnected', (reason) => {
+        emitter.emit('disconnected', reason);
+    });
+
+    client.on('change_state', (state) => {
+        emitter.emit('state', state);
+    });
+
+    return Object.assign(emitter, {
+        name: 'wwebjs',
+        supportsInvites: true,
+
+        async start() {
+            console.log('⚙️ Inicializando cliente...\n');
+            await client.initialize();
+        },
+
+        async stop() {
+            await client.destroy();
+        },
+
+        getAccountId() {
+            return client.info?.wid?._serialized || null;
+        },
+
+        async sendText(chatId, text, sendOptions = {}) {
+            return await client.sendMessage(chatId, text, sendOptions);
+        },
+
+        async sendTyping(chatId) {
+            const chat = await client.getChatById(chatId);
+            await chat.sendStateTyping();
+        },
+
+        async addParticipant(groupId, userId, addOptions = {}) {
+            const grupoChat = await client.getChatById(groupId);
+
+            // whatsapp-web.js: usar addParticipants (con S al final)
+            const resultado = await grupoChat.addParticipants([userId], addOptions);
+
+            logger.debug('addParticipants result', { resultado });
+
+            // Errors such as "no admin rights" come back as a plain string
+            if (typeof resultado === 'string') {
+                throw new Error(resultado);
+            }
+
+            const status = resultado?.[userId];
+            if (!status) {
+                return null;
+            }
+
+            return {
+                code: status.code,
+                message: status.message,
+                isInviteV4Sent: status.isInviteV4Sent
+            };
+        },
+
+        async removeParticipant(groupId, userId) {
+            const grupoChat = await client.getChatById(groupId);
+            const resultado = await grupoChat.removeParticipants([userId]);
+
+            return {
+                code: resultado?.status ?? null,
+                message: resultado?.status === 200 ? 'Removed' : 'Unknown result'
+            };
+        },
+
+        async listGroups() {
+            const chats = await client.getChats();
+
+            return chats
+                .filter(chat => chat.isGroup)
+                .map(grupo => ({
+                    id: grupo.id._serialized,
+                    name: grupo.name,
+                    participantCount: grupo.participants.length
+                }));
+        }
+    });
+}
+
+export default {
+    createWhatsappWebTransport
+};
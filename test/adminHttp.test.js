@@ -0,0 +1,201 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase } from './helpers/testDatabase.js';
+import { waitFor } from './helpers/waitFor.js';
+
+const TOKEN = 'test-token';
+const PASSWORD = 'test-password';
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+Object.assign(process.env, {
+    ADMIN_API_TOKEN: TOKEN,
+    DASHBOARD_USER: 'admin',
+    DASHBOARD_PASSWORD: PASSWORD,
+    HTTP_HOST: '127.0.0.1',
+    HTTP_PORT: String(PORT)
+});
+
+const MAPPED = { sigla: 'INF412', grupo: '5A', jid: 'inf412-5a@g.us' };
+const OTHER = { sigla: 'INF413', grupo: '5B', jid: 'inf413-5b@g.us' };
+
+let db;
+let pool;
+let stopHttpServer;
+let subjects;
+
+before(async () => {
+    db = await startTestDatabase();
+
+    ({ default: pool } = await import('../src/database.js'));
+    const { registerAdminApi } = await import('../src/adminApi.js');
+    const { registerDashboard } = await import('../src/dashboard.js');
+    const httpServer = await import('../src/httpServer.js');
+    stopHttpServer = httpServer.stopHttpServer;
+
+    for (const { sigla, grupo, jid } of [MAPPED, OTHER]) {
+        await pool.query(
+            `INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid) VALUES ($1, $2, 'MATERIA', $3)`,
+            [sigla, grupo, jid]
+        );
+    }
+
+    // A closed boleta: one subject blocked by privacy, one the OCR misread
+    const { rows: [student] } = await pool.query(
+        `INSERT INTO students (registration_number, student_name, whatsapp_id)
+         VALUES ('222800000', 'ESTUDIANTE PANEL PRUEBA', '59178000000@c.us') RETURNING id`
+    );
+    const { rows: [document] } = await pool.query(
+        `INSERT INTO enrollment_documents (student_id, registration_number, document_hash, status)
+         VALUES ($1, '222800000', 'panel-test', 'completed') RETURNING id`,
+        [student.id]
+    );
+    const { rows } = await pool.query(
+        `INSERT INTO enrollment_subjects (document_id, sigla, grupo, materia, group_jid, add_outcome)
+         VALUES ($1, $2, $3, 'MATERIA', $4, 'privacy_blocked'), ($1, 'INF4I3', '5B', 'MATERIA', NULL, NULL)
+         RETURNING id`,
+        [document.id, MAPPED.sigla, MAPPED.grupo, MAPPED.jid]
+    );
+    subjects = { blocked: rows[0].id, misread: rows[1].id };
+
+    registerAdminApi();
+    registerDashboard();
+    httpServer.startHttpServer();
+
+    await waitFor(() => fetch(`${BASE}/api/mappings`).then(() => true, () => false));
+});
+
+after(async () => {
+    await stopHttpServer();
+    await db.stop(pool);
+});
+
+/**
+ * Call the admin API with the bearer token
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [body]
+ * @returns {Promise<Response>}
+ */
+function api(method, path, body) {
+    return fetch(`${BASE}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+/**
+ * Post a dashboard form as a logged-in browser would
+ * @param {string} path
+ * @param {object} [form]
+ * @param {object} [headers]
+ * @returns {Promise<Response>}
+ */
+function dashboardPost(path, form = {}, headers = {}) {
+    return fetch(`${BASE}${path}`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: {
+            Authorization: `Basic ${Buffer.from(`admin:${PASSWORD}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            ...headers
+        },
+        body: new URLSearchParams(form).toString()
+    });
+}
+
+/**
+ * @param {string} action
+ * @returns {Promise<Array<object>>} Audit rows of that action
+ */
+async function auditOf(action) {
+    const { rows } = await pool.query('SELECT actor, target, details FROM admin_audit_log WHERE action = $1 ORDER BY id', [action]);
+    return rows;
+}
+
+test('the API refuses a missing or wrong bearer token', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: `Basic ${TOKEN}` }]) {
+        const response = await fetch(`${BASE}/api/mappings`, { headers });
+        assert.equal(response.status, 401, JSON.stringify(headers));
+        assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    }
+
+    assert.equal((await api('GET', '/api/mappings')).status, 200);
+});
+
+test('the dashboard refuses missing or wrong Basic credentials', async () => {
+    const basic = (credentials) => ({ Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` });
+
+    for (const headers of [{}, basic('admin:wrong'), basic(`intruso:${PASSWORD}`), { Authorization: `Bearer ${TOKEN}` }]) {
+        const response = await fetch(`${BASE}/dashboard`, { headers });
+        assert.equal(response.status, 401, JSON.stringify(headers));
+        assert.match(response.headers.get('www-authenticate'), /^Basic /);
+    }
+
+    assert.equal((await fetch(`${BASE}/dashboard`, { headers: basic(`admin:${PASSWORD}`) })).status, 200);
+});
+
+test('creating, updating and deleting a mapping is audited', async () => {
+    const created = await api('POST', '/api/mappings', { sigla: 'eco101', grupo: '1a', groupJid: 'eco101-1a@g.us' });
+    assert.equal(created.status, 201);
+    const mapping = await created.json();
+
+    assert.equal((await api('PATCH', `/api/mappings/${mapping.id}`, { active: false })).status, 200);
+    assert.equal((await api('DELETE', `/api/mappings/${mapping.id}`)).status, 204);
+
+    for (const action of ['mapping.create', 'mapping.update', 'mapping.delete']) {
+        const rows = await auditOf(action);
+        assert.equal(rows.length, 1, action);
+        assert.equal(rows[0].target, String(mapping.id));
+        assert.match(rows[0].actor, /^api:/);
+    }
+    assert.deepEqual((await auditOf('mapping.update'))[0].details, { active: false });
+});
+
+test('a malformed escape in the path is a bad request', async () => {
+    const response = await api('GET', '/api/students/%E0');
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Invalid path' });
+});
+
+test('dashboard retry and cancel queue and drop a retry of the subject', async () => {
+    const retried = await dashboardPost(`/dashboard/subjects/${subjects.blocked}/retry`);
+    assert.equal(retried.status, 303);
+
+    const jobs = () => pool.query('SELECT kind, status, last_error FROM group_add_jobs WHERE subject_id = $1', [subjects.blocked])
+        .then(result => result.rows);
+
+    assert.deepEqual(await jobs(), [{ kind: 'retry', status: 'pending', last_error: null }]);
+
+    assert.equal((await dashboardPost(`/dashboard/subjects/${subjects.blocked}/cancel`)).status, 303);
+
+    assert.deepEqual(await jobs(), [{ kind: 'retry', status: 'failed', last_error: 'Cancelled from dashboard by admin' }]);
+    assert.deepEqual((await auditOf('subject.retry')).map(r => [r.actor, r.target]), [['dashboard:admin', String(subjects.blocked)]]);
+    assert.deepEqual((await auditOf('subject.cancel')).map(r => r.details.jobs), [1]);
+});
+
+test('dashboard fix corrects a misread subject and maps its group', async () => {
+    const response = await dashboardPost(`/dashboard/subjects/${subjects.misread}/fix`, { sigla: ` ${OTHER.sigla.toLowerCase()} `, grupo: OTHER.grupo });
+    assert.equal(response.status, 303);
+
+    const { rows: [subject] } = await pool.query('SELECT sigla, grupo, group_jid FROM enrollment_subjects WHERE id = $1', [subjects.misread]);
+    assert.deepEqual(subject, { sigla: OTHER.sigla, grupo: OTHER.grupo, group_jid: OTHER.jid });
+
+    const [audit] = await auditOf('subject.fix');
+    assert.deepEqual(audit.details, {
+        from: { sigla: 'INF4I3', grupo: '5B' },
+        to: { sigla: OTHER.sigla, grupo: OTHER.grupo, groupJid: OTHER.jid }
+    });
+});
+
+test('dashboard forms are accepted from the same host over HTTPS and refused from another site', async () => {
+    const host = `127.0.0.1:${PORT}`;
+
+    const proxied = await dashboardPost(`/dashboard/subjects/${subjects.blocked}/cancel`, {}, { Origin: `https://${host}` });
+    assert.equal(proxied.status, 303);
+
+    const foreign = await dashboardPost(`/dashboard/subjects/${subjects.blocked}/cancel`, {}, { Origin: 'https://evil.example' });
+    assert.equal(foreign.status, 403);
+});
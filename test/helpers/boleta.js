@@ -0,0 +1,61 @@
+/**
+ * Build a one-page PDF boleta with a text layer the parser can read
+ * @param {object} boleta
+ * @param {string} boleta.registrationNumber - 9 digits
+ * @param {string} boleta.studentName
+ * @param {Array<{sigla: string, grupo: string, materia: string}>} boleta.subjects
+ * @returns {Buffer}
+ */
+export function buildBoletaPdf({ registrationNumber, studentName, subjects }) {
+    const lines = [
+        'UNIVERSIDAD AUTONOMA GABRIEL RENE MORENO',
+        'BOLETA DE INSCRIPCION',
+        `${registrationNumber} ${studentName} INGENIERIA INFORMATICA`,
+        '| SIGLA | GRUPO | MATERIA |',
+        ...subjects.map(s => `| ${s.sigla} | ${s.grupo} | ${s.materia} |`)
+    ];
+
+    const escape = (line) => line.replace(/[\\()]/g, c => `\\${c}`);
+    const content = 'BT /F1 10 Tf 14 TL 40 800 Td\n' +
+        lines.map(line => `(${escape(line)}) Tj T*`).join('\n') +
+        '\nET';
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Inbound message of a student sending their boleta as a PDF
+ * @param {{whatsappId: string, registrationNumber: string, studentName: string}} student
+ * @param {Array<{sigla: string, grupo: string, materia: string}>} subjects
+ * @returns {object} For memoryTransport.receive()
+ */
+export function boletaMessage(student, subjects) {
+    return {
+        from: student.whatsappId,
+        media: {
+            mimetype: 'application/pdf',
+            filename: 'boleta.pdf',
+            data: buildBoletaPdf({ ...student, subjects }).toString('base64')
+        }
+    };
+}
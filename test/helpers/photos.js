@@ -0,0 +1,72 @@
+import sharp from 'sharp';
+
+/**
+ * Synthetic phone photo of a boleta: a white sheet on a dark desk
+ * Text is drawn as short bars (no fonts needed): a header, the subjects
+ * table with its ruling lines, and a signature block below the table.
+ * @param {object} [options]
+ * @param {number} [options.angle] - Rotation of the sheet, in degrees
+ * @param {string} [options.background] - Colour around the sheet
+ * @param {number} [options.width] - Photo width in px
+ * @param {number} [options.height] - Photo height in px
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function boletaPhoto({ angle = 0, background = '#303030', width = 1000, height = 1300 } = {}) {
+    const page = { x: 150, y: 150, width: 700, height: 1000 };
+    const table = { x: page.x + 60, y: page.y + 220, width: 480, rows: 6, rowHeight: 50 };
+    const shapes = [];
+
+    const words = (x, y, count, widthEach = 40) => {
+        for (let i = 0; i < count; i++) {
+            shapes.push(`<rect x="${x + i * (widthEach + 12)}" y="${y}" width="${widthEach}" height="12" fill="#000"/>`);
+        }
+    };
+
+    // Header: university, registration number and name
+    words(page.x + 60, page.y + 60, 8);
+    words(page.x + 60, page.y + 110, 6, 55);
+
+    for (let row = 0; row <= table.rows; row++) {
+        const y = table.y + row * table.rowHeight;
+        shapes.push(`<rect x="${table.x}" y="${y}" width="${table.width}" height="3" fill="#000"/>`);
+        if (row < table.rows) words(table.x + 15, y + 20, 7, 45);
+    }
+    for (const x of [table.x, table.x + 120, table.x + 220, table.x + table.width - 3]) {
+        shapes.push(`<rect x="${x}" y="${table.y}" width="3" height="${table.rows * table.rowHeight + 3}" fill="#000"/>`);
+    }
+
+    // Below the table, to the right: signature and stamp
+    words(page.x + 400, table.y + table.rows * table.rowHeight + 200, 4, 50);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="${background}"/>
+        <g transform="rotate(${angle} ${width / 2} ${height / 2})">
+            <rect x="${page.x}" y="${page.y}" width="${page.width}" height="${page.height}" fill="#fafafa"/>
+            ${shapes.join('\n')}
+        </g>
+    </svg>`;
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Uniform grey photo
+ * @param {number} level - 0 to 255
+ * @param {number} [size] - Side in px
+ * @returns {Promise<Buffer>} PNG
+ */
+export function plainPhoto(level, size = 1000) {
+    return sharp({ create: { width: size, height: size, channels: 3, background: { r: level, g: level, b: level } } })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Decode an image to one byte per pixel
+ * @param {Buffer} buffer
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+export async function greyPixels(buffer) {
+    const { data, info } = await sharp(buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import EmbeddedPostgres from 'embedded-postgres';
+
+const SCHEMA_PATH = fileURLToPath(new URL('../../database/schema.sql', import.meta.url));
+
+/**
+ * Start a throwaway PostgreSQL with database/schema.sql loaded
+ * Sets DB_* (and LOG_LEVEL=warn unless given), so src/ modules must be
+ * imported afterwards with await import(): src/database.js connects on load.
+ * @returns {Promise<{stop: function(import('pg').Pool): Promise<void>}>}
+ */
+export async function startTestDatabase() {
+    const databaseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'botwhatsapp-pg-'));
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const password = 'test';
+
+    const server = new EmbeddedPostgres({
+        databaseDir,
+        port,
+        user: 'postgres',
+        password,
+        persistent: false,
+        createPostgresUser: true,
+        onLog: () => {}
+    });
+
+    await server.initialise();
+    await server.start();
+    await server.createDatabase('enrollment_test');
+
+    const client = server.getPgClient('enrollment_test');
+    await client.connect();
+    await client.query(await fs.readFile(SCHEMA_PATH, 'utf8'));
+    await client.end();
+
+    Object.assign(process.env, {
+        DB_HOST: 'localhost',
+        DB_PORT: String(port),
+        DB_NAME: 'enrollment_test',
+        DB_USER: 'postgres',
+        DB_PASSWORD: password,
+        DB_SSL: 'false',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'warn'
+    });
+
+    return {
+        /**
+         * End src/database.js's pool, stop the server and delete its files
+         * Clients the pool ended may still be closing when the server goes
+         * down; their "terminating connection" error must not reach the pool's
+         * fail-fast handler, which exits the process.
+         * @param {import('pg').Pool} pool
+         */
+        async stop(pool) {
+            pool.removeAllListeners('error');
+            pool.on('error', () => {});
+            await pool.end();
+            await server.stop();
+            await fs.rm(databaseDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Make the human-like pauses of src/antibanHelpers.js instant
+ * Every other timer (pg, OCR timeouts) keeps its real duration.
+ * @returns {function(): void} Restores the real setTimeout
+ */
+export function skipHumanDelays() {
+    const realSetTimeout = globalThis.setTimeout;
+
+    globalThis.setTimeout = (callback, ms, ...args) => {
+        const fromAntiban = new Error().stack.includes('antibanHelpers.js');
+        return realSetTimeout(callback, fromAntiban ? 0 : ms, ...args);
+    };
+
+    return () => {
+        globalThis.setTimeout = realSetTimeout;
+    };
+}
@@ -0,0 +1,15 @@
+/**
+ * Wait until a condition holds
+ * @param {function(): Promise<boolean>} condition
+ * @param {number} [timeoutMs]
+ */
+export async function waitFor(condition, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met after ${timeoutMs} ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
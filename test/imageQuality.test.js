@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startTestDatabase, skipHumanDelays } from './helpers/testDatabase.js';
+import { boletaPhoto, plainPhoto } from './helpers/photos.js';
+import { waitFor } from './helpers/waitFor.js';
+
+// The stub reads any photo that gets past the quality check
+process.env.OCR_PROVIDERS = 'stub';
+
+let db;
+let pool;
+let restoreTimers;
+let transport;
+let assessImageQuality;
+let formatQualityFeedback;
+let QUALITY_ISSUES;
+let goodPhoto;
+
+before(async () => {
+    db = await startTestDatabase();
+    restoreTimers = skipHumanDelays();
+
+    ({ default: pool } = await import('../src/database.js'));
+    ({ assessImageQuality, formatQualityFeedback, QUALITY_ISSUES } = await import('../src/imageQuality.js'));
+    const { manejarMensaje } = await import('../src/messageHandler.js');
+    const { createMemoryTransport } = await import('../src/transports/memoryTransport.js');
+
+    transport = createMemoryTransport();
+    transport.on('message', message => manejarMensaje(transport, message));
+
+    goodPhoto = await boletaPhoto();
+});
+
+after(async () => {
+    await db.stop(pool);
+    restoreTimers();
+});
+
+const messagesTo = (whatsappId) => transport.sent.filter(m => m.chatId === whatsappId).map(m => m.text);
+
+/**
+ * Inbound message with a photo
+ * @param {string} whatsappId
+ * @param {Buffer} photo
+ * @returns {object} For memoryTransport.receive()
+ */
+const photoMessage = (whatsappId, photo) => ({
+    from: whatsappId,
+    media: { mimetype: 'image/png', filename: 'boleta.png', data: photo.toString('base64') }
+});
+
+test('a well lit, sharp photo of the sheet passes', async () => {
+    const quality = await assessImageQuality(goodPhoto);
+
+    assert.deepEqual(quality.issues, []);
+    assert.equal(quality.ok, true);
+});
+
+test('each problem is reported on its own', async () => {
+    const fixtures = {
+        [QUALITY_ISSUES.TOO_SMALL]: await sharp(goodPhoto).resize({ width: 400 }).png().toBuffer(),
+        [QUALITY_ISSUES.TOO_DARK]: await sharp(goodPhoto).linear(0.2, 0).png().toBuffer(),
+        [QUALITY_ISSUES.TOO_BRIGHT]: await plainPhoto(252),
+        [QUALITY_ISSUES.NO_DOCUMENT]: await plainPhoto(120),
+        [QUALITY_ISSUES.BLURRY]: await sharp(goodPhoto).blur(6).png().toBuffer()
+    };
+
+    for (const [issue, photo] of Object.entries(fixtures)) {
+        const quality = await assessImageQuality(photo);
+        assert.deepEqual(quality.issues, [issue], JSON.stringify(quality.measures));
+        assert.equal(quality.ok, false);
+    }
+});
+
+test('a photo that fails the check gets the feedback instead of OCR', async () => {
+    const student = '59178880000@c.us';
+    const darkPhoto = await sharp(goodPhoto).linear(0.2, 0).png().toBuffer();
+
+    await transport.receive(photoMessage(student, darkPhoto));
+
+    assert.deepEqual(messagesTo(student), [formatQualityFeedback([QUALITY_ISSUES.TOO_DARK])]);
+    const { rows } = await pool.query('SELECT id FROM enrollment_documents');
+    assert.equal(rows.length, 0);
+
+    // The same student's good photo does reach OCR
+    await transport.receive(photoMessage(student, goodPhoto));
+    await waitFor(async () => messagesTo(student).length > 1);
+
+    assert.match(messagesTo(student)[1], /Procesando tu documento/);
+});
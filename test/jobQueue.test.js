@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { startTestDatabase, skipHumanDelays } from './helpers/testDatabase.js';
+import { boletaMessage } from './helpers/boleta.js';
+import { waitFor } from './helpers/waitFor.js';
+
+process.env.OCR_PROVIDERS = 'pdf_text';
+process.env.ADD_QUOTA_HOURLY = '100';
+process.env.ADD_QUOTA_DAILY = '100';
+
+const GROUPS = [
+    { id: 'inf412-5a@g.us', name: 'INF412 5A', sigla: 'INF412', grupo: '5A', materia: 'SISTEMAS DE INFORMACION II' },
+    { id: 'inf413-5b@g.us', name: 'INF413 5B', sigla: 'INF413', grupo: '5B', materia: 'REDES DE COMPUTADORAS' }
+];
+
+// Another grupo of INF412, for CAMBIAR
+const OTHER_GROUP = { id: 'inf412-5b@g.us', name: 'INF412 5B', sigla: 'INF412', grupo: '5B', materia: 'SISTEMAS DE INFORMACION II' };
+
+let db;
+let pool;
+let restoreTimers;
+let transport;
+let jobQueue;
+
+before(async () => {
+    db = await startTestDatabase();
+    restoreTimers = skipHumanDelays();
+
+    ({ default: pool } = await import('../src/database.js'));
+    const { manejarMensaje } = await import('../src/messageHandler.js');
+    const { createMemoryTransport } = await import('../src/transports/memoryTransport.js');
+    jobQueue = await import('../src/jobQueue.js');
+
+    for (const group of [...GROUPS, OTHER_GROUP]) {
+        await pool.query(
+            `INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid)
+             VALUES ($1, $2, $3, $4)`,
+            [group.sigla, group.grupo, group.materia, group.id]
+        );
+    }
+
+    transport = createMemoryTransport({ groups: [...GROUPS, OTHER_GROUP] });
+    transport.on('message', message => manejarMensaje(transport, message));
+    jobQueue.startJobWorker(transport);
+});
+
+after(async () => {
+    jobQueue.stopJobWorker();
+    await db.stop(pool);
+    restoreTimers();
+});
+
+const messagesTo = (whatsappId) => transport.sent.filter(m => m.chatId === whatsappId).map(m => m.text);
+
+/**
+ * Jobs of a student with the SIGLA of their subject
+ * @param {string} whatsappId
+ * @returns {Promise<Array<object>>}
+ */
+async function jobsOf(whatsappId) {
+    const { rows } = await pool.query(
+        `SELECT j.*, es.sigla FROM group_add_jobs j
+         JOIN enrollment_subjects es ON es.id = j.subject_id
+         WHERE j.whatsapp_id = $1
+         ORDER BY j.id`,
+        [whatsappId]
+    );
+    return rows;
+}
+
+/**
+ * @param {string} whatsappId
+ * @returns {Promise<number>}
+ */
+async function enrolledCount(whatsappId) {
+    const { rows } = await pool.query('SELECT total_subjects_enrolled FROM students WHERE whatsapp_id = $1', [whatsappId]);
+    return rows[0].total_subjects_enrolled;
+}
+
+test('a retry due while its document is still open waits for the document to close', async () => {
+    const student = { whatsappId: '59173330000@c.us', registrationNumber: '222300000', studentName: 'ESTUDIANTE REINTENTO PRUEBA' };
+    const [failed, deferred] = GROUPS;
+
+    await jobQueue.setWorkerPaused(true);
+    await transport.receive(boletaMessage(student, GROUPS));
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+
+    // The first addition already failed and its automatic retry is due,
+    // while the second one is still held back by the quota
+    const jobs = await jobsOf(student.whatsappId);
+    const failedJob = jobs.find(j => j.sigla === failed.sigla);
+    const deferredJob = jobs.find(j => j.sigla === deferred.sigla);
+
+    await pool.query(`UPDATE group_add_jobs SET status = 'failed', finished_at = NOW() WHERE id = $1`, [failedJob.id]);
+    await pool.query(
+        `INSERT INTO group_add_jobs (kind, document_id, subject_id, whatsapp_id, group_jid)
+         VALUES ('retry', $1, $2, $3, $4)`,
+        [failedJob.document_id, failedJob.subject_id, student.whatsappId, failedJob.group_jid]
+    );
+    await pool.query(`UPDATE group_add_jobs SET run_after = NOW() + INTERVAL '1 hour' WHERE id = $1`, [deferredJob.id]);
+
+    await jobQueue.setWorkerPaused(false);
+    await sleep(1000);
+
+    const waiting = (await jobsOf(student.whatsappId)).find(j => j.kind === 'retry');
+    assert.equal(waiting.status, 'pending');
+
+    await pool.query('UPDATE group_add_jobs SET run_after = NOW() WHERE id = $1', [deferredJob.id]);
+
+    await waitFor(async () => (await jobsOf(student.whatsappId)).every(j => j.status !== 'pending' && j.status !== 'running'));
+
+    for (const group of GROUPS) {
+        assert.ok(transport.groups.get(group.id).participants.has(student.whatsappId), group.id);
+    }
+    assert.equal(await enrolledCount(student.whatsappId), GROUPS.length);
+});
+
+test('students outside the reactivity window are not told about a quota deferral', async () => {
+    const student = { whatsappId: '59174440000@c.us', registrationNumber: '222400000', studentName: 'ESTUDIANTE AUSENTE PRUEBA' };
+    const [, recentlyLeft] = GROUPS;
+
+    // Left the group recently: an automatic retry is scheduled hours ahead
+    transport.setParticipantResult(recentlyLeft.id, student.whatsappId, 408, 'recently left');
+
+    await transport.receive(boletaMessage(student, GROUPS));
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+    await waitFor(async () => messagesTo(student.whatsappId).some(text => text.includes('Inscripción completada')));
+
+    const retry = (await jobsOf(student.whatsappId)).find(j => j.kind === 'retry');
+    assert.equal(retry.status, 'pending');
+
+    // Days later, the daily quota runs out
+    await pool.query(`UPDATE processed_messages SET received_at = NOW() - INTERVAL '3 days' WHERE whatsapp_id = $1`, [student.whatsappId]);
+    await pool.query(
+        `INSERT INTO group_add_operations (account_id, whatsapp_id, group_jid, status_code, success)
+         SELECT $1, 'otro@c.us', $2, 200, TRUE FROM generate_series(1, 100)`,
+        [transport.getAccountId(), recentlyLeft.id]
+    );
+    const sentBefore = messagesTo(student.whatsappId).length;
+
+    try {
+        await jobQueue.setWorkerPaused(false);
+        await waitFor(async () => (await jobsOf(student.whatsappId)).find(j => j.kind === 'retry').deferral_notified);
+        await sleep(500);
+
+        assert.equal(messagesTo(student.whatsappId).length, sentBefore);
+    } finally {
+        await pool.query('DELETE FROM group_add_operations WHERE whatsapp_id = $1', ['otro@c.us']);
+    }
+});
+
+test('a failed CAMBIAR leaves the outcome of the current group alone', async () => {
+    const student = { whatsappId: '59175550000@c.us', registrationNumber: '222500000', studentName: 'ESTUDIANTE CAMBIO PRUEBA' };
+    const [current] = GROUPS;
+
+    await transport.receive(boletaMessage(student, [current]));
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+    await waitFor(async () => messagesTo(student.whatsappId).some(text => text.includes('Inscripción completada')));
+
+    transport.setParticipantResult(OTHER_GROUP.id, student.whatsappId, 419, 'group full');
+    await transport.receive({ from: student.whatsappId, body: `CAMBIAR ${OTHER_GROUP.sigla} ${OTHER_GROUP.grupo}` });
+    await waitFor(async () => (await jobsOf(student.whatsappId)).some(j => j.kind === 'switch' && j.status === 'failed'));
+
+    const { rows: [subject] } = await pool.query(
+        `SELECT es.grupo, es.add_outcome, es.added_to_group FROM enrollment_subjects es
+         JOIN enrollment_documents ed ON ed.id = es.document_id
+         JOIN students s ON s.id = ed.student_id
+         WHERE s.whatsapp_id = $1`,
+        [student.whatsappId]
+    );
+    assert.deepEqual(subject, { grupo: current.grupo, add_outcome: 'added', added_to_group: true });
+    assert.ok(transport.groups.get(current.id).participants.has(student.whatsappId));
+});
@@ -0,0 +1,179 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, skipHumanDelays } from './helpers/testDatabase.js';
+import { boletaMessage } from './helpers/boleta.js';
+import { waitFor } from './helpers/waitFor.js';
+
+// Text-layer PDFs only: no OCR service or Tesseract needed
+process.env.OCR_PROVIDERS = 'pdf_text';
+process.env.ADD_QUOTA_HOURLY = '100';
+
+const GROUPS = [
+    { id: 'inf412-5a@g.us', name: 'INF412 5A', sigla: 'INF412', grupo: '5A', materia: 'SISTEMAS DE INFORMACION II' },
+    { id: 'inf413-5b@g.us', name: 'INF413 5B', sigla: 'INF413', grupo: '5B', materia: 'REDES DE COMPUTADORAS' }
+];
+
+const STUDENTS = Array.from({ length: 10 }, (_, i) => ({
+    whatsappId: `5917000${String(i).padStart(4, '0')}@c.us`,
+    registrationNumber: String(222000000 + i),
+    studentName: `ESTUDIANTE ${String.fromCharCode(65 + i)} PRUEBA`
+}));
+
+let db;
+let pool;
+let restoreTimers;
+let transport;
+let stopJobWorker;
+
+before(async () => {
+    db = await startTestDatabase();
+    restoreTimers = skipHumanDelays();
+
+    ({ default: pool } = await import('../src/database.js'));
+    const { manejarMensaje } = await import('../src/messageHandler.js');
+    const { createMemoryTransport } = await import('../src/transports/memoryTransport.js');
+    const jobQueue = await import('../src/jobQueue.js');
+    stopJobWorker = jobQueue.stopJobWorker;
+
+    for (const group of GROUPS) {
+        await pool.query(
+            `INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid)
+             VALUES ($1, $2, $3, $4)`,
+            [group.sigla, group.grupo, group.materia, group.id]
+        );
+    }
+
+    transport = createMemoryTransport({ groups: GROUPS });
+    transport.on('message', message => manejarMensaje(transport, message));
+    jobQueue.startJobWorker(transport);
+});
+
+after(async () => {
+    stopJobWorker();
+    await db.stop(pool);
+    restoreTimers();
+});
+
+const messagesTo = (whatsappId) => transport.sent.filter(m => m.chatId === whatsappId).map(m => m.text);
+
+test('students sending their boleta and LISTO at the same time are all enrolled', async () => {
+    await Promise.all(STUDENTS.map(student => transport.receive(boletaMessage(student, GROUPS))));
+
+    for (const student of STUDENTS) {
+        const summary = messagesTo(student.whatsappId).find(text => text.includes('Documento procesado'));
+        assert.ok(summary, `${student.whatsappId} got no summary`);
+        assert.match(summary, new RegExp(student.registrationNumber));
+    }
+
+    await Promise.all(STUDENTS.map(student => transport.receive({ from: student.whatsappId, body: 'LISTO' })));
+
+    // The result is sent right after the document is closed
+    const resultFor = (student) => messagesTo(student.whatsappId).find(text => text.includes('Inscripción completada'));
+    await waitFor(async () => STUDENTS.every(resultFor));
+
+    const { rows: documents } = await pool.query('SELECT status FROM enrollment_documents');
+    assert.deepEqual(documents.map(d => d.status), STUDENTS.map(() => 'completed'));
+
+    for (const group of GROUPS) {
+        const participants = transport.groups.get(group.id).participants;
+        assert.deepEqual([...participants].sort(), STUDENTS.map(s => s.whatsappId).sort());
+    }
+
+    const { rows: students } = await pool.query('SELECT whatsapp_id, total_subjects_enrolled FROM students');
+    assert.equal(students.length, STUDENTS.length);
+    for (const student of students) {
+        assert.equal(student.total_subjects_enrolled, GROUPS.length, student.whatsapp_id);
+    }
+
+    for (const student of STUDENTS) {
+        assert.match(resultFor(student), /Agregado exitosamente \(2\)/);
+    }
+});
+
+test('a repeated LISTO does not enroll the document twice', async () => {
+    const [student] = STUDENTS;
+
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+
+    const { rows } = await pool.query(
+        'SELECT total_subjects_enrolled FROM students WHERE whatsapp_id = $1',
+        [student.whatsappId]
+    );
+    assert.equal(rows[0].total_subjects_enrolled, GROUPS.length);
+    assert.match(messagesTo(student.whatsappId).at(-1), /No tienes inscripciones pendientes/);
+});
+
+test('a subject blocked by privacy is reported once, in the result', async () => {
+    const student = { whatsappId: '59171110000@c.us', registrationNumber: '222100000', studentName: 'ESTUDIANTE PRIVADO PRUEBA' };
+    const [open, blocked] = GROUPS;
+
+    await pool.query('UPDATE subject_group_mapping SET allow_invite_fallback = TRUE WHERE whatsapp_group_jid = $1', [blocked.id]);
+    transport.setParticipantResult(blocked.id, student.whatsappId, 403, 'not-authorized');
+
+    await transport.receive(boletaMessage(student, GROUPS));
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+
+    await waitFor(async () => messagesTo(student.whatsappId).some(text => text.includes('Inscripción completada')));
+
+    const messages = messagesTo(student.whatsappId);
+    const afterQueued = messages.slice(messages.findIndex(text => text.includes('Inscripción en proceso')) + 1);
+    assert.equal(afterQueued.length, 1, afterQueued.join('\n---\n'));
+
+    const [result] = afterQueued;
+    assert.match(result, new RegExp(`${open.sigla} - Grupo ${open.grupo}`));
+    assert.match(result, new RegExp(`${blocked.sigla} - Grupo ${blocked.grupo}: bloqueado por privacidad`));
+    assert.match(result, new RegExp(`INVITAR ${blocked.sigla}`));
+});
+
+test('AGREGAR counts the subjects already enrolled against the limit', async () => {
+    const student = { whatsappId: '59172220000@c.us', registrationNumber: '222200000', studentName: 'ESTUDIANTE CASI LLENO PRUEBA' };
+    const [first, second] = GROUPS;
+
+    await transport.receive(boletaMessage(student, [first]));
+    await pool.query('UPDATE students SET total_subjects_enrolled = 7 WHERE whatsapp_id = $1', [student.whatsappId]);
+
+    await transport.receive({ from: student.whatsappId, body: `AGREGAR ${second.sigla} ${second.grupo}` });
+
+    assert.match(messagesTo(student.whatsappId).at(-1), /solo puedes inscribir 1 más/);
+    const { rows } = await pool.query(
+        `SELECT es.sigla FROM enrollment_subjects es
+         JOIN enrollment_documents ed ON ed.id = es.document_id
+         JOIN students s ON s.id = ed.student_id
+         WHERE s.whatsapp_id = $1`,
+        [student.whatsappId]
+    );
+    assert.deepEqual(rows.map(r => r.sigla), [first.sigla]);
+});
+
+test('a confirmation that fails before queuing leaves the document pending for another LISTO', async () => {
+    const student = { whatsappId: '59177770000@c.us', registrationNumber: '222700000', studentName: 'ESTUDIANTE REINTENTA PRUEBA' };
+
+    await transport.receive(boletaMessage(student, GROUPS));
+
+    await pool.query(`
+        CREATE FUNCTION reject_jobs() RETURNS trigger AS $$
+        BEGIN RAISE EXCEPTION 'jobs unavailable'; END;
+        $$ LANGUAGE plpgsql;
+        CREATE TRIGGER reject_jobs BEFORE INSERT ON group_add_jobs FOR EACH ROW EXECUTE FUNCTION reject_jobs();
+    `);
+
+    try {
+        await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+    } finally {
+        await pool.query('DROP TRIGGER reject_jobs ON group_add_jobs; DROP FUNCTION reject_jobs();');
+    }
+
+    assert.match(messagesTo(student.whatsappId).at(-1), /Intenta nuevamente escribiendo "LISTO"/);
+    const { rows: [document] } = await pool.query(
+        `SELECT ed.status FROM enrollment_documents ed
+         JOIN students s ON s.id = ed.student_id
+         WHERE s.whatsapp_id = $1`,
+        [student.whatsappId]
+    );
+    assert.equal(document.status, 'pending');
+
+    await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+    await waitFor(async () => messagesTo(student.whatsappId).some(text => text.includes('Inscripción completada')));
+
+    assert.match(messagesTo(student.whatsappId).at(-1), /Agregado exitosamente \(2\)/);
+});
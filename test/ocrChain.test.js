@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase } from './helpers/testDatabase.js';
+
+// One provider that fails, one that hangs and one that answers, in that order
+process.env.OCR_PROVIDERS = 'stub_fail,stub_slow,stub';
+process.env.OCR_TIMEOUTS = 'stub_slow:200';
+
+const IMAGE = Buffer.from('not really a png');
+
+let db;
+let pool;
+let performOCR;
+let OCR;
+let aborted = 0;
+const RealAbortController = globalThis.AbortController;
+
+before(async () => {
+    // src/metrics.js loads src/database.js, which connects on import
+    db = await startTestDatabase();
+
+    ({ default: pool } = await import('../src/database.js'));
+    ({ performOCR } = await import('../src/ocr.js'));
+    ({ OCR } = await import('../src/config.js'));
+
+    // Count the aborts the chain sends to providers that run out of time
+    globalThis.AbortController = class extends RealAbortController {
+        abort(reason) {
+            aborted++;
+            super.abort(reason);
+        }
+    };
+});
+
+after(async () => {
+    globalThis.AbortController = RealAbortController;
+    await db.stop(pool);
+});
+
+/**
+ * @returns {Promise<{result: object, elapsedMs: number}>}
+ */
+async function timedOcr() {
+    const started = Date.now();
+    const result = await performOCR(IMAGE, 'image/png');
+    return { result, elapsedMs: Date.now() - started };
+}
+
+test('the chain falls through a failing and a hanging provider to the next one', async () => {
+    const { result, elapsedMs } = await timedOcr();
+
+    assert.equal(result.provider, 'stub');
+    assert.match(result.text, /BOLETA DE INSCRIPCION/);
+    assert.equal(aborted, 1);
+    assert.ok(elapsedMs >= 200, `answered in ${elapsedMs} ms, before stub_slow timed out`);
+    assert.ok(elapsedMs < 5000, `took ${elapsedMs} ms`);
+});
+
+test('providers that keep failing are skipped once their circuit opens', async () => {
+    // The first test already counted one failure for each
+    for (let i = 1; i < OCR.CIRCUITO.FALLOS_PARA_ABRIR; i++) {
+        assert.equal((await timedOcr()).result.provider, 'stub');
+    }
+    assert.equal(aborted, OCR.CIRCUITO.FALLOS_PARA_ABRIR);
+
+    const { result, elapsedMs } = await timedOcr();
+
+    assert.equal(result.provider, 'stub');
+    assert.equal(aborted, OCR.CIRCUITO.FALLOS_PARA_ABRIR, 'stub_slow ran with its circuit open');
+    assert.ok(elapsedMs < 200, `took ${elapsedMs} ms`);
+});
@@ -0,0 +1,86 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { boletaPhoto, greyPixels } from './helpers/photos.js';
+
+let preprocessImage;
+
+before(async () => {
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+    ({ preprocessImage } = await import('../src/preprocessing.js'));
+});
+
+/**
+ * Rows crossed by a long horizontal dark run, merged into lines
+ * A tilted ruling line never fits in one row, so it is not found.
+ * @param {{data: Buffer, width: number, height: number}} page
+ * @returns {Array<{top: number, bottom: number}>}
+ */
+function horizontalLines({ data, width, height }) {
+    const lines = [];
+
+    for (let y = 0; y < height; y++) {
+        let run = 0;
+        let longest = 0;
+        for (let x = 0; x < width; x++) {
+            run = data[y * width + x] < 128 ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        }
+        if (longest < width * 0.4) continue;
+
+        const last = lines[lines.length - 1];
+        if (last && y - last.bottom <= 1) {
+            last.bottom = y;
+        } else {
+            lines.push({ top: y, bottom: y });
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * @param {{data: Buffer}} page
+ * @returns {boolean}
+ */
+const isBlackAndWhite = ({ data }) => data.every(value => value === 0 || value === 255);
+
+test('a tilted sheet on a dark desk comes out upright, cropped to the table and binarized', async () => {
+    const photo = await boletaPhoto({ angle: 3 });
+
+    const page = await greyPixels(await preprocessImage(photo, 'document'));
+    const lines = horizontalLines(page);
+
+    assert.ok(isBlackAndWhite(page));
+
+    // Seven ruling lines, each straight across one row
+    assert.equal(lines.length, 7, JSON.stringify(lines));
+
+    // Header kept above the table, signature below it cut off
+    assert.ok(lines[0].top > page.height * 0.15, `table starts at ${lines[0].top} of ${page.height}`);
+    assert.ok(page.height - lines.at(-1).bottom < page.height * 0.05, `${page.height - lines.at(-1).bottom} px kept below the table`);
+
+    // No desk left around the sheet
+    const { data, width, height } = page;
+    for (const corner of [0, width - 1, (height - 1) * width, height * width - 1]) {
+        assert.equal(data[corner], 255, `corner pixel ${corner}`);
+    }
+});
+
+test('a tilted sheet filling the photo is straightened by its text lines', async () => {
+    const photo = await boletaPhoto({ angle: 3, background: '#fafafa' });
+    assert.equal(horizontalLines(await greyPixels(photo)).length, 0);
+
+    const page = await greyPixels(await preprocessImage(photo, 'document'));
+
+    assert.ok(isBlackAndWhite(page));
+    assert.equal(horizontalLines(page).length, 7);
+});
+
+test('an unknown profile falls back to original', async () => {
+    const photo = await boletaPhoto();
+
+    const fallback = await preprocessImage(photo, 'no_such_profile');
+
+    assert.deepEqual(fallback, await preprocessImage(photo, 'original'));
+    assert.equal(fallback.readUInt16BE(0), 0xffd8, 'original profile returns a JPEG');
+});
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase, skipHumanDelays } from './helpers/testDatabase.js';
+import { boletaMessage } from './helpers/boleta.js';
+import { waitFor } from './helpers/waitFor.js';
+
+process.env.OCR_PROVIDERS = 'pdf_text';
+process.env.ADD_QUOTA_HOURLY = '100';
+
+const GROUPS = [
+    { id: 'inf412-5a@g.us', name: 'INF412 5A', sigla: 'INF412', grupo: '5A', materia: 'SISTEMAS DE INFORMACION II' },
+    { id: 'inf413-5b@g.us', name: 'INF413 5B', sigla: 'INF413', grupo: '5B', materia: 'REDES DE COMPUTADORAS' }
+];
+
+// One student per situation the restart can find a document in
+const STUDENTS = {
+    queued: { whatsappId: '59176660001@c.us', registrationNumber: '222600001', studentName: 'ESTUDIANTE EN COLA PRUEBA' },
+    finished: { whatsappId: '59176660002@c.us', registrationNumber: '222600002', studentName: 'ESTUDIANTE TERMINADO PRUEBA' },
+    unqueued: { whatsappId: '59176660003@c.us', registrationNumber: '222600003', studentName: 'ESTUDIANTE SIN COLA PRUEBA' },
+    stale: { whatsappId: '59176660004@c.us', registrationNumber: '222600004', studentName: 'ESTUDIANTE ANTIGUO PRUEBA' }
+};
+
+let db;
+let pool;
+let restoreTimers;
+let transport;
+let jobQueue;
+let recoverInterruptedDocuments;
+const additions = [];
+const sentBeforeRecovery = new Map();
+
+before(async () => {
+    db = await startTestDatabase();
+    restoreTimers = skipHumanDelays();
+
+    ({ default: pool } = await import('../src/database.js'));
+    const { manejarMensaje } = await import('../src/messageHandler.js');
+    const { createMemoryTransport } = await import('../src/transports/memoryTransport.js');
+    ({ recoverInterruptedDocuments } = await import('../src/recovery.js'));
+    jobQueue = await import('../src/jobQueue.js');
+
+    for (const group of GROUPS) {
+        await pool.query(
+            `INSERT INTO subject_group_mapping (sigla, grupo, materia_name, whatsapp_group_jid)
+             VALUES ($1, $2, $3, $4)`,
+            [group.sigla, group.grupo, group.materia, group.id]
+        );
+    }
+
+    transport = createMemoryTransport({ groups: GROUPS });
+    transport.on('message', message => manejarMensaje(transport, message));
+
+    const addParticipant = transport.addParticipant.bind(transport);
+    transport.addParticipant = (groupId, userId, options) => {
+        additions.push({ groupId, userId });
+        return addParticipant(groupId, userId, options);
+    };
+
+    // Every student confirms, then the process "dies" before the worker runs
+    for (const student of Object.values(STUDENTS)) {
+        await transport.receive(boletaMessage(student, GROUPS));
+        await transport.receive({ from: student.whatsappId, body: 'LISTO' });
+    }
+
+    await pool.query(
+        `UPDATE group_add_jobs SET status = 'done', finished_at = NOW()
+         WHERE whatsapp_id = $1`,
+        [STUDENTS.finished.whatsappId]
+    );
+    await pool.query(
+        `UPDATE enrollment_subjects SET added_to_group = TRUE, add_outcome = 'added'
+         WHERE document_id = (SELECT document_id FROM group_add_jobs WHERE whatsapp_id = $1 LIMIT 1)`,
+        [STUDENTS.finished.whatsappId]
+    );
+
+    await pool.query(
+        `UPDATE enrollment_documents SET status = 'confirmed'
+         WHERE id = (SELECT document_id FROM group_add_jobs WHERE whatsapp_id = $1 LIMIT 1)`,
+        [STUDENTS.unqueued.whatsappId]
+    );
+    await pool.query('DELETE FROM group_add_jobs WHERE whatsapp_id = $1', [STUDENTS.unqueued.whatsappId]);
+
+    await pool.query(
+        `UPDATE enrollment_documents
+         SET created_at = NOW() - INTERVAL '3 days', confirmed_at = NOW() - INTERVAL '3 days'
+         WHERE id = (SELECT document_id FROM group_add_jobs WHERE whatsapp_id = $1 LIMIT 1)`,
+        [STUDENTS.stale.whatsappId]
+    );
+
+    for (const student of Object.values(STUDENTS)) {
+        sentBeforeRecovery.set(student.whatsappId, messagesTo(student.whatsappId).length);
+    }
+
+    await recoverInterruptedDocuments(transport);
+    jobQueue.startJobWorker(transport);
+
+    await waitFor(async () => [STUDENTS.queued, STUDENTS.unqueued].every(student =>
+        messagesTo(student.whatsappId).some(text => text.includes('Inscripción completada'))));
+});
+
+after(async () => {
+    jobQueue.stopJobWorker();
+    await db.stop(pool);
+    restoreTimers();
+});
+
+const messagesTo = (whatsappId) => transport.sent.filter(m => m.chatId === whatsappId).map(m => m.text);
+const messagesAfterRestart = (student) => messagesTo(student.whatsappId).slice(sentBeforeRecovery.get(student.whatsappId));
+
+/**
+ * @param {{whatsappId: string}} student
+ * @returns {Promise<{status: string, total_subjects_enrolled: number}>}
+ */
+async function documentOf(student) {
+    const { rows } = await pool.query(
+        `SELECT ed.status, s.total_subjects_enrolled FROM enrollment_documents ed
+         JOIN students s ON s.id = ed.student_id
+         WHERE s.whatsapp_id = $1`,
+        [student.whatsappId]
+    );
+    return rows[0];
+}
+
+/**
+ * @param {{whatsappId: string}} student
+ * @returns {Promise<Array<string>>} Status of each of the student's jobs
+ */
+async function jobStatuses(student) {
+    const { rows } = await pool.query('SELECT status FROM group_add_jobs WHERE whatsapp_id = $1 ORDER BY id', [student.whatsappId]);
+    return rows.map(r => r.status);
+}
+
+test('queued jobs are resumed and the student is told', async () => {
+    const messages = messagesAfterRestart(STUDENTS.queued);
+
+    assert.match(messages[0], /Tu inscripción se interrumpió/);
+    assert.match(messages.at(-1), /Agregado exitosamente \(2\)/);
+    assert.deepEqual(await documentOf(STUDENTS.queued), { status: 'completed', total_subjects_enrolled: 2 });
+});
+
+test('a document whose jobs all finished gets its result without new additions', async () => {
+    const messages = messagesAfterRestart(STUDENTS.finished);
+
+    assert.equal(messages.length, 1, messages.join('\n---\n'));
+    assert.match(messages[0], /Agregado exitosamente \(2\)/);
+    assert.deepEqual(await documentOf(STUDENTS.finished), { status: 'completed', total_subjects_enrolled: 2 });
+    assert.ok(!additions.some(a => a.userId === STUDENTS.finished.whatsappId));
+});
+
+test('a confirmed document that was never queued is queued now', async () => {
+    const messages = messagesAfterRestart(STUDENTS.unqueued);
+
+    assert.match(messages[0], /Tu inscripción se interrumpió/);
+    assert.deepEqual(await jobStatuses(STUDENTS.unqueued), ['done', 'done']);
+    assert.deepEqual(await documentOf(STUDENTS.unqueued), { status: 'completed', total_subjects_enrolled: 2 });
+});
+
+test('a stale document is closed without messages and its jobs never run', async () => {
+    assert.deepEqual(messagesAfterRestart(STUDENTS.stale), []);
+    assert.deepEqual(await jobStatuses(STUDENTS.stale), ['failed', 'failed']);
+    assert.deepEqual(await documentOf(STUDENTS.stale), { status: 'failed', total_subjects_enrolled: 0 });
+    assert.ok(!additions.some(a => a.userId === STUDENTS.stale.whatsappId));
+});
@@ -1,120 +1,24 @@
 /**
  * Test de Configuraciones de OCR
- * Prueba diferentes parámetros de preprocesamiento para encontrar la mejor configuración
+ * Prueba los perfiles de preprocesamiento de src/preprocessing.js para
+ * encontrar el mejor (se elige con OCR_PREPROCESS_PROFILE)
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sharp from 'sharp';
-import Tesseract from 'tesseract.js';
+import { preprocessImage, PREPROCESS_PROFILES } from './src/preprocessing.js';
+import { recognizeWithPool } from './src/tesseractPool.js';
 import { parseEnrollmentDocument } from './src/parser.js';
+import { PREPROCESADO } from './src/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Diferentes configuraciones de preprocesamiento
- */
-const PREPROCESS_CONFIGS = {
-    // Configuración original
-    original: async (buffer) => {
-        return await sharp(buffer)
-            .rotate()
-            .greyscale()
-            .normalize()
-            .sharpen({ sigma: 1 })
-            .toBuffer();
-    },
-    
-    // Configuración mejorada (actual)
-    enhanced: async (buffer) => {
-        const metadata = await sharp(buffer).metadata();
-        const minWidth = 1200;
-        const shouldResize = metadata.width < minWidth;
-        
-        let pipeline = sharp(buffer).rotate();
-        
-        if (shouldResize) {
-            const scale = minWidth / metadata.width;
-            pipeline = pipeline.resize({
-                width: Math.floor(metadata.width * scale),
-                height: Math.floor(metadata.height * scale),
-                kernel: sharp.kernel.lanczos3
-            });
-        }
-        
-        return await pipeline
-            .greyscale()
-            .normalize()
-            .linear(1.2, -(128 * 1.2) + 128)
-            .sharpen({ sigma: 1.5 })
-            .toBuffer();
-    },
-    
-    // Configuración agresiva (máximo contraste)
-    aggressive: async (buffer) => {
-        const metadata = await sharp(buffer).metadata();
-        const minWidth = 1500;
-        const shouldResize = metadata.width < minWidth;
-        
-        let pipeline = sharp(buffer).rotate();
-        
-        if (shouldResize) {
-            const scale = minWidth / metadata.width;
-            pipeline = pipeline.resize({
-                width: Math.floor(metadata.width * scale),
-                height: Math.floor(metadata.height * scale),
-                kernel: sharp.kernel.lanczos3
-            });
-        }
-        
-        return await pipeline
-            .greyscale()
-            .normalize()
-            .linear(1.5, -(128 * 1.5) + 128) // Contraste más agresivo
-            .sharpen({ sigma: 2.0 }) // Más sharpening
-            .threshold(128) // Binarización
-            .toBuffer();
-    },
-    
-    // Configuración suave (para imágenes con ruido)
-    soft: async (buffer) => {
-        const metadata = await sharp(buffer).metadata();
-        const minWidth = 1200;
-        const shouldResize = metadata.width < minWidth;
-        
-        let pipeline = sharp(buffer).rotate();
-        
-        if (shouldResize) {
-            const scale = minWidth / metadata.width;
-            pipeline = pipeline.resize({
-                width: Math.floor(metadata.width * scale),
-                height: Math.floor(metadata.height * scale),
-                kernel: sharp.kernel.lanczos3
-            });
-        }
-        
-        return await pipeline
-            .greyscale()
-            .blur(0.5) // Blur suave para reducir ruido
-            .normalize()
-            .sharpen({ sigma: 1.0 })
-            .toBuffer();
-    },
-    
-    // Sin preprocesamiento (solo conversión a escala de grises)
-    minimal: async (buffer) => {
-        return await sharp(buffer)
-            .greyscale()
-            .toBuffer();
-    }
-};
-
 /**
  * Ejecuta OCR con una configuración específica
  */
-async function runOCRWithConfig(buffer, configName, configFn) {
+async function runOCRWithConfig(buffer, configName) {
     console.log(`\n📊 Probando configuración: ${configName.toUpperCase()}`);
     console.log('─'.repeat(60));
     
@@ -122,22 +26,22 @@ async function runOCRWithConfig(buffer, configName, configFn) {
         const startTime = Date.now();
         
         // Preprocesar imagen
-        const preprocessed = await configFn(buffer);
+        const preprocessed = await preprocessImage(buffer, configName);
         const preprocessTime = Date.now() - startTime;
         
         console.log(`✅ Preprocesamiento: ${preprocessTime}ms`);
         
         // Ejecutar Tesseract
         const ocrStartTime = Date.now();
-        const result = await Tesseract.recognize(preprocessed, 'spa');
+        const result = await recognizeWithPool(preprocessed);
         const ocrTime = Date.now() - ocrStartTime;
         
         console.log(`✅ OCR completado: ${ocrTime}ms`);
-        console.log(`   Confianza: ${result.data.confidence.toFixed(2)}%`);
-        console.log(`   Texto extraído: ${result.data.text.length} caracteres`);
+        console.log(`   Confianza: ${result.confidence.toFixed(2)}%`);
+        console.log(`   Texto extraído: ${result.text.length} caracteres`);
         
         // Parsear resultado
-        const parsed = parseEnrollmentDocument(result.data.text);
+        const parsed = parseEnrollmentDocument(result.text);
         
         console.log(`\n📋 Resultados del Parser:`);
         console.log(`   Válido: ${parsed.isValid ? '✅ SÍ' : '❌ NO'}`);
@@ -151,11 +55,12 @@ async function runOCRWithConfig(buffer, configName, configFn) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
         
-        const outputPath = path.join(outputDir, `${configName}_preprocessed.jpg`);
+        const extension = PREPROCESS_PROFILES[configName].binarize ? 'png' : 'jpg';
+        const outputPath = path.join(outputDir, `${configName}_preprocessed.${extension}`);
         fs.writeFileSync(outputPath, preprocessed);
         
         const textPath = path.join(outputDir, `${configName}_text.txt`);
-        fs.writeFileSync(textPath, result.data.text);
+        fs.writeFileSync(textPath, result.text);
         
         console.log(`\n💾 Archivos guardados:`);
         console.log(`   Imagen: ${outputPath}`);
@@ -163,8 +68,8 @@ async function runOCRWithConfig(buffer, configName, configFn) {
         
         return {
             config: configName,
-            confidence: result.data.confidence,
-            textLength: result.data.text.length,
+            confidence: result.confidence,
+            textLength: result.text.length,
             isValid: parsed.isValid,
             hasRegistration: !!parsed.registrationNumber,
             hasName: !!parsed.studentName,
@@ -201,9 +106,9 @@ async function compareConfigurations(imagePath) {
     
     const results = [];
     
-    // Probar cada configuración
-    for (const [configName, configFn] of Object.entries(PREPROCESS_CONFIGS)) {
-        const result = await runOCRWithConfig(imageBuffer, configName, configFn);
+    // Probar cada perfil
+    for (const configName of Object.keys(PREPROCESS_PROFILES)) {
+        const result = await runOCRWithConfig(imageBuffer, configName);
         results.push(result);
         await new Promise(resolve => setTimeout(resolve, 500)); // Pequeño delay entre tests
     }
@@ -265,9 +170,9 @@ async function compareConfigurations(imagePath) {
         console.log(`   ✅ Materias: ${best.subjectCount}`);
         console.log(`   ⏱️  Tiempo: ${best.totalTime}ms\n`);
         
-        if (best.config !== 'enhanced') {
-            console.log(`💡 RECOMENDACIÓN: Considera cambiar a la configuración "${best.config}"`);
-            console.log(`   en preprocessImage() en src/ocr.js\n`);
+        if (best.config !== PREPROCESADO.PERFIL) {
+            console.log(`💡 RECOMENDACIÓN: Considera cambiar al perfil "${best.config}"`);
+            console.log(`   con OCR_PREPROCESS_PROFILE=${best.config} en .env\n`);
         }
     }
     
@@ -295,7 +200,8 @@ if (!fs.existsSync(imagePath)) {
     process.exit(1);
 }
 
-compareConfigurations(imagePath).catch(error => {
+// Los workers de Tesseract siguen vivos al terminar: salir explícitamente
+compareConfigurations(imagePath).then(() => process.exit(0)).catch(error => {
     console.error('\n💥 ERROR FATAL:', error);
     console.error(error.stack);
     process.exit(1);